@@ -0,0 +1,254 @@
+// applications.js - Scheme applications citizens keep track of (home.html "My applications")
+// Each application belongs to one user and one scheme. Every status change is
+// kept in application_events, which home.html shows as a timeline.
+//
+// Status flow: submitted → under_verification → approved / rejected → benefit_received
+// Steps may be skipped (an office can approve straight away) but never undone.
+
+// -------------------- STATUSES --------------------
+const STATUSES = ['submitted', 'under_verification', 'approved', 'rejected', 'benefit_received'];
+
+// Where each status may go next
+const NEXT_STATUSES = {
+  submitted: ['under_verification', 'approved', 'rejected'],
+  under_verification: ['approved', 'rejected'],
+  approved: ['benefit_received'],
+  rejected: [],
+  benefit_received: [],
+};
+
+// Display names are the "status.*" strings in locales.js
+
+// Statuses that still wait on the office, so they can get stuck
+const OPEN_STATUSES = ['submitted', 'under_verification', 'approved'];
+
+// -------------------- VALIDATION --------------------
+const MAX_TEXT = 200;
+const MAX_NOTES = 1000;
+
+function isDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+/**
+ * Check the add / edit form. With `partial`, only the fields sent are checked.
+ * @returns {{ application?: object, error?: string }}
+ */
+function parseApplicationInput(body = {}, { partial = false } = {}) {
+  const application = {};
+  const text = v => (v == null ? '' : String(v).trim());
+
+  if (!partial || body.scheme_id !== undefined) {
+    const schemeId = Number(body.scheme_id);
+    if (!Number.isInteger(schemeId) || schemeId < 1) return { error: 'Choose the scheme you applied for' };
+    application.scheme_id = schemeId;
+  }
+  if (!partial || body.submitted_on !== undefined) {
+    const date = text(body.submitted_on);
+    if (!isDate(date)) return { error: 'Submission date must be YYYY-MM-DD' };
+    if (Date.parse(date) > Date.now()) return { error: 'Submission date cannot be in the future' };
+    application.submitted_on = date;
+  }
+  for (const field of ['reference_number', 'office']) {
+    if (body[field] === undefined) continue;
+    application[field] = text(body[field]) || null;
+    if (application[field] && application[field].length > MAX_TEXT) return { error: `${field} is too long` };
+  }
+  if (body.notes !== undefined) {
+    application.notes = text(body.notes) || null;
+    if (application.notes && application.notes.length > MAX_NOTES)
+      return { error: `Notes can be at most ${MAX_NOTES} characters` };
+  }
+  if (!partial && body.status !== undefined && body.status !== '') {
+    if (!STATUSES.includes(body.status)) return { error: 'Unknown status' };
+    application.status = body.status;
+  }
+
+  if (partial && !Object.keys(application).length) return { error: 'Nothing to update' };
+  return { application };
+}
+
+// -------------------- QUERIES --------------------
+const APPLICATION_COLUMNS = `a.id, a.scheme_id, s.title_en AS scheme_title_en, s.title_kn AS scheme_title_kn,
+  s.link AS scheme_link, a.reference_number, to_char(a.submitted_on, 'YYYY-MM-DD') AS submitted_on,
+  a.office, a.notes, a.status, a.status_changed_at, a.created_at, a.updated_at`;
+
+// stuck = still open and unchanged for more than `stuckDays`
+function withStuck(row, stuckDays) {
+  const idleDays = Math.floor((Date.now() - new Date(row.status_changed_at).getTime()) / 86400000);
+  return {
+    ...row,
+    next_statuses: NEXT_STATUSES[row.status] || [],
+    days_in_status: idleDays,
+    stuck: OPEN_STATUSES.includes(row.status) && idleDays >= stuckDays,
+  };
+}
+
+// Adds each application's timeline (oldest first)
+async function withTimelines(pool, rows, stuckDays) {
+  if (!rows.length) return [];
+  const events = await pool.query(
+    `SELECT application_id, status, note, created_at
+       FROM application_events WHERE application_id = ANY($1)
+      ORDER BY id`,
+    [rows.map(r => r.id)]
+  );
+  return rows.map(row => ({
+    ...withStuck(row, stuckDays),
+    timeline: events.rows
+      .filter(e => e.application_id === row.id)
+      .map(({ status, note, created_at }) => ({ status, note, created_at })),
+  }));
+}
+
+async function listApplications(pool, userId, { stuckDays }) {
+  const result = await pool.query(
+    `SELECT ${APPLICATION_COLUMNS}
+       FROM scheme_applications a JOIN schemes s ON s.id = a.scheme_id
+      WHERE a.user_id = $1
+      ORDER BY a.submitted_on DESC, a.id DESC`,
+    [userId]
+  );
+  return withTimelines(pool, result.rows, stuckDays);
+}
+
+// One of the user's applications, or null
+async function getApplication(pool, userId, id, { stuckDays }) {
+  const result = await pool.query(
+    `SELECT ${APPLICATION_COLUMNS}
+       FROM scheme_applications a JOIN schemes s ON s.id = a.scheme_id
+      WHERE a.id = $1 AND a.user_id = $2`,
+    [id, userId]
+  );
+  if (!result.rows[0]) return null;
+  return (await withTimelines(pool, result.rows, stuckDays))[0];
+}
+
+// Returns the new id; the first timeline entry is the starting status
+async function createApplication(pool, userId, application) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      `INSERT INTO scheme_applications (user_id, scheme_id, reference_number, submitted_on, office, notes, status)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id, status`,
+      [userId, application.scheme_id, application.reference_number || null, application.submitted_on,
+        application.office || null, application.notes || null, application.status || 'submitted']
+    );
+    const { id, status } = result.rows[0];
+    await client.query(
+      'INSERT INTO application_events (application_id, status, note) VALUES ($1, $2, $3)',
+      [id, status, null]
+    );
+    await client.query('COMMIT');
+    return id;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Reference number, office, date or notes; false if there is no such application
+async function updateApplication(pool, userId, id, changes) {
+  const fields = Object.keys(changes);
+  const result = await pool.query(
+    `UPDATE scheme_applications
+        SET ${fields.map((f, i) => `${f} = $${i + 3}`).join(', ')}, updated_at = NOW()
+      WHERE id = $1 AND user_id = $2`,
+    [id, userId, ...fields.map(f => changes[f])]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Move an application to its next status and add it to the timeline.
+ * @returns {Promise<{ ok: boolean, reason?: 'not_found' | 'invalid_transition', allowed?: string[] }>}
+ */
+async function changeStatus(pool, userId, id, { status, note = null }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const current = await client.query(
+      'SELECT status FROM scheme_applications WHERE id = $1 AND user_id = $2 FOR UPDATE',
+      [id, userId]
+    );
+    if (!current.rows[0]) {
+      await client.query('ROLLBACK');
+      return { ok: false, reason: 'not_found' };
+    }
+    const allowed = NEXT_STATUSES[current.rows[0].status] || [];
+    if (!allowed.includes(status)) {
+      await client.query('ROLLBACK');
+      return { ok: false, reason: 'invalid_transition', allowed };
+    }
+
+    await client.query(
+      `UPDATE scheme_applications
+          SET status = $2, status_changed_at = NOW(), last_reminded_at = NULL, updated_at = NOW()
+        WHERE id = $1`,
+      [id, status]
+    );
+    await client.query(
+      'INSERT INTO application_events (application_id, status, note) VALUES ($1, $2, $3)',
+      [id, status, note]
+    );
+    await client.query('COMMIT');
+    return { ok: true };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function deleteApplication(pool, userId, id) {
+  const result = await pool.query('DELETE FROM scheme_applications WHERE id = $1 AND user_id = $2', [id, userId]);
+  return result.rowCount > 0;
+}
+
+// -------------------- REMINDERS --------------------
+/**
+ * Open applications whose status has not changed for `stuckDays`, and that
+ * were not reminded about in the last `stuckDays` either. Includes what is
+ * needed to notify the owner.
+ */
+async function findStuckApplications(pool, { stuckDays, limit = 200 }) {
+  const result = await pool.query(
+    `SELECT a.id, a.status, a.reference_number, a.status_changed_at,
+            s.title_en AS scheme_title_en, s.title_kn AS scheme_title_kn,
+            u.id AS user_id, u.email, u.phone, u.language
+       FROM scheme_applications a
+       JOIN schemes s ON s.id = a.scheme_id
+       JOIN users u ON u.id = a.user_id
+      WHERE a.status = ANY($1)
+        AND a.status_changed_at < NOW() - make_interval(days => $2)
+        AND (a.last_reminded_at IS NULL OR a.last_reminded_at < NOW() - make_interval(days => $2))
+        AND u.disabled_at IS NULL
+      ORDER BY a.status_changed_at
+      LIMIT $3`,
+    [OPEN_STATUSES, stuckDays, limit]
+  );
+  return result.rows;
+}
+
+async function markReminded(pool, id) {
+  await pool.query('UPDATE scheme_applications SET last_reminded_at = NOW() WHERE id = $1', [id]);
+}
+
+module.exports = {
+  STATUSES,
+  NEXT_STATUSES,
+  parseApplicationInput,
+  listApplications,
+  getApplication,
+  createApplication,
+  updateApplication,
+  changeStatus,
+  deleteApplication,
+  findStuckApplications,
+  markReminded,
+};
@@ -0,0 +1,48 @@
+// audit.js - Who changed what in the admin console
+// Every /api/admin/* write goes through recordAudit(); admins can read the log.
+
+/**
+ * Record an admin action done by req.user.
+ * @param {{ action: string, targetType?: string, targetId?: string|number, details?: object }} entry
+ *   action is a dotted name, e.g. 'scheme.update', 'user.disable'
+ */
+async function recordAudit(pool, req, { action, targetType = null, targetId = null, details = {} }) {
+  await pool.query(
+    `INSERT INTO audit_log (actor_id, actor_username, action, target_type, target_id, details, ip)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [
+      req.user ? req.user.userId : null,
+      req.user ? req.user.username : null,
+      action,
+      targetType,
+      targetId == null ? null : String(targetId),
+      JSON.stringify(details),
+      req.ip || null,
+    ]
+  );
+}
+
+async function listAudit(pool, { action, actorId, limit = 100, offset = 0 } = {}) {
+  const params = [];
+  const conditions = [];
+  if (action) {
+    params.push(`${action}%`);
+    conditions.push(`action LIKE $${params.length}`);
+  }
+  if (actorId) {
+    params.push(actorId);
+    conditions.push(`actor_id = $${params.length}`);
+  }
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  params.push(limit, offset);
+  const result = await pool.query(
+    `SELECT id, actor_id, actor_username, action, target_type, target_id, details, ip, created_at
+       FROM audit_log ${where}
+      ORDER BY id DESC
+      LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params
+  );
+  return result.rows;
+}
+
+module.exports = { recordAudit, listAudit };
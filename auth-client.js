@@ -0,0 +1,180 @@
+// auth-client.js - Browser side of login sessions (log.html, home.html, chatbot)
+// localStorage "token" holds the short-lived access token the pages already send
+// as "Authorization: Bearer ...", "refreshToken" the long-lived one. The access
+// token is renewed through /api/refresh shortly before it expires.
+//
+// Every window of the site runs its own copy (home.html, the chatbot iframe in it,
+// other tabs), but refresh tokens are single-use: the server revokes the session
+// when a rotated one comes back. So only one window refreshes at a time, and the
+// others take over the tokens it saved.
+
+(function () {
+  const REFRESH_MARGIN_SEC = 60;
+  const LOCK_NAME = "refreshLock";
+  const LOCK_TTL_MS = 15000; // a window closed mid-refresh holds the lock this long at most
+  const windowId = Math.random().toString(36).slice(2);
+  let refreshing = null;
+  let timer = null;
+
+  // exp (seconds) from the JWT payload, or 0 if unreadable
+  function tokenExpiry(token) {
+    try {
+      const payload = JSON.parse(atob(token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/")));
+      return payload.exp || 0;
+    } catch (e) {
+      return 0;
+    }
+  }
+
+  function saveTokens({ token, refreshToken }) {
+    if (token) localStorage.setItem("token", token);
+    if (refreshToken) localStorage.setItem("refreshToken", refreshToken);
+    schedule();
+  }
+
+  function clearTokens() {
+    localStorage.removeItem("token");
+    localStorage.removeItem("refreshToken");
+    clearTimeout(timer);
+  }
+
+  function readLock() {
+    try {
+      return JSON.parse(localStorage.getItem(LOCK_NAME));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Runs work() while no other window refreshes. Web Locks where the browser has
+  // them; otherwise a lock entry in localStorage, re-read after a pause because
+  // two windows can write it at the same moment (the last write wins).
+  function withRefreshLock(work) {
+    if (navigator.locks) return navigator.locks.request(LOCK_NAME, work);
+
+    return new Promise((resolve, reject) => {
+      const attempt = () => {
+        const held = readLock();
+        if (held && held.id !== windowId && held.until > Date.now()) {
+          setTimeout(attempt, 100 + Math.random() * 200);
+          return;
+        }
+        localStorage.setItem(LOCK_NAME, JSON.stringify({ id: windowId, until: Date.now() + LOCK_TTL_MS }));
+        setTimeout(() => {
+          const mine = readLock();
+          if (!mine || mine.id !== windowId) return attempt();
+          Promise.resolve()
+            .then(work)
+            .finally(() => {
+              const current = readLock();
+              if (current && current.id === windowId) localStorage.removeItem(LOCK_NAME);
+            })
+            .then(resolve, reject);
+        }, 50);
+      };
+      attempt();
+    });
+  }
+
+  // One refresh at a time, however many requests (and windows) notice the expiry
+  function refresh() {
+    if (refreshing) return refreshing;
+    const seen = localStorage.getItem("refreshToken");
+    if (!seen) return Promise.resolve(false);
+
+    refreshing = withRefreshLock(() => {
+      // Another window may have refreshed while this one waited: use its tokens
+      const refreshToken = localStorage.getItem("refreshToken");
+      if (!refreshToken) return false;
+      if (refreshToken !== seen) {
+        schedule();
+        return true;
+      }
+
+      return fetch("/api/refresh", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ refreshToken }),
+      }).then(async (res) => {
+        if (res.status === 401) {
+          // Unless another window rotated the token meanwhile, the session ended or was revoked: login again
+          if (localStorage.getItem("refreshToken") !== refreshToken) return true;
+          clearTokens();
+          return false;
+        }
+        if (!res.ok) return false; // server trouble: keep tokens, try later
+        saveTokens(await res.json());
+        return true;
+      });
+    })
+      .catch(() => false)
+      .finally(() => { refreshing = null; });
+    return refreshing;
+  }
+
+  function schedule() {
+    clearTimeout(timer);
+    const token = localStorage.getItem("token");
+    if (!token || !localStorage.getItem("refreshToken")) return;
+    const wait = (tokenExpiry(token) - REFRESH_MARGIN_SEC) * 1000 - Date.now();
+    timer = setTimeout(refresh, Math.max(wait, 0));
+  }
+
+  async function ensureFresh() {
+    const token = localStorage.getItem("token");
+    if (!token) return;
+    if (tokenExpiry(token) - REFRESH_MARGIN_SEC > Date.now() / 1000) return;
+    if (localStorage.getItem("refreshToken")) await refresh();
+    else localStorage.removeItem("token"); // old token without a session behind it
+  }
+
+  // fetch() with the access token; refreshes and retries once on 401
+  async function authFetch(url, options = {}) {
+    await ensureFresh();
+    const send = () => {
+      const headers = Object.assign({}, options.headers);
+      const token = localStorage.getItem("token");
+      if (token) headers.Authorization = "Bearer " + token;
+      return fetch(url, Object.assign({}, options, { headers }));
+    };
+    const res = await send();
+    if (res.status === 401 && localStorage.getItem("refreshToken") && (await refresh())) return send();
+    return res;
+  }
+
+  async function logout() {
+    const token = localStorage.getItem("token");
+    const refreshToken = localStorage.getItem("refreshToken");
+    clearTokens();
+    try {
+      await fetch("/api/logout", {
+        method: "POST",
+        headers: Object.assign(
+          { "Content-Type": "application/json" },
+          token ? { Authorization: "Bearer " + token } : {}
+        ),
+        body: JSON.stringify({ refreshToken }),
+        keepalive: true,
+      });
+    } catch (e) {
+      // offline: tokens are gone locally, the session expires on its own
+    }
+  }
+
+  // Another window refreshed or logged out: follow its tokens
+  window.addEventListener("storage", (e) => {
+    if (e.key === null || e.key === "token" || e.key === "refreshToken") schedule();
+  });
+
+  const ready = ensureFresh().then(schedule);
+
+  window.gsAuth = {
+    ready,
+    saveTokens,
+    clearTokens,
+    refresh,
+    fetch: authFetch,
+    logout,
+    isLoggedIn: () => !!localStorage.getItem("token"),
+  };
+})();
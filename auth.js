@@ -0,0 +1,98 @@
+// auth.js - JWT helpers + Express middleware shared by the protected routes
+// Access tokens are the ones /api/login and /api/refresh issue: { userId, username, role, sid }.
+// sid is the login session (sessions.js); once it is revoked by /api/logout the
+// token stops working even before it expires. Role changes and disabling a user
+// revoke their sessions, so the role inside a live token is current.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Without JWT_SECRET (development only: production refuses to start, see security.js)
+// tokens are signed with a key made up at startup, so logins end when the server restarts
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+// citizen: default; officer: panchayat staff (schemes, feedback); admin: also users + audit log
+const ROLES = ['citizen', 'officer', 'admin'];
+
+function signToken(user, sessionId) {
+  return jwt.sign(
+    { userId: user.id, username: user.username, role: user.role || 'citizen', sid: sessionId },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// server.js plugs in the session lookup (needs the pool): async sid => boolean
+let sessionCheck = null;
+function setSessionCheck(fn) {
+  sessionCheck = fn;
+}
+
+// Verified payload → req.user, or null if the token is bad, expired or logged out
+async function userFromToken(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    return null;
+  }
+  if (payload.sid && sessionCheck && !(await sessionCheck(payload.sid))) return null;
+  return {
+    userId: payload.userId,
+    username: payload.username,
+    role: payload.role || 'citizen',
+    sessionId: payload.sid,
+  };
+}
+
+// Pull "Bearer <token>" out of the Authorization header
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+// Rejects the request unless a valid token is sent; sets req.user = { userId, username, role, sessionId }
+async function requireAuth(req, res, next) {
+  const token = getBearerToken(req);
+  if (!token) return res.status(401).json({ error: 'Login required' });
+
+  const user = await userFromToken(token);
+  if (!user) return res.status(401).json({ error: 'Invalid or expired token' });
+  req.user = user;
+  next();
+}
+
+// Like requireAuth, but lets anonymous visitors through (req.user stays undefined)
+async function optionalAuth(req, res, next) {
+  const token = getBearerToken(req);
+  if (token) {
+    // expired/invalid token → treat as anonymous
+    const user = await userFromToken(token);
+    if (user) req.user = user;
+  }
+  next();
+}
+
+// Use after requireAuth: requireRole('officer', 'admin')
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({ error: 'You do not have access to this' });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  JWT_SECRET,
+  ACCESS_TOKEN_TTL,
+  ROLES,
+  signToken,
+  setSessionCheck,
+  getBearerToken,
+  requireAuth,
+  requireRole,
+  optionalAuth,
+};
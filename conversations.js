@@ -0,0 +1,194 @@
+// conversations.js - Persistent chatbot and voice assistant conversations (PostgreSQL)
+// A conversation belongs either to a logged-in user (JWT userId) or to an
+// anonymous browser session id; nobody can read or touch anyone else's.
+// `kind` keeps the chatbot's conversations (listed in its history panel) apart
+// from the voice assistant's.
+// Older turns are folded into a running summary once the history outgrows
+// its token budget, instead of being dropped.
+
+const crypto = require('crypto');
+
+// -------------------- OWNERSHIP --------------------
+const SESSION_ID_REGEX = /^[A-Za-z0-9-]{8,64}$/;
+
+/**
+ * Who is asking: the JWT user if logged in, otherwise the X-Session-Id header.
+ * @returns {{ userId?: number, sessionId?: string } | null}
+ */
+function ownerFromRequest(req) {
+  if (req.user && req.user.userId) return { userId: req.user.userId };
+  const sessionId = req.headers['x-session-id'];
+  if (sessionId && SESSION_ID_REGEX.test(sessionId)) return { sessionId };
+  return null;
+}
+
+// SQL condition (+ params) matching rows owned by `owner`, starting at $<offset>
+function ownerClause(owner, offset) {
+  return owner.userId
+    ? { sql: `user_id = $${offset}`, params: [owner.userId] }
+    : { sql: `user_id IS NULL AND session_id = $${offset}`, params: [owner.sessionId] };
+}
+
+// -------------------- CONVERSATIONS --------------------
+function titleFrom(message) {
+  const text = String(message || '').replace(/\s+/g, ' ').trim();
+  return text.length > 40 ? `${text.slice(0, 40)}…` : text || 'New conversation';
+}
+
+async function createConversation(pool, owner, { title, language = 'en', kind = 'chatbot' } = {}) {
+  const result = await pool.query(
+    `INSERT INTO chat_conversations (id, user_id, session_id, title, language, kind)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id, kind, title, language, created_at, updated_at`,
+    [crypto.randomUUID(), owner.userId || null, owner.userId ? null : owner.sessionId,
+      title || 'New conversation', language, kind]
+  );
+  return result.rows[0];
+}
+
+// With `kind`, a conversation of the other kind counts as not found
+async function getConversation(pool, owner, id, { kind } = {}) {
+  const where = ownerClause(owner, 3);
+  const result = await pool.query(
+    `SELECT id, kind, title, language, summary, summarized_until, created_at, updated_at
+       FROM chat_conversations WHERE id = $1 AND ($2::text IS NULL OR kind = $2) AND ${where.sql}`,
+    [id, kind || null, ...where.params]
+  );
+  return result.rows[0] || null;
+}
+
+async function listConversations(pool, owner, { kind = 'chatbot' } = {}) {
+  const where = ownerClause(owner, 2);
+  const result = await pool.query(
+    `SELECT c.id, c.title, c.language, c.created_at, c.updated_at,
+            (SELECT COUNT(*)::int FROM chat_messages m WHERE m.conversation_id = c.id) AS message_count
+       FROM chat_conversations c
+      WHERE c.kind = $1 AND ${where.sql}
+      ORDER BY c.updated_at DESC`,
+    [kind, ...where.params]
+  );
+  return result.rows;
+}
+
+async function renameConversation(pool, owner, id, title, { kind } = {}) {
+  const where = ownerClause(owner, 4);
+  const result = await pool.query(
+    `UPDATE chat_conversations SET title = $2, updated_at = NOW()
+      WHERE id = $1 AND ($3::text IS NULL OR kind = $3) AND ${where.sql}
+      RETURNING id, title, language, created_at, updated_at`,
+    [id, title, kind || null, ...where.params]
+  );
+  return result.rows[0] || null;
+}
+
+async function deleteConversation(pool, owner, id, { kind } = {}) {
+  const where = ownerClause(owner, 3);
+  const result = await pool.query(
+    `DELETE FROM chat_conversations WHERE id = $1 AND ($2::text IS NULL OR kind = $2) AND ${where.sql}`,
+    [id, kind || null, ...where.params]
+  );
+  return result.rowCount > 0;
+}
+
+// Empties a conversation but keeps it (the 🧹 button)
+async function clearConversation(pool, owner, id, { kind } = {}) {
+  const conversation = await getConversation(pool, owner, id, { kind });
+  if (!conversation) return false;
+  await pool.query('DELETE FROM chat_messages WHERE conversation_id = $1', [id]);
+  await pool.query(
+    `UPDATE chat_conversations SET summary = NULL, summarized_until = 0, updated_at = NOW() WHERE id = $1`,
+    [id]
+  );
+  return true;
+}
+
+// -------------------- MESSAGES --------------------
+async function addMessage(pool, conversationId, { role, content, language }) {
+  const result = await pool.query(
+    `INSERT INTO chat_messages (conversation_id, role, content, language)
+     VALUES ($1, $2, $3, $4)
+     RETURNING id, role, content, language, created_at`,
+    [conversationId, role, content, language]
+  );
+  await pool.query(
+    'UPDATE chat_conversations SET language = $2, updated_at = NOW() WHERE id = $1',
+    [conversationId, language]
+  );
+  return result.rows[0];
+}
+
+async function listMessages(pool, conversationId, { afterId = 0 } = {}) {
+  const result = await pool.query(
+    `SELECT id, role, content, language, created_at
+       FROM chat_messages WHERE conversation_id = $1 AND id > $2
+      ORDER BY id`,
+    [conversationId, afterId]
+  );
+  return result.rows;
+}
+
+// -------------------- TOKEN BUDGET --------------------
+// Rough count without a tokenizer: ~4 Latin chars per token, while Kannada
+// script splits into far more tokens (~1 per 1.5 chars).
+function estimateTokens(text) {
+  const str = String(text || '');
+  const nonLatin = (str.match(/[^\x00-\x7F]/g) || []).length;
+  return Math.ceil((str.length - nonLatin) / 4 + nonLatin / 1.5) + 4;
+}
+
+/**
+ * Messages to send to the model for this conversation.
+ * Keeps the newest turns that fit in `budget` tokens; anything older that has
+ * not been summarised yet is passed to `summarize(previousSummary, messages)`
+ * and the result is stored on the conversation.
+ * `languages` lists the languages of the turns sent, to spot a language switch.
+ * @returns {Promise<{ summary: string | null, messages: object[], languages: string[] }>}
+ */
+async function buildHistory(pool, conversation, { budget, summarize }) {
+  const pending = await listMessages(pool, conversation.id, { afterId: conversation.summarized_until });
+
+  // Walk back from the newest message until the budget is used up
+  let used = estimateTokens(conversation.summary);
+  let keepFrom = pending.length;
+  while (keepFrom > 0) {
+    const cost = estimateTokens(pending[keepFrom - 1].content);
+    if (used + cost > budget && keepFrom < pending.length) break;
+    used += cost;
+    keepFrom--;
+  }
+
+  let summary = conversation.summary;
+  const overflow = pending.slice(0, keepFrom);
+  if (overflow.length) {
+    summary = await summarize(summary, overflow);
+    const until = overflow[overflow.length - 1].id;
+    await pool.query(
+      'UPDATE chat_conversations SET summary = $2, summarized_until = $3 WHERE id = $1',
+      [conversation.id, summary, until]
+    );
+    conversation.summary = summary;
+    conversation.summarized_until = until;
+  }
+
+  const kept = pending.slice(keepFrom);
+  return {
+    summary,
+    messages: kept.map(({ role, content }) => ({ role, content })),
+    languages: [...new Set(kept.map(m => m.language))],
+  };
+}
+
+module.exports = {
+  ownerFromRequest,
+  titleFrom,
+  createConversation,
+  getConversation,
+  listConversations,
+  renameConversation,
+  deleteConversation,
+  clearConversation,
+  addMessage,
+  listMessages,
+  estimateTokens,
+  buildHistory,
+};
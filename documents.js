@@ -0,0 +1,136 @@
+// documents.js - Citizens' document vault and per-scheme checklists
+// Files live in the store from storage.js; this table only knows who owns what.
+// Only the owner can list, download or delete a document (every query filters on user_id).
+
+const crypto = require('crypto');
+
+// -------------------- DOCUMENT TYPES --------------------
+// Keys are stored in user_documents.doc_type; `names` are the spellings used in
+// schemes.documents, so a scheme's list can be matched against the vault.
+// Labels are per language code (locales.js); English is the fallback.
+const DOCUMENT_TYPES = {
+  aadhaar: { en: 'Aadhaar card', kn: 'ಆಧಾರ್ ಕಾರ್ಡ್', hi: 'आधार कार्ड', names: ['aadhaar card', 'aadhaar', 'aadhar card'] },
+  ration_card: { en: 'Ration card', kn: 'ಪಡಿತರ ಚೀಟಿ', hi: 'राशन कार्ड', names: ['ration card', 'bpl card', 'bpl ration card'] },
+  caste_certificate: { en: 'Caste certificate', kn: 'ಜಾತಿ ಪ್ರಮಾಣಪತ್ರ', hi: 'जाति प्रमाण पत्र', names: ['caste certificate'] },
+  income_certificate: { en: 'Income certificate', kn: 'ಆದಾಯ ಪ್ರಮಾಣಪತ್ರ', hi: 'आय प्रमाण पत्र', names: ['income certificate'] },
+  land_records: { en: 'Land records (RTC)', kn: 'ಭೂ ದಾಖಲೆಗಳು (ಪಹಣಿ)', hi: 'भूमि रिकॉर्ड (RTC)', names: ['land records (rtc)', 'land records', 'rtc', 'pahani'] },
+  bank_passbook: { en: 'Bank passbook', kn: 'ಬ್ಯಾಂಕ್ ಪಾಸ್‌ಬುಕ್', hi: 'बैंक पासबुक', names: ['bank passbook', 'bank account details'] },
+  labour_card: { en: 'Labour card', kn: 'ಕಾರ್ಮಿಕ ಕಾರ್ಡ್', hi: 'श्रमिक कार्ड', names: ['labour card', 'labor card'] },
+  marks_card: { en: 'Marks card', kn: 'ಅಂಕಪಟ್ಟಿ', hi: 'अंक पत्र', names: ['marks card', 'marks cards'] },
+  photo: { en: 'Passport size photo', kn: 'ಪಾಸ್‌ಪೋರ್ಟ್ ಗಾತ್ರದ ಫೋಟೋ', hi: 'पासपोर्ट साइज़ फोटो', names: ['photo', 'passport size photo', 'photograph'] },
+  other: { en: 'Other document', kn: 'ಇತರ ದಾಖಲೆ', hi: 'अन्य दस्तावेज़', names: [] },
+};
+
+// Scheme document name -> type key, or null when it is not one we know
+function documentTypeFor(name) {
+  const wanted = String(name || '').trim().toLowerCase();
+  const match = Object.entries(DOCUMENT_TYPES).find(([, t]) => t.names.includes(wanted));
+  return match ? match[0] : null;
+}
+
+// -------------------- FILE CHECKS --------------------
+// Allowed uploads; the first bytes must agree with the type the browser claims
+const FILE_TYPES = {
+  'application/pdf': { ext: 'pdf', magic: [[0x25, 0x50, 0x44, 0x46]] },
+  'image/jpeg': { ext: 'jpg', magic: [[0xff, 0xd8, 0xff]] },
+  'image/png': { ext: 'png', magic: [[0x89, 0x50, 0x4e, 0x47]] },
+  'image/webp': { ext: 'webp', magic: [[0x52, 0x49, 0x46, 0x46]] },
+};
+
+function matchesMagic(mimeType, buffer) {
+  const type = FILE_TYPES[mimeType];
+  if (!type) return false;
+  const ok = type.magic.some(bytes => bytes.every((b, i) => buffer[i] === b));
+  // RIFF is shared with WAV/AVI; WEBP is at bytes 8-11
+  if (ok && mimeType === 'image/webp') return buffer.toString('latin1', 8, 12) === 'WEBP';
+  return ok;
+}
+
+// -------------------- VAULT --------------------
+const DOCUMENT_COLUMNS = 'id, doc_type, original_name, mime_type, size_bytes, created_at';
+
+function newStorageKey(userId, mimeType) {
+  return `${userId}/${crypto.randomUUID()}.${FILE_TYPES[mimeType].ext}`;
+}
+
+/**
+ * Store an uploaded file and record it. The file is written before the row so a
+ * row never points at a missing file; if the insert fails the file is removed.
+ */
+async function addDocument(pool, store, userId, { docType, originalName, mimeType, buffer }) {
+  const key = newStorageKey(userId, mimeType);
+  await store.save(key, buffer);
+  try {
+    const result = await pool.query(
+      `INSERT INTO user_documents (user_id, doc_type, original_name, mime_type, size_bytes, sha256, storage_key)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING ${DOCUMENT_COLUMNS}`,
+      [userId, docType, originalName ? String(originalName).slice(0, 200) : null, mimeType, buffer.length,
+        crypto.createHash('sha256').update(buffer).digest('hex'), key]
+    );
+    return result.rows[0];
+  } catch (err) {
+    await store.remove(key).catch(() => {});
+    throw err;
+  }
+}
+
+async function listDocuments(pool, userId) {
+  const result = await pool.query(
+    `SELECT ${DOCUMENT_COLUMNS} FROM user_documents WHERE user_id = $1 ORDER BY doc_type, created_at DESC`,
+    [userId]
+  );
+  return result.rows;
+}
+
+// Includes storage_key, for streaming the file; null unless the user owns it
+async function getDocument(pool, userId, id) {
+  const result = await pool.query(
+    `SELECT ${DOCUMENT_COLUMNS}, storage_key FROM user_documents WHERE id = $1 AND user_id = $2`,
+    [id, userId]
+  );
+  return result.rows[0] || null;
+}
+
+async function deleteDocument(pool, store, userId, id) {
+  const result = await pool.query(
+    'DELETE FROM user_documents WHERE id = $1 AND user_id = $2 RETURNING storage_key',
+    [id, userId]
+  );
+  if (!result.rows[0]) return false;
+  await store.remove(result.rows[0].storage_key);
+  return true;
+}
+
+// -------------------- CHECKLIST --------------------
+/**
+ * What a scheme asks for, and which of those the user already has.
+ * @returns {{ items: { name: string, type: string|null, have: boolean, documents: object[] }[],
+ *             have: number, missing: number }}
+ */
+function buildChecklist(scheme, userDocuments, lang = 'en') {
+  const items = (scheme.documents || []).map(name => {
+    const type = documentTypeFor(name);
+    const documents = type ? userDocuments.filter(d => d.doc_type === type) : [];
+    return {
+      name: type ? DOCUMENT_TYPES[type][lang] || DOCUMENT_TYPES[type].en : name,
+      type,
+      have: documents.length > 0,
+      documents,
+    };
+  });
+  const have = items.filter(i => i.have).length;
+  return { items, have, missing: items.length - have };
+}
+
+module.exports = {
+  DOCUMENT_TYPES,
+  FILE_TYPES,
+  documentTypeFor,
+  matchesMagic,
+  addDocument,
+  listDocuments,
+  getDocument,
+  deleteDocument,
+  buildChecklist,
+};
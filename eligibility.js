@@ -0,0 +1,254 @@
+// eligibility.js - Rules engine for "which schemes do I qualify for?"
+//
+// Rules are plain data stored on each scheme (schemes.eligibility JSONB), e.g.
+//   { "gender": ["female"], "minAge": 18, "maxAge": 40, "bpl": true,
+//     "maxIncome": 250000, "casteCategories": ["SC", "ST"], "occupations": ["farmer"],
+//     "minLandAcres": 0, "maxLandAcres": 5, "districts": ["Mandya"],
+//     "anyOf": [ { ...rules }, { ...rules } ] }
+// Every key must hold (AND); at least one entry of anyOf must hold (OR).
+// Limits are inclusive: maxAge 40 accepts a 40-year-old. checkRules() refuses
+// anything else before a scheme is saved.
+
+const GENDERS = ['male', 'female', 'other'];
+const CASTE_CATEGORIES = ['General', 'OBC', 'SC', 'ST', 'Minority'];
+
+// -------------------- PROFILE --------------------
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : NaN;
+}
+
+function toBoolean(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (typeof value === 'boolean') return value;
+  const v = String(value).toLowerCase();
+  if (['true', 'yes', '1'].includes(v)) return true;
+  if (['false', 'no', '0'].includes(v)) return false;
+  return null;
+}
+
+/**
+ * Normalise a citizen profile from a request body.
+ * @returns {{ profile?: object, error?: string }}
+ */
+function parseProfile(body = {}) {
+  const profile = {
+    age: toNumber(body.age),
+    gender: body.gender ? String(body.gender).toLowerCase() : undefined,
+    income: toNumber(body.income),
+    bpl: toBoolean(body.bpl),
+    casteCategory: body.caste_category || body.casteCategory || undefined,
+    occupation: body.occupation ? String(body.occupation).toLowerCase().trim() : undefined,
+    landAcres: toNumber(body.land_acres ?? body.landAcres),
+    district: body.district ? String(body.district).trim() : undefined,
+  };
+
+  if (Number.isNaN(profile.age) || profile.age < 0 || profile.age > 130)
+    return { error: 'Age must be a number between 0 and 130' };
+  if (Number.isNaN(profile.income) || profile.income < 0)
+    return { error: 'Income must be a positive number (yearly, in ₹)' };
+  if (Number.isNaN(profile.landAcres) || profile.landAcres < 0)
+    return { error: 'Land holding must be a positive number of acres' };
+  if (profile.bpl === null)
+    return { error: 'BPL must be yes or no' };
+  if (profile.gender && !GENDERS.includes(profile.gender))
+    return { error: `Gender must be one of ${GENDERS.join(', ')}` };
+  if (profile.casteCategory) {
+    const match = CASTE_CATEGORIES.find(c => c.toLowerCase() === String(profile.casteCategory).toLowerCase());
+    if (!match) return { error: `Caste category must be one of ${CASTE_CATEGORIES.join(', ')}` };
+    profile.casteCategory = match;
+  }
+  return { profile };
+}
+
+// -------------------- MESSAGES --------------------
+const MESSAGES = {
+  en: {
+    minAge: r => `Age ${r.minAge} or above`,
+    maxAge: r => `Age ${r.maxAge} or below`,
+    gender: r => `For ${r.gender.join(' / ')} applicants`,
+    bpl: r => (r.bpl ? 'BPL card holders' : 'Not for BPL card holders'),
+    maxIncome: r => `Yearly income up to ₹${r.maxIncome.toLocaleString('en-IN')}`,
+    casteCategories: r => `For ${r.casteCategories.join(' / ')} category`,
+    occupations: r => `For ${r.occupations.join(' / ').replace(/_/g, ' ')}s`,
+    minLandAcres: r => `Owns at least ${r.minLandAcres} acres of land`,
+    maxLandAcres: r => `Owns up to ${r.maxLandAcres} acres of land`,
+    districts: r => `Only in ${r.districts.join(', ')}`,
+  },
+  kn: {
+    minAge: r => `${r.minAge} ಅಥವಾ ಹೆಚ್ಚು ವಯಸ್ಸು`,
+    maxAge: r => `${r.maxAge} ಅಥವಾ ಕಡಿಮೆ ವಯಸ್ಸು`,
+    gender: r => (r.gender.includes('female') ? 'ಮಹಿಳೆಯರಿಗೆ' : `${r.gender.join(' / ')} ಅರ್ಜಿದಾರರಿಗೆ`),
+    bpl: r => (r.bpl ? 'ಬಿಪಿಎಲ್ ಕಾರ್ಡ್ ಹೊಂದಿರುವವರಿಗೆ' : 'ಬಿಪಿಎಲ್ ಕಾರ್ಡ್ ಹೊಂದಿರುವವರಿಗೆ ಅಲ್ಲ'),
+    maxIncome: r => `ವಾರ್ಷಿಕ ಆದಾಯ ₹${r.maxIncome.toLocaleString('en-IN')} ವರೆಗೆ`,
+    casteCategories: r => `${r.casteCategories.join(' / ')} ವರ್ಗದವರಿಗೆ`,
+    occupations: r => `${r.occupations.join(' / ').replace(/_/g, ' ')} ಅವರಿಗೆ`,
+    minLandAcres: r => `ಕನಿಷ್ಠ ${r.minLandAcres} ಎಕರೆ ಜಮೀನು`,
+    maxLandAcres: r => `${r.maxLandAcres} ಎಕರೆವರೆಗೆ ಜಮೀನು`,
+    districts: r => `${r.districts.join(', ')} ಜಿಲ್ಲೆಗಳಲ್ಲಿ ಮಾತ್ರ`,
+  },
+};
+
+// Which profile field each criterion reads
+const CRITERION_FIELD = {
+  minAge: 'age',
+  maxAge: 'age',
+  gender: 'gender',
+  bpl: 'bpl',
+  maxIncome: 'income',
+  casteCategories: 'casteCategory',
+  occupations: 'occupation',
+  minLandAcres: 'landAcres',
+  maxLandAcres: 'landAcres',
+  districts: 'district',
+};
+
+const lower = list => list.map(v => String(v).toLowerCase());
+
+// true / false for one criterion; the caller already checked the field is present
+const CHECKS = {
+  minAge: (r, p) => p.age >= r.minAge,
+  maxAge: (r, p) => p.age <= r.maxAge,
+  gender: (r, p) => lower(r.gender).includes(p.gender),
+  bpl: (r, p) => p.bpl === r.bpl,
+  maxIncome: (r, p) => p.income <= r.maxIncome,
+  casteCategories: (r, p) => lower(r.casteCategories).includes(p.casteCategory.toLowerCase()),
+  occupations: (r, p) => lower(r.occupations).includes(p.occupation),
+  minLandAcres: (r, p) => p.landAcres >= r.minLandAcres,
+  maxLandAcres: (r, p) => p.landAcres <= r.maxLandAcres,
+  districts: (r, p) => lower(r.districts).includes(p.district.toLowerCase()),
+};
+
+// -------------------- RULES --------------------
+const isNumber = v => typeof v === 'number' && Number.isFinite(v);
+const isTextList = v => Array.isArray(v) && v.length > 0 && v.every(x => typeof x === 'string' && x.trim() !== '');
+const within = allowed => v => isTextList(v) && v.every(x => allowed.some(a => a.toLowerCase() === x.toLowerCase()));
+
+// What each key must hold for CHECKS and MESSAGES to work on it
+const RULE_TYPES = {
+  minAge: { test: v => isNumber(v) && v >= 0 && v <= 130, error: 'a number of years between 0 and 130' },
+  maxAge: { test: v => isNumber(v) && v >= 0 && v <= 130, error: 'a number of years between 0 and 130' },
+  gender: { test: within(GENDERS), error: `a list of ${GENDERS.join(', ')}` },
+  bpl: { test: v => typeof v === 'boolean', error: 'true or false' },
+  maxIncome: { test: v => isNumber(v) && v >= 0, error: 'a positive number (yearly, in ₹)' },
+  casteCategories: { test: within(CASTE_CATEGORIES), error: `a list of ${CASTE_CATEGORIES.join(', ')}` },
+  occupations: { test: isTextList, error: 'a list of occupations' },
+  minLandAcres: { test: v => isNumber(v) && v >= 0, error: 'a positive number of acres' },
+  maxLandAcres: { test: v => isNumber(v) && v >= 0, error: 'a positive number of acres' },
+  districts: { test: isTextList, error: 'a list of districts' },
+};
+
+/**
+ * Check rules an administrator entered before they are stored.
+ * @returns {string|null} what is wrong, or null
+ */
+function checkRules(rules, path = 'eligibility') {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) return `${path} must be an object of rules`;
+
+  for (const [key, value] of Object.entries(rules)) {
+    if (key === 'anyOf') {
+      if (!Array.isArray(value) || !value.length) return `${path}.anyOf must be a list of rule objects`;
+      for (const [i, option] of value.entries()) {
+        const error = checkRules(option, `${path}.anyOf[${i}]`);
+        if (error) return error;
+      }
+      continue;
+    }
+    const type = RULE_TYPES[key];
+    if (!type) return `${path}.${key} is not a known rule (${[...Object.keys(RULE_TYPES), 'anyOf'].join(', ')})`;
+    if (!type.test(value)) return `${path}.${key} must be ${type.error}`;
+  }
+
+  if (rules.minAge !== undefined && rules.maxAge !== undefined && rules.minAge > rules.maxAge)
+    return `${path}.minAge cannot be above maxAge`;
+  if (rules.minLandAcres !== undefined && rules.maxLandAcres !== undefined && rules.minLandAcres > rules.maxLandAcres)
+    return `${path}.minLandAcres cannot be above maxLandAcres`;
+  return null;
+}
+
+// -------------------- ENGINE --------------------
+/**
+ * Check one scheme's rules against a profile.
+ * @returns {{ status: 'eligible' | 'maybe' | 'ineligible', reasons: object[], failed: object[], missing: object[] }}
+ *   each entry is { criterion, field, text }
+ */
+function evaluateRules(rules = {}, profile = {}, lang = 'en') {
+  const messages = MESSAGES[lang] || MESSAGES.en;
+  const reasons = [];
+  const failed = [];
+  const missing = [];
+
+  for (const [criterion, check] of Object.entries(CHECKS)) {
+    if (rules[criterion] === undefined) continue;
+    const field = CRITERION_FIELD[criterion];
+    const entry = { criterion, field, text: messages[criterion](rules) };
+
+    if (profile[field] === undefined) missing.push(entry);
+    else if (check(rules, profile)) reasons.push(entry);
+    else failed.push(entry);
+  }
+
+  if (Array.isArray(rules.anyOf) && rules.anyOf.length) {
+    const options = rules.anyOf.map(r => evaluateRules(r, profile, lang));
+    const best = options.find(o => o.status === 'eligible') ||
+      options.find(o => o.status === 'maybe');
+    if (best) {
+      reasons.push(...best.reasons);
+      missing.push(...best.missing);
+    } else {
+      failed.push(...options.flatMap(o => o.failed));
+    }
+  }
+
+  const status = failed.length ? 'ineligible' : missing.length ? 'maybe' : 'eligible';
+  return { status, reasons, failed, missing };
+}
+
+function hasRules(rules) {
+  return !!rules && Object.keys(rules).length > 0;
+}
+
+/**
+ * Match a profile against a list of schemes.
+ * Schemes without rules are open to everyone and only listed with includeGeneral.
+ */
+function matchSchemes(schemes, profile, { lang = 'en', includeGeneral = false } = {}) {
+  const results = [];
+  for (const s of schemes) {
+    if (!hasRules(s.eligibility) && !includeGeneral) continue;
+
+    const result = evaluateRules(s.eligibility || {}, profile, lang);
+    if (result.status === 'ineligible') continue;
+
+    results.push({
+      scheme: {
+        id: s.id,
+        slug: s.slug,
+        title: s[`title_${lang}`] || s.title_en,
+        category: s.category,
+        benefit_amount: s.benefit_amount,
+        link: s.link,
+      },
+      status: result.status,
+      reasons: result.reasons,
+      missing: result.missing,
+    });
+  }
+
+  // Confirmed matches first, then the ones that match on more criteria
+  return results.sort((a, b) =>
+    (a.status === 'eligible' ? 0 : 1) - (b.status === 'eligible' ? 0 : 1) ||
+    b.reasons.length - a.reasons.length ||
+    a.scheme.id - b.scheme.id
+  );
+}
+
+module.exports = {
+  GENDERS,
+  CASTE_CATEGORIES,
+  parseProfile,
+  checkRules,
+  evaluateRules,
+  matchSchemes,
+};
@@ -0,0 +1,212 @@
+// feedback.js - Citizen feedback (PostgreSQL `feedback` table)
+// Written by POST /api/feedback (the home.html feedback form), reviewed, exported
+// and summarised (feedbackStats) for the admin console.
+
+const { slugify } = require('./schemes');
+
+// -------------------- VALIDATION --------------------
+// Option values of the home.html selects
+const GENDERS = ['male', 'female', 'other'];
+const APPLICATION_STATUSES = ['applied', 'approved', 'rejected', 'not_applied'];
+const USAGE_FREQUENCIES = ['never', 'rarely', 'sometimes', 'often', 'always'];
+
+const MAX_TEXT = 200;
+const MAX_COMMENTS = 2000;
+
+/**
+ * Check the feedback form. Optional fields may be empty; user_id and
+ * created_at from the client are ignored (the server sets them).
+ * @returns {{ feedback?: object, error?: string }}
+ */
+function parseFeedbackInput(body = {}) {
+  const text = v => (v == null ? '' : String(v).trim());
+  const fb = {
+    name: text(body.name),
+    email: text(body.email) || null,
+    phone: text(body.phone).replace(/[\s-]/g, '') || null,
+    gender: text(body.gender) || null,
+    location: text(body.location) || null,
+    scheme_applied: text(body.scheme_applied) || null,
+    application_status: text(body.application_status) || null,
+    usage_frequency: text(body.usage_frequency) || null,
+    // Older clients sent the free text as message
+    comments: text(body.comments) || text(body.message) || null,
+  };
+
+  if (!fb.name) return { error: 'Name is required' };
+  for (const field of ['name', 'email', 'phone', 'location', 'scheme_applied']) {
+    if (fb[field] && fb[field].length > MAX_TEXT) return { error: `${field} is too long` };
+  }
+  if (fb.comments && fb.comments.length > MAX_COMMENTS)
+    return { error: `Comments can be at most ${MAX_COMMENTS} characters` };
+
+  const rating = Number(body.feedback_rating);
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) return { error: 'Rating must be between 1 and 5' };
+  fb.feedback_rating = rating;
+
+  if (fb.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(fb.email)) return { error: 'Email is not valid' };
+  if (fb.phone && !/^(\+91)?[6-9]\d{9}$/.test(fb.phone)) return { error: 'Phone must be a 10-digit mobile number' };
+  if (fb.gender && !GENDERS.includes(fb.gender)) return { error: 'Unknown gender' };
+  if (fb.application_status && !APPLICATION_STATUSES.includes(fb.application_status))
+    return { error: 'Unknown application status' };
+  if (fb.usage_frequency && !USAGE_FREQUENCIES.includes(fb.usage_frequency))
+    return { error: 'Unknown usage frequency' };
+
+  fb.age = null;
+  if (text(body.age)) {
+    const age = Number(body.age);
+    if (!Number.isInteger(age) || age < 1 || age > 120) return { error: 'Age must be between 1 and 120' };
+    fb.age = age;
+  }
+
+  fb.scheme_benefit_amount = null;
+  if (text(body.scheme_benefit_amount)) {
+    const amount = Number(body.scheme_benefit_amount);
+    if (!Number.isFinite(amount) || amount < 0) return { error: 'Benefit amount must be a positive number' };
+    fb.scheme_benefit_amount = amount;
+  }
+
+  return { feedback: fb };
+}
+
+// -------------------- WRITE --------------------
+// scheme_applied is free text; link it to the catalogue when it names a scheme
+// ("anna bhagya" finds anna-bhagya-scheme)
+async function insertFeedback(pool, userId, fb) {
+  const slug = fb.scheme_applied ? slugify(fb.scheme_applied) : null;
+  const result = await pool.query(
+    `INSERT INTO feedback (user_id, name, email, phone, gender, age, location, scheme_applied, scheme_id,
+                           application_status, scheme_benefit_amount, usage_frequency, feedback_rating, comments)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8,
+             (SELECT id FROM schemes
+               WHERE slug IN ($14, $14 || '-scheme') OR title_kn = $8
+               ORDER BY slug = $14 DESC
+               LIMIT 1),
+             $9, $10, $11, $12, $13)
+     RETURNING *`,
+    [userId, fb.name, fb.email, fb.phone, fb.gender, fb.age, fb.location, fb.scheme_applied,
+      fb.application_status, fb.scheme_benefit_amount, fb.usage_frequency, fb.feedback_rating, fb.comments, slug]
+  );
+  return result.rows[0];
+}
+
+// -------------------- QUERIES --------------------
+// Filters: q (text in name/email/location/scheme/comments), from / to (dates, inclusive)
+// alias prefixes the columns when the query joins other tables
+function feedbackWhere({ q, from, to } = {}, alias = '') {
+  const c = column => (alias ? `${alias}.${column}` : column);
+  const params = [];
+  const conditions = [];
+  if (q) {
+    params.push(`%${q}%`);
+    const n = params.length;
+    conditions.push(`(${['name', 'email', 'location', 'scheme_applied', 'comments', 'message']
+      .map(col => `${c(col)} ILIKE $${n}`).join(' OR ')})`);
+  }
+  if (from) {
+    params.push(from);
+    conditions.push(`${c('created_at')} >= $${params.length}::date`);
+  }
+  if (to) {
+    params.push(to);
+    conditions.push(`${c('created_at')} < $${params.length}::date + 1`);
+  }
+  return { where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '', params };
+}
+
+/**
+ * @returns {Promise<{ total: number, feedback: object[] }>}
+ */
+async function listFeedback(pool, filters = {}, { limit = 50, offset = 0 } = {}) {
+  const { where, params } = feedbackWhere(filters);
+  const total = await pool.query(`SELECT COUNT(*)::int AS count FROM feedback ${where}`, params);
+  const rows = await pool.query(
+    `SELECT * FROM feedback ${where}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+  return { total: total.rows[0].count, feedback: rows.rows };
+}
+
+// -------------------- STATS --------------------
+/**
+ * Aggregates for GET /api/feedback/stats, over the same from / to filter.
+ * Schemes are grouped by catalogue entry when scheme_applied matched one,
+ * otherwise by the text typed (case-insensitive).
+ */
+async function feedbackStats(pool, { from, to } = {}) {
+  const { where, params } = feedbackWhere({ from, to });
+  const joined = feedbackWhere({ from, to }, 'f').where;
+
+  const [overall, byScheme, byStatus, byLocation, byGender] = await Promise.all([
+    pool.query(
+      `SELECT COUNT(*)::int AS total, ROUND(AVG(feedback_rating), 2)::float8 AS average_rating
+         FROM feedback ${where}`,
+      params
+    ),
+    pool.query(
+      `SELECT f.scheme_id, COALESCE(s.title_en, MIN(f.scheme_applied)) AS scheme,
+              COUNT(*)::int AS count, ROUND(AVG(f.feedback_rating), 2)::float8 AS average_rating
+         FROM feedback f LEFT JOIN schemes s ON s.id = f.scheme_id
+         ${joined ? `${joined} AND` : 'WHERE'} f.scheme_applied IS NOT NULL AND f.feedback_rating IS NOT NULL
+        GROUP BY f.scheme_id, s.title_en, CASE WHEN f.scheme_id IS NULL THEN LOWER(f.scheme_applied) END
+        ORDER BY count DESC, scheme`,
+      params
+    ),
+    countBy(pool, 'application_status', where, params),
+    countBy(pool, 'location', where, params),
+    countBy(pool, 'gender', where, params),
+  ]);
+
+  return {
+    total: overall.rows[0].total,
+    average_rating: overall.rows[0].average_rating,
+    by_scheme: byScheme.rows,
+    by_application_status: byStatus,
+    by_location: byLocation,
+    by_gender: byGender,
+  };
+}
+
+// [{ value, count }], most common first; empty answers are counted as null
+async function countBy(pool, column, where, params) {
+  const key = column === 'location' ? 'INITCAP(TRIM(location))' : column;
+  const result = await pool.query(
+    `SELECT ${key} AS value, COUNT(*)::int AS count
+       FROM feedback ${where}
+      GROUP BY 1
+      ORDER BY count DESC, value NULLS LAST`,
+    params
+  );
+  return result.rows;
+}
+
+// -------------------- EXPORT --------------------
+function csvCell(value) {
+  if (value == null) return '';
+  const text = value instanceof Date ? value.toISOString() :
+    typeof value === 'object' ? JSON.stringify(value) : String(value);
+  // Quote everything that could break the row; neutralise spreadsheet formulas
+  const safe = /^[=+\-@]/.test(text) ? `'${text}` : text;
+  return /[",\r\n]/.test(safe) || safe !== text ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+function toCsv(rows) {
+  if (!rows.length) return '';
+  const columns = Object.keys(rows[0]);
+  const lines = [columns.join(',')];
+  for (const row of rows) lines.push(columns.map(c => csvCell(row[c])).join(','));
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  GENDERS,
+  APPLICATION_STATUSES,
+  USAGE_FREQUENCIES,
+  parseFeedbackInput,
+  insertFeedback,
+  listFeedback,
+  feedbackStats,
+  toCsv,
+};
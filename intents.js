@@ -0,0 +1,271 @@
+// intents.js - Voice commands: what a spoken sentence asks the site to do (va.js)
+// "open Gruha Jyothi", "ನನ್ನ ಖಾತೆ ತೆರೆಯಿರಿ", "switch to Hindi" ... are matched here
+// by fixed rules for English and Kannada; /api/voice/intent asks the model
+// ('intent' prompt) only when the rules find nothing in something that still
+// sounds like a command. Questions are never commands: they go to /api/chat.
+//
+// Intents and their slots:
+//   open_scheme {scheme}    read_scheme {scheme}    search_schemes {query}
+//   switch_language {language}    open_feedback    open_account    open_learning
+// Scheme names are looked up in the catalogue (scheme-search.js); a name that
+// fits several schemes becomes a search instead.
+
+const locales = require('./locales');
+const { searchSchemes, queryKeys, TITLE_WEIGHT } = require('./scheme-search');
+
+const INTENTS = {
+  open_scheme: ['scheme'],
+  read_scheme: ['scheme'],
+  search_schemes: ['query'],
+  switch_language: ['language'],
+  open_feedback: [],
+  open_account: [],
+  open_learning: [],
+};
+
+// Commands are short; anything longer is talk for the assistant
+const MAX_COMMAND_WORDS = 10;
+
+// -------------------- WORDS --------------------
+// English entries must match a whole word; Kannada ones are stems, because the
+// word carries its case ending ("ಖಾತೆಯನ್ನು", "ಕಲಿಕಾ", "ತೆರೆಯಿರಿ")
+const LATIN = /^[a-z0-9]+$/;
+
+function wordIs(word, stem) {
+  return word === stem || (!LATIN.test(stem) && word.startsWith(stem));
+}
+
+function hasWord(words, stems) {
+  return words.some(w => stems.some(s => wordIs(w, s)));
+}
+
+// Said around a command, never part of it
+const FILLERS = [
+  'please', 'kindly', 'can you', 'could you', 'would you', 'will you', 'i want to', 'i would like to',
+  'i wish to', 'let me', 'for me', 'now', 'just', 'hey', 'okay', 'ok',
+  'ದಯವಿಟ್ಟು', 'ಈಗ', 'ಸ್ವಲ್ಪ', 'ನನಗೆ', 'ಒಮ್ಮೆ',
+];
+
+const QUESTION_WORDS = [
+  'how', 'what', 'why', 'when', 'where', 'which', 'who', 'whose', 'should',
+  'ಹೇಗೆ', 'ಏನ', 'ಏಕೆ', 'ಯಾಕೆ', 'ಯಾವ', 'ಯಾರ', 'ಎಲ್ಲಿ', 'ಎಷ್ಟು',
+];
+
+const VERBS = [
+  'open', 'show', 'go', 'take', 'display', 'view', 'see', 'check', 'give', 'send', 'write', 'submit',
+  'manage', 'edit', 'update', 'change', 'switch', 'search', 'find', 'look', 'read', 'speak',
+  'ತೆರೆ', 'ತೋರಿಸ', 'ಓಪನ', 'ಹೋಗ', 'ನೋಡ', 'ಕೊಡ', 'ನೀಡ', 'ಕಳುಹಿಸ', 'ಕಳಿಸ', 'ಬರೆ', 'ನಿರ್ವಹಿಸ',
+  'ಬದಲಿಸ', 'ಬದಲಾಯಿಸ', 'ಹುಡುಕ', 'ಸರ್ಚ', 'ಓದ', 'ಮಾತನಾಡ', 'ಮಾತಾಡ',
+];
+
+// Intents without slots: a target word, a verb, and nothing else but these
+const PAGES = {
+  open_learning: ['learning', 'course', 'courses', 'lesson', 'lessons', 'ಕಲಿಕ', 'ಲರ್ನಿಂಗ', 'ಕೋರ್ಸ'],
+  open_feedback: ['feedback', 'complaint', 'ಅಭಿಪ್ರಾಯ', 'ಪ್ರತಿಕ್ರಿಯೆ', 'ಫೀಡ್ಬ್ಯಾಕ', 'ದೂರು'],
+  open_account: ['account', 'profile', 'ಖಾತೆ', 'ಅಕೌಂಟ', 'ಪ್ರೊಫೈಲ'],
+};
+const PAGE_GLUE = [
+  'my', 'the', 'a', 'an', 'to', 'me', 'i', 'in', 'up', 'page', 'form', 'window', 'space', 'settings',
+  'section', 'details', 'screen', 'box',
+  'ನನ್ನ', 'ನಮ್ಮ', 'ನಾನು', 'ಪುಟ', 'ಫಾರ್ಮ', 'ಸ್ಪೇಸ', 'ಸ್ಥಳ', 'ವಿಭಾಗ', 'ವಿವರ', 'ಸೆಟ್ಟಿಂಗ', 'ಮಾಡ',
+];
+
+// Words around a scheme name or search text that are not part of it
+const SLOT_NOISE = [
+  'the', 'a', 'page', 'card', 'details', 'description', 'info', 'information', 'about', 'schemes', 'yojanas',
+  'ಬಗ್ಗೆ', 'ವಿವರ', 'ಮಾಹಿತಿ', 'ಪುಟ', 'ಕಾರ್ಡ', 'ಯೋಜನೆಗಳ',
+];
+// Object endings: "ಯೋಜನೆಯನ್ನು" → "ಯೋಜನೆ", "ಅದನ್ನು" → "ಅದ"
+const KANNADA_ENDINGS = ['ಗಳನ್ನು', 'ಯನ್ನು', 'ವನ್ನು', 'ನ್ನು'];
+
+// How languages are named in a command, besides their English and native names
+const LANGUAGE_WORDS = {
+  en: ['ಇಂಗ್ಲಿಷ', 'ಇಂಗ್ಲೀಷ', 'ಇಂಗ್ಲಿಶ'],
+  kn: ['ಕನ್ನಡ'],
+  hi: ['ಹಿಂದಿ', 'ಹಿಂದೀ', 'हिंदी'],
+  te: ['ತೆಲುಗ'],
+  ta: ['ತಮಿಳ'],
+};
+
+// locales.js code for a spoken language name ("hindi", "ಹಿಂದಿಯಲ್ಲಿ"), else null
+function languageFrom(word) {
+  const w = String(word || '').toLowerCase();
+  return locales.codes().find(code => {
+    const locale = locales.get(code);
+    const names = [locale.name.toLowerCase(), code, ...(LANGUAGE_WORDS[code] || [])];
+    if (!LATIN.test(locale.nativeName.toLowerCase())) names.push(locale.nativeName);
+    return names.some(name => wordIs(w, name));
+  }) || null;
+}
+
+// -------------------- NORMALISING --------------------
+function normalizeText(text) {
+  let t = ` ${String(text || '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[\u200c\u200d]/g, '')
+    .replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()} `;
+  for (const filler of FILLERS) t = t.split(` ${filler} `).join(' ');
+  return t.trim();
+}
+
+function stripEnding(word) {
+  const ending = KANNADA_ENDINGS.find(e => word.endsWith(e) && word.length > e.length + 1);
+  return ending ? word.slice(0, -ending.length) : word;
+}
+
+// "ಗೃಹ ಜ್ಯೋತಿ ಯೋಜನೆಯನ್ನು" → "ಗೃಹ ಜ್ಯೋತಿ ಯೋಜನೆ", "gruha jyothi page" → "gruha jyothi"
+function cleanSlot(text) {
+  return normalizeText(text)
+    .split(' ')
+    .map(stripEnding)
+    .filter(w => w && !SLOT_NOISE.some(n => wordIs(w, n)))
+    .join(' ');
+}
+
+// -------------------- RULES --------------------
+// Tried in order; named groups are the slots
+const SLOT_RULES = [
+  { intent: 'switch_language', re: /^(?:switch|change|set)(?: the)?(?: language)?(?: to| into)? (?<language>\S+)(?: language)?$/ },
+  { intent: 'switch_language', re: /^(?:speak|talk|reply|answer)(?: to me)?(?: only)? in (?<language>\S+)$/ },
+  { intent: 'switch_language', re: /^(?:ಭಾಷೆ(?:ಯನ್ನು)? )?(?<language>\S+) (?:ಬದಲಿಸಿ|ಬದಲಿಸು|ಬದಲಾಯಿಸಿ|ಬದಲಾಯಿಸು)$/ },
+  { intent: 'switch_language', re: /^(?<language>\S+) (?:ಮಾತನಾಡಿ|ಮಾತಾಡಿ|ಮಾತನಾಡು|ಮಾತಾಡು|ಉತ್ತರಿಸಿ)$/ },
+
+  { intent: 'search_schemes', re: /^(?:search|find|look)(?: for)?(?: the)?(?: schemes?| yojanas?)?(?: for| about| on| related to)? (?<query>.+)$/ },
+  { intent: 'search_schemes', re: /^show(?: me)?(?: all)?(?: the)? (?:schemes?|yojanas?) (?:for|about|on|related to) (?<query>.+)$/ },
+  { intent: 'search_schemes', re: /^show(?: me)?(?: all)?(?: the)? (?<query>.+) schemes$/ },
+  { intent: 'search_schemes', re: /^(?<query>.+?) (?:ಹುಡುಕಿ|ಹುಡುಕು|ಹುಡುಕಿರಿ|ಸರ್ಚ್ ಮಾಡಿ)$/ },
+  { intent: 'search_schemes', re: /^(?<query>.+?) ಯೋಜನೆಗಳ(?:ನ್ನು)? (?:ತೋರಿಸಿ|ತೋರಿಸು)$/ },
+
+  { intent: 'read_scheme', re: /^read(?: out| aloud)?(?: the)?(?: description| details)?(?: of| about| for)? (?<scheme>.+?)(?: aloud| out| to me)?$/ },
+  { intent: 'read_scheme', re: /^(?<scheme>.+?) (?:ಓದಿ|ಓದು|ಓದಿರಿ)(?: ಹೇಳಿ| ತಿಳಿಸಿ)?$/ },
+
+  { intent: 'open_scheme', re: /^(?:open|show(?: me)?|go to|take me to|display|bring up)(?: the)? (?<scheme>.+)$/ },
+  { intent: 'open_scheme', re: /^(?<scheme>.+?) (?:ತೆರೆ|ತೆರೆಯಿರಿ|ತೆರೆಯಿ|ತೋರಿಸಿ|ತೋರಿಸು|ಓಪನ್ ಮಾಡಿ|ಓಪನ್ ಮಾಡು)$/ },
+];
+
+function matchPage(words) {
+  if (!hasWord(words, VERBS)) return null;
+  const targets = Object.keys(PAGES).filter(intent => hasWord(words, PAGES[intent]));
+  if (targets.length !== 1) return null;
+  const known = [...PAGES[targets[0]], ...VERBS, ...PAGE_GLUE];
+  return words.every(w => known.some(s => wordIs(w, s))) ? { intent: targets[0], slots: {} } : null;
+}
+
+function matchSlots(text) {
+  for (const rule of SLOT_RULES) {
+    const m = text.match(rule.re);
+    if (!m) continue;
+    const slots = {};
+    for (const [name, value] of Object.entries(m.groups)) {
+      slots[name] = name === 'language' ? languageFrom(value) : cleanSlot(value);
+    }
+    if (Object.values(slots).every(Boolean)) return { intent: rule.intent, slots };
+  }
+  return null;
+}
+
+/**
+ * The command in `text` by the rules alone, with the slots as said (scheme names
+ * not looked up yet), or null.
+ * @returns {{ intent: string, slots: object } | null}
+ */
+function matchRules(text) {
+  const normalized = normalizeText(text);
+  const words = normalized.split(' ').filter(Boolean);
+  if (!words.length || words.length > MAX_COMMAND_WORDS || hasWord(words, QUESTION_WORDS)) return null;
+  return matchPage(words) || matchSlots(normalized);
+}
+
+// Worth asking the model about: short, not a question, and has a command verb
+function looksLikeCommand(text) {
+  const words = normalizeText(text).split(' ').filter(Boolean);
+  return words.length > 0 && words.length <= MAX_COMMAND_WORDS &&
+    !hasWord(words, QUESTION_WORDS) && hasWord(words, VERBS);
+}
+
+// -------------------- MODEL REPLIES --------------------
+// The 'intent' prompt answers {"intent": "...", "scheme": "...", ...} or {"intent": "none"}
+function parseModelReply(text) {
+  const json = String(text || '').match(/\{[\s\S]*\}/);
+  if (!json) return null;
+  let data;
+  try {
+    data = JSON.parse(json[0]);
+  } catch (e) {
+    return null;
+  }
+  const slotNames = INTENTS[data.intent];
+  if (!slotNames) return null;
+  const slots = {};
+  for (const name of slotNames) {
+    slots[name] = name === 'language' ? languageFrom(data.language) : cleanSlot(data[name]);
+    if (!slots[name]) return null;
+  }
+  return { intent: data.intent, slots };
+}
+
+// -------------------- SCHEMES --------------------
+/**
+ * The one scheme a spoken name stands for. Every word has to hit its title;
+ * `matches` counts the schemes the name fits at all.
+ * @returns {{ scheme: object | null, matches: number }}
+ */
+function findScheme(schemes, name) {
+  const results = searchSchemes(schemes, name, { limit: 50 });
+  const [best, second] = results;
+  const strong = best && best.score >= queryKeys(name).length * TITLE_WEIGHT * 0.8;
+  if (!strong || (second && second.score === best.score)) return { scheme: null, matches: results.length };
+  return { scheme: schemes.find(s => s.id === best.id), matches: results.length };
+}
+
+// What va.js needs to open the card or read the scheme out
+function schemeSlot(scheme) {
+  const { id, slug, link, title_en, title_kn, description_en, description_kn } = scheme;
+  return { id, slug, link, title_en, title_kn, description_en, description_kn };
+}
+
+/**
+ * Look up the scheme of open_scheme / read_scheme in the catalogue. An unclear
+ * name becomes a search for it; a name that fits nothing drops the command.
+ * @param {{ intent, slots }} match from matchRules() or parseModelReply()
+ * @param {Array} schemes rows from schemes.listSchemes()
+ */
+function resolve(match, schemes) {
+  if (!match || !INTENTS[match.intent]) return null;
+  if (!INTENTS[match.intent].includes('scheme')) return match;
+  const { scheme, matches } = findScheme(schemes, match.slots.scheme);
+  if (scheme) return { intent: match.intent, slots: { scheme: schemeSlot(scheme) } };
+  return matches ? { intent: 'search_schemes', slots: { query: match.slots.scheme } } : null;
+}
+
+// -------------------- EXAMPLES --------------------
+// Shown to the model ('intent' prompt) as examples of the answer format, one or
+// two per intent in each language; test/intents.test.js checks the rules read
+// every one of them the same way.
+const EXAMPLES = [
+  { text: 'Open Gruha Jyothi', intent: 'open_scheme', slots: { scheme: 'gruha jyothi' } },
+  { text: 'ಅನ್ನ ಭಾಗ್ಯ ಯೋಜನೆಯನ್ನು ತೋರಿಸಿ', intent: 'open_scheme', slots: { scheme: 'ಅನ್ನ ಭಾಗ್ಯ ಯೋಜನೆ' } },
+  { text: 'Search for schemes for farmers', intent: 'search_schemes', slots: { query: 'farmers' } },
+  { text: 'ರೈತರ ಯೋಜನೆಗಳನ್ನು ತೋರಿಸಿ', intent: 'search_schemes', slots: { query: 'ರೈತರ' } },
+  { text: 'Read out Yuva Nidhi', intent: 'read_scheme', slots: { scheme: 'yuva nidhi' } },
+  { text: 'ಯುವ ನಿಧಿ ಬಗ್ಗೆ ಓದಿ', intent: 'read_scheme', slots: { scheme: 'ಯುವ ನಿಧಿ' } },
+  { text: 'Open the feedback form', intent: 'open_feedback', slots: {} },
+  { text: 'ನನ್ನ ಖಾತೆ ತೆರೆಯಿರಿ', intent: 'open_account', slots: {} },
+  { text: 'Go to my courses', intent: 'open_learning', slots: {} },
+  { text: 'Speak in Hindi', intent: 'switch_language', slots: { language: 'hi' } },
+  { text: 'ಕನ್ನಡದಲ್ಲಿ ಮಾತನಾಡಿ', intent: 'switch_language', slots: { language: 'kn' } },
+  { text: 'How do I apply for Gruha Jyothi?', intent: null },
+  { text: 'ಗೃಹ ಲಕ್ಷ್ಮಿ ಯೋಜನೆಗೆ ಯಾರು ಅರ್ಜಿ ಹಾಕಬಹುದು', intent: null },
+];
+
+module.exports = {
+  INTENTS,
+  EXAMPLES,
+  matchRules,
+  looksLikeCommand,
+  parseModelReply,
+  resolve,
+};
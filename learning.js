@@ -0,0 +1,236 @@
+// learning.js - Learning Space courses, progress, quizzes and certificates (learning.html)
+// Courses are the curated videos grouped into modules, with a short bilingual
+// quiz each; their content lives in data/courses.json (edited like any other
+// source file). What a user has watched, their quiz attempts and the courses
+// they completed are kept per user in PostgreSQL.
+//
+// A course is complete once every module is marked done and a quiz attempt has
+// passed (PASS_PERCENT). Completing it issues a certificate with a code anyone
+// can check through /api/learning/certificates/<code>/verify.
+
+const crypto = require('crypto');
+
+// -------------------- COURSES --------------------
+const COURSES = require('./data/courses.json');
+const COURSE_BY_ID = new Map(COURSES.map(c => [c.id, c]));
+
+const PASS_PERCENT = Number(process.env.LEARNING_PASS_PERCENT) || 75;
+
+// Catch mistakes in data/courses.json at startup rather than while grading
+for (const course of COURSES) {
+  if (!course.modules.length) throw new Error(`Course "${course.id}" has no modules`);
+  course.quiz.forEach((q, i) => {
+    if (q.options_en.length !== q.options_kn.length || !(q.answer >= 0 && q.answer < q.options_en.length))
+      throw new Error(`Course "${course.id}" quiz question ${i + 1} is inconsistent`);
+  });
+}
+
+function getCourse(id) {
+  return COURSE_BY_ID.get(String(id)) || null;
+}
+
+// Everything but the quiz answers; the page picks the language (title_kn, ...)
+function publicCourse(course) {
+  return {
+    ...course,
+    modules: course.modules.map(m => ({ ...m, thumbnail: `https://img.youtube.com/vi/${m.video}/hqdefault.jpg` })),
+    quiz: course.quiz.map(({ answer, ...question }) => question),
+  };
+}
+
+// -------------------- PROGRESS --------------------
+/**
+ * Mark a module opened (and done, with `completed`). Opening again only moves
+ * last_opened_at; a done module stays done.
+ */
+async function recordModule(pool, userId, courseId, moduleId, { completed = false } = {}) {
+  await pool.query(
+    `INSERT INTO learning_progress (user_id, course_id, module_id, completed_at)
+     VALUES ($1, $2, $3, CASE WHEN $4::boolean THEN NOW() END)
+     ON CONFLICT (user_id, course_id, module_id) DO UPDATE SET
+       last_opened_at = NOW(),
+       completed_at = COALESCE(learning_progress.completed_at, EXCLUDED.completed_at)`,
+    [userId, courseId, moduleId, completed]
+  );
+}
+
+/**
+ * Per course: modules done, percent, best quiz score and the certificate, plus
+ * where to continue (the module after the last one opened in a course that is
+ * not finished yet).
+ * @returns {Promise<{ courses: object, resume: { course_id, module_id } | null }>}
+ */
+async function getProgress(pool, userId) {
+  const [modules, quizzes, completions] = await Promise.all([
+    pool.query(
+      `SELECT course_id, module_id, last_opened_at, completed_at
+         FROM learning_progress WHERE user_id = $1 ORDER BY last_opened_at DESC`,
+      [userId]
+    ),
+    pool.query(
+      `SELECT course_id, MAX(score)::int AS best_score, MAX(total)::int AS total,
+              BOOL_OR(passed) AS passed, COUNT(*)::int AS attempts
+         FROM quiz_attempts WHERE user_id = $1 GROUP BY course_id`,
+      [userId]
+    ),
+    pool.query(
+      `SELECT course_id, certificate_code, score, total, completed_at
+         FROM course_completions WHERE user_id = $1`,
+      [userId]
+    ),
+  ]);
+
+  const courses = {};
+  for (const course of COURSES) {
+    const rows = modules.rows.filter(r => r.course_id === course.id);
+    const done = course.modules.filter(m => rows.some(r => r.module_id === m.id && r.completed_at)).map(m => m.id);
+    courses[course.id] = {
+      modules_done: done,
+      percent: Math.round((done.length / course.modules.length) * 100),
+      last_opened_at: rows.length ? rows[0].last_opened_at : null,
+      quiz: quizzes.rows.find(r => r.course_id === course.id) || null,
+      completion: completions.rows.find(r => r.course_id === course.id) || null,
+    };
+  }
+
+  let resume = null;
+  for (const row of modules.rows) {
+    const course = getCourse(row.course_id);
+    if (!course || courses[course.id].completion) continue;
+    const done = courses[course.id].modules_done;
+    const index = Math.max(course.modules.findIndex(m => m.id === row.module_id), 0);
+    // the module itself if unfinished, else the next unfinished one (or the quiz)
+    const next = [...course.modules.slice(index), ...course.modules.slice(0, index)].find(m => !done.includes(m.id));
+    resume = { course_id: course.id, module_id: next ? next.id : null };
+    break;
+  }
+  return { courses, resume };
+}
+
+// -------------------- QUIZZES --------------------
+/**
+ * Score answers (option indexes, in question order) against a course quiz.
+ * right says which answers were right; the answer key (correct) comes only with a
+ * pass, so a failed attempt cannot be used to read it and resubmit.
+ * @returns {{ score: number, total: number, passed: boolean, right: boolean[], correct?: number[] }}
+ */
+function gradeQuiz(course, answers) {
+  const total = course.quiz.length;
+  const right = course.quiz.map((q, i) => answers[i] === q.answer);
+  const score = right.filter(Boolean).length;
+  const passed = score * 100 >= total * PASS_PERCENT;
+  return passed ? { score, total, passed, right, correct: course.quiz.map(q => q.answer) } : { score, total, passed, right };
+}
+
+// Answers must be one option index per question
+function parseAnswers(course, answers) {
+  if (!Array.isArray(answers) || answers.length !== course.quiz.length)
+    return { error: `Answer all ${course.quiz.length} questions` };
+  const bad = answers.findIndex((a, i) => !Number.isInteger(a) || a < 0 || a >= course.quiz[i].options_en.length);
+  if (bad !== -1) return { error: `Question ${bad + 1} has no such option` };
+  return { answers };
+}
+
+async function saveQuizAttempt(pool, userId, courseId, answers, result, language) {
+  await pool.query(
+    `INSERT INTO quiz_attempts (user_id, course_id, answers, score, total, passed, language)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [userId, courseId, JSON.stringify(answers), result.score, result.total, result.passed, language]
+  );
+}
+
+// -------------------- COMPLETION / CERTIFICATES --------------------
+function newCertificateCode() {
+  return 'GS-' + crypto.randomBytes(5).toString('hex').toUpperCase();
+}
+
+/**
+ * Record the completion once every module is done and a quiz attempt passed.
+ * @returns {Promise<object|null>} the completion (new or existing), null if not yet complete
+ */
+async function completeIfDone(pool, userId, course) {
+  const { rows } = await pool.query(
+    `SELECT
+       (SELECT COUNT(*)::int FROM learning_progress
+         WHERE user_id = $1 AND course_id = $2 AND completed_at IS NOT NULL AND module_id = ANY($3)) AS modules_done,
+       (SELECT MAX(score)::int FROM quiz_attempts
+         WHERE user_id = $1 AND course_id = $2 AND passed) AS best_score`,
+    [userId, course.id, course.modules.map(m => m.id)]
+  );
+  const { modules_done, best_score } = rows[0];
+  if (modules_done < course.modules.length || best_score == null) return null;
+
+  await pool.query(
+    `INSERT INTO course_completions (user_id, course_id, certificate_code, score, total)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (user_id, course_id) DO NOTHING`,
+    [userId, course.id, newCertificateCode(), best_score, course.quiz.length]
+  );
+  const result = await pool.query(
+    `SELECT course_id, certificate_code, score, total, completed_at
+       FROM course_completions WHERE user_id = $1 AND course_id = $2`,
+    [userId, course.id]
+  );
+  return result.rows[0];
+}
+
+// With the holder's name; null if the code is unknown
+async function getCertificate(pool, code) {
+  const result = await pool.query(
+    `SELECT c.user_id, c.course_id, c.certificate_code, c.score, c.total, c.completed_at,
+            COALESCE(NULLIF(u.name, ''), u.username) AS holder
+       FROM course_completions c JOIN users u ON u.id = c.user_id
+      WHERE c.certificate_code = $1`,
+    [String(code).toUpperCase()]
+  );
+  const row = result.rows[0];
+  if (!row) return null;
+  const course = getCourse(row.course_id);
+  return { ...row, course_title_en: course ? course.title_en : row.course_id, course_title_kn: course ? course.title_kn : null };
+}
+
+function escapeXml(text) {
+  return String(text == null ? '' : text).replace(/[<>&"']/g, ch => ({
+    '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;',
+  })[ch]);
+}
+
+// Printable A4-landscape certificate (SVG, opens in any browser)
+function certificateSvg(cert) {
+  const date = new Date(cert.completed_at).toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' });
+  const line = (y, size, text, extra = '') =>
+    `<text x="421" y="${y}" font-size="${size}" text-anchor="middle" ${extra}>${escapeXml(text)}</text>`;
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="842" height="595" viewBox="0 0 842 595" font-family="Arial, Helvetica, sans-serif">
+  <rect width="842" height="595" fill="#faf6f1"/>
+  <rect x="20" y="20" width="802" height="555" fill="none" stroke="#c6a94c" stroke-width="6"/>
+  <rect x="34" y="34" width="774" height="527" fill="none" stroke="#4b2e2e" stroke-width="1.5"/>
+  <g fill="#4b2e2e">
+    ${line(110, 22, 'GRAMASETU LEARNING SPACE', 'font-weight="bold" letter-spacing="3"')}
+    ${line(170, 40, 'Certificate of Completion', 'font-weight="bold"')}
+    ${line(220, 18, 'This is to certify that')}
+    ${line(275, 34, cert.holder, 'font-weight="bold" fill="#2c3e50"')}
+    ${line(320, 18, 'has completed the course')}
+    ${line(365, 28, cert.course_title_en, 'font-weight="bold" fill="#2c3e50"')}
+    ${cert.course_title_kn ? line(400, 20, cert.course_title_kn) : ''}
+    ${line(445, 16, `Quiz score ${cert.score}/${cert.total} · Completed on ${date}`)}
+    ${line(520, 13, `Certificate ${cert.certificate_code} · verify at /api/learning/certificates/${cert.certificate_code}/verify`, 'fill="#666"')}
+  </g>
+</svg>
+`;
+}
+
+module.exports = {
+  COURSES,
+  PASS_PERCENT,
+  getCourse,
+  publicCourse,
+  recordModule,
+  getProgress,
+  gradeQuiz,
+  parseAnswers,
+  saveQuizAttempt,
+  completeIfDone,
+  getCertificate,
+  certificateSvg,
+};
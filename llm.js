@@ -0,0 +1,268 @@
+// llm.js - One place to talk to language models (voice assistant, chatbot, translation, voice commands)
+//
+// Every call names a purpose; each purpose has its own model and runs through a
+// chain of providers:
+//   LLM_PROVIDERS=openai,local   -> try OpenAI, fall back to the offline stub
+//   LLM_PROVIDERS=local          -> no network, no API keys (development)
+//
+// Providers:
+//   openai  OpenAI API. /api/chat uses OPENAI_KEY, everything else OPENAI_API_KEY
+//           (the two keys the project already had).
+//   compat  Any OpenAI-compatible endpoint (LLM_COMPAT_BASE_URL, LLM_COMPAT_API_KEY,
+//           LLM_COMPAT_MODEL), e.g. a self-hosted model as a fallback.
+//   local   Deterministic rule-based replies, see localComplete() below.
+//
+// complete() returns the whole reply; stream() hands tokens to a callback as they arrive.
+//
+// Tuning: LLM_TIMEOUT_MS (20000), LLM_MAX_RETRIES (2), LLM_RETRY_BASE_MS (500),
+// LLM_VOICE_MODEL / LLM_CHAT_MODEL / LLM_TRANSLATE_MODEL (gpt-4.1-mini).
+
+const fs = require('fs');
+const OpenAI = require('openai');
+const locales = require('./locales');
+
+const DEFAULT_MODEL = 'gpt-4.1-mini';
+
+// purpose -> model env var and which OpenAI key it has always used
+const PURPOSES = {
+  voice: { modelEnv: 'LLM_VOICE_MODEL', keyEnv: 'OPENAI_KEY' },
+  intent: { modelEnv: 'LLM_VOICE_MODEL', keyEnv: 'OPENAI_KEY' },
+  chatbot: { modelEnv: 'LLM_CHAT_MODEL', keyEnv: 'OPENAI_API_KEY' },
+  summary: { modelEnv: 'LLM_CHAT_MODEL', keyEnv: 'OPENAI_API_KEY' },
+  translate: { modelEnv: 'LLM_TRANSLATE_MODEL', keyEnv: 'OPENAI_API_KEY' },
+};
+
+function intEnv(name, fallback) {
+  const n = parseInt(process.env[name], 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// -------------------- OPENAI / COMPATIBLE --------------------
+// Clients are created lazily so the server can start without keys
+const clients = {};
+
+function openaiClient(apiKey, baseURL) {
+  const cacheKey = `${baseURL || 'openai'}|${apiKey}`;
+  if (!clients[cacheKey]) {
+    // Retries are done here (with fallback), not inside the SDK
+    clients[cacheKey] = new OpenAI({ apiKey, baseURL, maxRetries: 0 });
+  }
+  return clients[cacheKey];
+}
+
+function openaiProvider(name, { apiKeyFor, baseURL, modelFor }) {
+  return {
+    name,
+    isConfigured: purpose => !!apiKeyFor(purpose),
+    async complete(purpose, { messages, temperature }, { timeout }) {
+      const model = modelFor(purpose);
+      const completion = await openaiClient(apiKeyFor(purpose), baseURL).chat.completions.create(
+        { model, messages, temperature },
+        { timeout }
+      );
+      return { text: completion?.choices?.[0]?.message?.content?.trim() || '', model };
+    },
+    async stream(purpose, { messages, temperature }, { timeout, signal, onToken }) {
+      const model = modelFor(purpose);
+      const chunks = await openaiClient(apiKeyFor(purpose), baseURL).chat.completions.create(
+        { model, messages, temperature, stream: true },
+        { timeout, signal }
+      );
+      let text = '';
+      for await (const chunk of chunks) {
+        const token = chunk?.choices?.[0]?.delta?.content;
+        if (!token) continue;
+        text += token;
+        onToken(token);
+      }
+      return { text: text.trim(), model };
+    },
+  };
+}
+
+// -------------------- LOCAL STUB --------------------
+// Canned replies can be added with LLM_LOCAL_REPLIES=path/to/replies.json:
+//   [{ "match": "gruha lakshmi", "reply": "..." }, ...]   (match is a case-insensitive regex)
+let cannedReplies;
+function loadCannedReplies() {
+  if (cannedReplies) return cannedReplies;
+  cannedReplies = [];
+  if (process.env.LLM_LOCAL_REPLIES) {
+    try {
+      cannedReplies = JSON.parse(fs.readFileSync(process.env.LLM_LOCAL_REPLIES, 'utf8'))
+        .map(r => ({ match: new RegExp(r.match, 'i'), reply: r.reply }));
+    } catch (err) {
+      console.error('❌ LLM_LOCAL_REPLIES could not be read:', err.message);
+    }
+  }
+  return cannedReplies;
+}
+
+/**
+ * Offline replies: same input, same output.
+ * - translate: echoes the user message back (nothing to translate with)
+ * - summary:   first sentence of each turn
+ * - intent:    no command (the rules in intents.js already ran)
+ * - chat:      a canned reply, else the [scheme-N] entries from the prompt, else a fixed answer,
+ *              in the request's language (locales.js strings chat.relevantSchemes / chat.notSure)
+ */
+function localComplete(purpose, { messages, language }) {
+  const lastUser = [...messages].reverse().find(m => m.role === 'user');
+  const input = lastUser ? String(lastUser.content) : '';
+
+  // prompts.js keeps the instruction in the system message; the user message is only the text
+  if (purpose === 'translate') return input;
+
+  if (purpose === 'intent') return '{"intent": "none"}';
+
+  if (purpose === 'summary') {
+    return input
+      .split('\n')
+      .map(line => line.split(/(?<=[.?!।])\s/)[0])
+      .filter(Boolean)
+      .join(' ')
+      .slice(0, 500);
+  }
+
+  const canned = loadCannedReplies().find(r => r.match.test(input));
+  if (canned) return canned.reply;
+
+  const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n');
+  const schemes = [...system.matchAll(/^\[(scheme-\d+)\] (.+)$/gm)].map(m => `[${m[1]}] ${m[2]}`);
+
+  if (schemes.length) return `${locales.t(language, 'chat.relevantSchemes')}\n${schemes.join('\n')}`;
+  return locales.t(language, 'chat.notSure');
+}
+
+const localProvider = {
+  name: 'local',
+  isConfigured: () => true,
+  async complete(purpose, request) {
+    return { text: localComplete(purpose, request), model: 'local' };
+  },
+  // Word by word, so streaming clients can be developed offline too
+  async stream(purpose, request, { signal, onToken }) {
+    const text = localComplete(purpose, request);
+    for (const word of text.match(/\S+\s*|\s+/g) || []) {
+      if (signal && signal.aborted) throw Object.assign(new Error('Request was aborted.'), { name: 'AbortError' });
+      onToken(word);
+      await sleep(0);
+    }
+    return { text, model: 'local' };
+  },
+};
+
+// -------------------- PROVIDER CHAIN --------------------
+const PROVIDERS = {
+  openai: openaiProvider('openai', {
+    apiKeyFor: purpose => process.env[PURPOSES[purpose].keyEnv],
+    modelFor: purpose => process.env[PURPOSES[purpose].modelEnv] || DEFAULT_MODEL,
+  }),
+  compat: openaiProvider('compat', {
+    apiKeyFor: () => process.env.LLM_COMPAT_BASE_URL && (process.env.LLM_COMPAT_API_KEY || 'none'),
+    baseURL: process.env.LLM_COMPAT_BASE_URL,
+    modelFor: purpose => process.env.LLM_COMPAT_MODEL || process.env[PURPOSES[purpose].modelEnv] || DEFAULT_MODEL,
+  }),
+  local: localProvider,
+};
+
+function providerChain() {
+  const names = (process.env.LLM_PROVIDERS || 'openai').split(',').map(s => s.trim()).filter(Boolean);
+  return names.map(name => {
+    if (!PROVIDERS[name]) throw new Error(`Unknown LLM provider "${name}" in LLM_PROVIDERS`);
+    return PROVIDERS[name];
+  });
+}
+
+// Worth retrying: timeouts, network errors, rate limits and 5xx
+function isRetryable(err) {
+  const status = err && err.status;
+  if (!status) return true;
+  return status === 408 || status === 409 || status === 429 || status >= 500;
+}
+
+/** true if at least one provider in the chain can serve this purpose */
+function isAvailable(purpose) {
+  return providerChain().some(p => p.isConfigured(purpose));
+}
+
+/**
+ * Walk the provider chain: each provider is retried with exponential backoff,
+ * then the next one is tried. `call(provider, state)` sets state.started once
+ * output has reached the caller — from then on a failure cannot be retried.
+ */
+async function withProviders(purpose, signal, call) {
+  if (!PURPOSES[purpose]) throw new Error(`Unknown LLM purpose "${purpose}"`);
+  const maxRetries = intEnv('LLM_MAX_RETRIES', 2);
+  const retryBase = intEnv('LLM_RETRY_BASE_MS', 500);
+
+  let lastError = new Error(`No LLM provider configured for "${purpose}" (LLM_PROVIDERS)`);
+  for (const provider of providerChain()) {
+    if (!provider.isConfigured(purpose)) continue;
+
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      const state = { started: false };
+      try {
+        const result = await call(provider, state);
+        return { ...result, provider: provider.name };
+      } catch (err) {
+        if ((signal && signal.aborted) || state.started) throw err;
+        lastError = err;
+        const retry = attempt < maxRetries && isRetryable(err);
+        console.warn(`⚠️ LLM ${provider.name} (${purpose}) failed: ${err.message}${retry ? ' — retrying' : ''}`);
+        if (!retry) break;
+        await sleep(retryBase * 2 ** attempt + Math.floor(Math.random() * retryBase));
+      }
+    }
+  }
+  throw lastError;
+}
+
+/**
+ * Run a chat completion for `purpose` ('voice' | 'chatbot' | 'summary' | 'translate' | 'intent').
+ * `language` is the locales.js code of the reply; only the local stub reads it,
+ * the models follow the prompt.
+ * @returns {Promise<{ text: string, provider: string, model: string }>}
+ */
+async function complete(purpose, { messages, temperature = 0.7, language }) {
+  const timeout = intEnv('LLM_TIMEOUT_MS', 20000);
+  return withProviders(purpose, null, provider =>
+    provider.complete(purpose, { messages, temperature, language }, { timeout })
+  );
+}
+
+/**
+ * Same as complete(), but calls onToken(text) for every piece of the reply as it
+ * arrives. Falls back to the next provider only while nothing has been sent yet.
+ * Aborting `signal` stops generation; the promise then rejects.
+ * @returns {Promise<{ text: string, provider: string, model: string }>}
+ */
+async function stream(purpose, { messages, temperature = 0.7, language }, { signal, onToken }) {
+  const timeout = intEnv('LLM_TIMEOUT_MS', 20000);
+  return withProviders(purpose, signal, (provider, state) =>
+    provider.stream(purpose, { messages, temperature, language }, {
+      timeout,
+      signal,
+      onToken: token => {
+        state.started = true;
+        onToken(token);
+      },
+    })
+  );
+}
+
+// Startup summary, replaces the old per-key warnings
+function describe() {
+  const chain = providerChain();
+  const lines = [`🤖 LLM providers: ${chain.map(p => p.name).join(' → ')}`];
+  for (const purpose of ['voice', 'chatbot']) {
+    if (!chain.some(p => p.isConfigured(purpose))) {
+      lines.push(`⚠️ No LLM configured for ${purpose === 'voice' ? '/api/chat' : '/api/cb-chat'} — set ${PURPOSES[purpose].keyEnv} or LLM_PROVIDERS=local.`);
+    }
+  }
+  return lines.join('\n');
+}
+
+module.exports = { PURPOSES, complete, stream, isAvailable, describe, localComplete };
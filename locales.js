@@ -0,0 +1,431 @@
+// locales.js - The languages Gramasetu speaks, shared by the pages and the server
+// Browser: <script src="locales.js"></script> → window.gsLocales
+// Node:    const locales = require('./locales');
+//
+// Each entry holds everything that differs per language: the UI strings, the
+// Unicode ranges of its script (language detection, script-purity.js), the
+// speech recognition / TTS code, voice name hints for speechSynthesis and the
+// names prompts.js puts in the model instructions. The strings include the texts
+// of notify.js messages and of the offline model stub (llm.js). Adding a language
+// means adding an entry here; strings it does not have fall back to English.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.gsLocales = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  const LOCALES = {
+    en: {
+      name: 'English',
+      nativeName: 'English',
+      letter: 'A',
+      script: { name: 'Latin', ranges: [[0x41, 0x5a], [0x61, 0x7a]] },
+      speech: 'en-IN',
+      voiceHints: ['female', 'zira', 'samantha', 'amy', 'anya', 'alloy', 'google'],
+      strings: {
+        'search.placeholder': 'Search schemes...',
+        'schemes.loadError': 'Could not load schemes. Please try again later.',
+        'group.all': 'All groups',
+        'group.women': 'Women',
+        'group.farmers': 'Farmers',
+        'group.students': 'Students',
+        'group.sc_st': 'SC/ST',
+        'group.minorities': 'Minorities',
+        'status.submitted': 'Submitted',
+        'status.under_verification': 'Under verification',
+        'status.approved': 'Approved',
+        'status.rejected': 'Rejected',
+        'status.benefit_received': 'Benefit received',
+        'va.title': 'Voice Assistant',
+        'va.hint': 'Tap the mic and speak — tap again to stop.',
+        'va.noSpeech': 'Your browser does not support speech recognition.',
+        'va.notHeard': 'Sorry, I could not catch that.',
+        'va.noReply': 'Sorry — no answer came back.',
+        'va.error': '⚠️ Error. Please try again.',
+        'va.connectionError': '⚠️ Connection error. Please try again.',
+        'va.cmd.language': 'Okay, I will speak English now.',
+        'va.cmd.learning': 'Opening your Learning Space.',
+        'va.cmd.feedback': 'Opening the feedback form.',
+        'va.cmd.account': 'Opening your account settings.',
+        'va.cmd.openScheme': 'Opening {title}.',
+        'va.cmd.showScheme': 'Here is {title}. Tap the card to open it.',
+        'va.cmd.search': 'Showing schemes for “{query}”.',
+        'cb.welcome': 'Hello 👋 Ask me anything.',
+        'cb.sources': 'Sources: ',
+        'offline.banner': 'You are offline. Showing saved schemes.',
+        'offline.pending': '{n} change(s) waiting to be sent.',
+        'offline.synced': 'Your saved changes were sent.',
+        'learn.courses': 'My courses',
+        'learn.continue': 'Continue where you left off',
+        'learn.loginHint': 'Log in to save your progress and earn certificates.',
+        'learn.watch': 'Watch',
+        'learn.markDone': 'Mark as done',
+        'learn.done': 'Done',
+        'learn.quiz': 'Take the quiz',
+        'learn.submit': 'Submit answers',
+        'learn.answerAll': 'Please answer every question.',
+        'learn.score': 'You scored {score} of {total}.',
+        'learn.passed': 'Passed!',
+        'learn.tryAgain': 'You need {pass}% to pass. Try again.',
+        'learn.finishModules': 'Mark every video as done to complete the course.',
+        'learn.certificateReady': 'Course complete! Your certificate is ready.',
+        'learn.certificate': 'Download certificate',
+        'learn.loadError': 'Could not load courses. Please try again later.',
+        'chat.relevantSchemes': 'These schemes look relevant:',
+        'chat.notSure': 'Sorry, I am not sure about that. Please ask at the Gram Panchayat office.',
+        'notify.otp.subject': 'Your Gramasetu OTP',
+        'notify.otp.text': 'Your Gramasetu OTP is {code}. It is valid until {time}. Do not share it with anyone.',
+        'notify.otp.sms': 'Your Gramasetu OTP is {code}. Valid till {time}.',
+        'notify.alert.subject': 'Gramasetu: {title}',
+        'notify.alert.text': '{message}',
+        'notify.alert.sms': 'Gramasetu: {message}',
+        'notify.application_reminder.subject': 'Gramasetu: {scheme} application still {status}',
+        'notify.application_reminder.text': 'Your application for {scheme}{ref} has been "{status}" for {days} days. Please check with the office where you applied, then update it in Gramasetu under My applications.',
+        'notify.application_reminder.sms': 'Gramasetu: your {scheme} application has been "{status}" for {days} days. Please check with the office.',
+        'notify.application_reminder.ref': ' (ref. {reference})',
+      },
+    },
+
+    kn: {
+      name: 'Kannada',
+      nativeName: 'ಕನ್ನಡ',
+      letter: 'ಕ',
+      script: { name: 'Kannada', ranges: [[0x0c80, 0x0cff]] },
+      speech: 'kn-IN',
+      voiceHints: ['sangeet', 'sangeetha', 'meera', 'female', 'google'],
+      strings: {
+        'search.placeholder': 'ಯೋಜನೆಗಳನ್ನು ಹುಡುಕಿ...',
+        'schemes.loadError': 'ಯೋಜನೆಗಳನ್ನು ಲೋಡ್ ಮಾಡಲಾಗಲಿಲ್ಲ. ದಯವಿಟ್ಟು ನಂತರ ಪ್ರಯತ್ನಿಸಿ.',
+        'group.all': 'ಎಲ್ಲಾ ಗುಂಪುಗಳು',
+        'group.women': 'ಮಹಿಳೆಯರು',
+        'group.farmers': 'ರೈತರು',
+        'group.students': 'ವಿದ್ಯಾರ್ಥಿಗಳು',
+        'group.sc_st': 'ಎಸ್‌ಸಿ/ಎಸ್‌ಟಿ',
+        'group.minorities': 'ಅಲ್ಪಸಂಖ್ಯಾತರು',
+        'status.submitted': 'ಸಲ್ಲಿಸಲಾಗಿದೆ',
+        'status.under_verification': 'ಪರಿಶೀಲನೆಯಲ್ಲಿದೆ',
+        'status.approved': 'ಅನುಮೋದಿಸಲಾಗಿದೆ',
+        'status.rejected': 'ತಿರಸ್ಕರಿಸಲಾಗಿದೆ',
+        'status.benefit_received': 'ಸೌಲಭ್ಯ ದೊರೆತಿದೆ',
+        'va.title': 'ಧ್ವನಿ ಸಹಾಯಕ',
+        'va.hint': 'Mic ಒತ್ತಿ ಮಾತನಾಡಿ — ಮತ್ತೆ ಒತ್ತಿದರೆ ನಿಲ್ಲಿಸುತ್ತದೆ.',
+        'va.noSpeech': 'ನಿಮ್ಮ ಬ್ರೌಸರ್‌ಗೆ Speech Recognition ಬೆಂಬಲ ಇಲ್ಲ.',
+        'va.notHeard': 'ಕ್ಷಮಿಸಿ, ವಾಚನವನ್ನು ಹಿಡಿಯಲಾಗಲಿಲ್ಲ.',
+        'va.noReply': 'ಕ್ಷಮಿಸಿ — ಉತ್ತರ ಸಿಗಲಿಲ್ಲ.',
+        'va.error': '⚠️ ದೋಷ. ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+        'va.connectionError': '⚠️ ಸಂಪರ್ಕದಲ್ಲಿ ದೋಷ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+        'va.cmd.language': 'ಸರಿ, ಈಗ ಕನ್ನಡದಲ್ಲಿ ಮಾತನಾಡುತ್ತೇನೆ.',
+        'va.cmd.learning': 'ನಿಮ್ಮ ಕಲಿಕಾ ಸ್ಥಳವನ್ನು ತೆರೆಯುತ್ತಿದ್ದೇನೆ.',
+        'va.cmd.feedback': 'ಅಭಿಪ್ರಾಯ ಫಾರ್ಮ್ ತೆರೆಯುತ್ತಿದ್ದೇನೆ.',
+        'va.cmd.account': 'ನಿಮ್ಮ ಖಾತೆಯ ವಿವರಗಳನ್ನು ತೆರೆಯುತ್ತಿದ್ದೇನೆ.',
+        'va.cmd.openScheme': '{title} ತೆರೆಯುತ್ತಿದ್ದೇನೆ.',
+        'va.cmd.showScheme': 'ಇಲ್ಲಿದೆ {title}. ತೆರೆಯಲು ಕಾರ್ಡ್ ಒತ್ತಿ.',
+        'va.cmd.search': '“{query}” ಗೆ ಸಂಬಂಧಿಸಿದ ಯೋಜನೆಗಳು ಇಲ್ಲಿವೆ.',
+        'cb.welcome': 'ನಮಸ್ಕಾರ 👋 ಏನು ಬೇಕಾದರೂ ಕೇಳಿ.',
+        'cb.sources': 'ಮೂಲಗಳು: ',
+        'offline.banner': 'ನೀವು ಆಫ್‌ಲೈನ್‌ನಲ್ಲಿದ್ದೀರಿ. ಉಳಿಸಿದ ಯೋಜನೆಗಳನ್ನು ತೋರಿಸಲಾಗುತ್ತಿದೆ.',
+        'offline.pending': '{n} ಬದಲಾವಣೆ(ಗಳು) ಕಳುಹಿಸಲು ಕಾಯುತ್ತಿವೆ.',
+        'offline.synced': 'ಉಳಿಸಿದ ಬದಲಾವಣೆಗಳನ್ನು ಕಳುಹಿಸಲಾಗಿದೆ.',
+        'learn.courses': 'ನನ್ನ ಕೋರ್ಸ್‌ಗಳು',
+        'learn.continue': 'ನಿಲ್ಲಿಸಿದಲ್ಲಿಂದ ಮುಂದುವರಿಸಿ',
+        'learn.loginHint': 'ನಿಮ್ಮ ಪ್ರಗತಿಯನ್ನು ಉಳಿಸಲು ಮತ್ತು ಪ್ರಮಾಣಪತ್ರ ಪಡೆಯಲು ಲಾಗಿನ್ ಮಾಡಿ.',
+        'learn.watch': 'ವೀಕ್ಷಿಸಿ',
+        'learn.markDone': 'ಮುಗಿದಿದೆ ಎಂದು ಗುರುತಿಸಿ',
+        'learn.done': 'ಮುಗಿದಿದೆ',
+        'learn.quiz': 'ರಸಪ್ರಶ್ನೆ ಬರೆಯಿರಿ',
+        'learn.submit': 'ಉತ್ತರಗಳನ್ನು ಸಲ್ಲಿಸಿ',
+        'learn.answerAll': 'ದಯವಿಟ್ಟು ಎಲ್ಲಾ ಪ್ರಶ್ನೆಗಳಿಗೆ ಉತ್ತರಿಸಿ.',
+        'learn.score': 'ನಿಮಗೆ {total} ರಲ್ಲಿ {score} ಅಂಕ ಬಂದಿದೆ.',
+        'learn.passed': 'ಉತ್ತೀರ್ಣ!',
+        'learn.tryAgain': 'ಉತ್ತೀರ್ಣರಾಗಲು {pass}% ಬೇಕು. ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+        'learn.finishModules': 'ಕೋರ್ಸ್ ಪೂರ್ಣಗೊಳಿಸಲು ಎಲ್ಲಾ ವೀಡಿಯೊಗಳನ್ನು ಮುಗಿದಿದೆ ಎಂದು ಗುರುತಿಸಿ.',
+        'learn.certificateReady': 'ಕೋರ್ಸ್ ಪೂರ್ಣಗೊಂಡಿದೆ! ನಿಮ್ಮ ಪ್ರಮಾಣಪತ್ರ ಸಿದ್ಧವಾಗಿದೆ.',
+        'learn.certificate': 'ಪ್ರಮಾಣಪತ್ರ ಡೌನ್‌ಲೋಡ್ ಮಾಡಿ',
+        'learn.loadError': 'ಕೋರ್ಸ್‌ಗಳನ್ನು ತರಲಾಗಲಿಲ್ಲ. ದಯವಿಟ್ಟು ನಂತರ ಪ್ರಯತ್ನಿಸಿ.',
+        'chat.relevantSchemes': 'ಈ ಯೋಜನೆಗಳು ಸಂಬಂಧಿಸಿವೆ:',
+        'chat.notSure': 'ಕ್ಷಮಿಸಿ, ಇದರ ಬಗ್ಗೆ ನನಗೆ ಖಚಿತವಿಲ್ಲ. ದಯವಿಟ್ಟು ಗ್ರಾಮ ಪಂಚಾಯತ್ ಕಚೇರಿಯಲ್ಲಿ ಕೇಳಿ.',
+        'notify.otp.subject': 'ನಿಮ್ಮ ಗ್ರಾಮಸೇತು OTP',
+        'notify.otp.text': 'ನಿಮ್ಮ ಗ್ರಾಮಸೇತು OTP {code}. ಇದು {time} ವರೆಗೆ ಮಾನ್ಯ. ಇದನ್ನು ಯಾರೊಂದಿಗೂ ಹಂಚಿಕೊಳ್ಳಬೇಡಿ.',
+        'notify.otp.sms': 'ನಿಮ್ಮ ಗ್ರಾಮಸೇತು OTP {code}. {time} ವರೆಗೆ ಮಾನ್ಯ.',
+        'notify.alert.subject': 'ಗ್ರಾಮಸೇತು: {title}',
+        'notify.alert.sms': 'ಗ್ರಾಮಸೇತು: {message}',
+        'notify.application_reminder.subject': 'ಗ್ರಾಮಸೇತು: {scheme} ಅರ್ಜಿ ಇನ್ನೂ "{status}"',
+        'notify.application_reminder.text': '{scheme} ಗಾಗಿ ನಿಮ್ಮ ಅರ್ಜಿ{ref} {days} ದಿನಗಳಿಂದ "{status}" ಸ್ಥಿತಿಯಲ್ಲಿದೆ. ನೀವು ಅರ್ಜಿ ಸಲ್ಲಿಸಿದ ಕಚೇರಿಯಲ್ಲಿ ವಿಚಾರಿಸಿ, ನಂತರ ಗ್ರಾಮಸೇತುವಿನ "ನನ್ನ ಅರ್ಜಿಗಳು" ವಿಭಾಗದಲ್ಲಿ ನವೀಕರಿಸಿ.',
+        'notify.application_reminder.sms': 'ಗ್ರಾಮಸೇತು: ನಿಮ್ಮ {scheme} ಅರ್ಜಿ {days} ದಿನಗಳಿಂದ "{status}" ಸ್ಥಿತಿಯಲ್ಲಿದೆ. ದಯವಿಟ್ಟು ಕಚೇರಿಯಲ್ಲಿ ವಿಚಾರಿಸಿ.',
+        'notify.application_reminder.ref': ' (ಉಲ್ಲೇಖ {reference})',
+      },
+    },
+
+    hi: {
+      name: 'Hindi',
+      nativeName: 'हिन्दी',
+      letter: 'अ',
+      script: { name: 'Devanagari', ranges: [[0x0900, 0x097f]] },
+      speech: 'hi-IN',
+      voiceHints: ['swara', 'kalpana', 'lekha', 'female', 'google'],
+      strings: {
+        'search.placeholder': 'योजनाएँ खोजें...',
+        'schemes.loadError': 'योजनाएँ लोड नहीं हो सकीं। कृपया बाद में फिर से कोशिश करें।',
+        'group.all': 'सभी समूह',
+        'group.women': 'महिलाएँ',
+        'group.farmers': 'किसान',
+        'group.students': 'छात्र',
+        'group.sc_st': 'एससी/एसटी',
+        'group.minorities': 'अल्पसंख्यक',
+        'status.submitted': 'जमा किया गया',
+        'status.under_verification': 'सत्यापन में',
+        'status.approved': 'स्वीकृत',
+        'status.rejected': 'अस्वीकृत',
+        'status.benefit_received': 'लाभ मिल गया',
+        'va.title': 'आवाज़ सहायक',
+        'va.hint': 'माइक दबाकर बोलें — रोकने के लिए फिर से दबाएँ।',
+        'va.noSpeech': 'आपका ब्राउज़र आवाज़ पहचान (Speech Recognition) का समर्थन नहीं करता।',
+        'va.notHeard': 'माफ़ कीजिए, आवाज़ समझ में नहीं आई।',
+        'va.noReply': 'माफ़ कीजिए — कोई जवाब नहीं मिला।',
+        'va.error': '⚠️ त्रुटि। कृपया फिर से कोशिश करें।',
+        'va.connectionError': '⚠️ कनेक्शन में त्रुटि। कृपया फिर से कोशिश करें।',
+        'va.cmd.language': 'ठीक है, अब मैं हिन्दी में बात करूँगी।',
+        'va.cmd.learning': 'आपका लर्निंग स्पेस खोल रही हूँ।',
+        'va.cmd.feedback': 'फ़ीडबैक फ़ॉर्म खोल रही हूँ।',
+        'va.cmd.account': 'आपके खाते की सेटिंग खोल रही हूँ।',
+        'va.cmd.openScheme': '{title} खोल रही हूँ।',
+        'va.cmd.showScheme': 'यह रही {title}। खोलने के लिए कार्ड दबाएँ।',
+        'va.cmd.search': '“{query}” से जुड़ी योजनाएँ दिखा रही हूँ।',
+        'cb.welcome': 'नमस्ते 👋 कुछ भी पूछिए।',
+        'cb.sources': 'स्रोत: ',
+        'offline.banner': 'आप ऑफ़लाइन हैं। सहेजी गई योजनाएँ दिखाई जा रही हैं।',
+        'offline.pending': '{n} बदलाव भेजे जाने की प्रतीक्षा में हैं।',
+        'offline.synced': 'आपके सहेजे गए बदलाव भेज दिए गए।',
+        'learn.courses': 'मेरे कोर्स',
+        'learn.continue': 'जहाँ छोड़ा था वहीं से जारी रखें',
+        'learn.loginHint': 'अपनी प्रगति सहेजने और प्रमाणपत्र पाने के लिए लॉग इन करें।',
+        'learn.watch': 'देखें',
+        'learn.markDone': 'पूरा हुआ चिह्नित करें',
+        'learn.done': 'पूरा हुआ',
+        'learn.quiz': 'प्रश्नोत्तरी दें',
+        'learn.submit': 'उत्तर जमा करें',
+        'learn.answerAll': 'कृपया हर प्रश्न का उत्तर दें।',
+        'learn.score': 'आपको {total} में से {score} अंक मिले।',
+        'learn.passed': 'उत्तीर्ण!',
+        'learn.tryAgain': 'उत्तीर्ण होने के लिए {pass}% चाहिए। फिर से कोशिश करें।',
+        'learn.finishModules': 'कोर्स पूरा करने के लिए हर वीडियो को पूरा हुआ चिह्नित करें।',
+        'learn.certificateReady': 'कोर्स पूरा हुआ! आपका प्रमाणपत्र तैयार है।',
+        'learn.certificate': 'प्रमाणपत्र डाउनलोड करें',
+        'learn.loadError': 'कोर्स लोड नहीं हो सके। कृपया बाद में कोशिश करें।',
+        'chat.relevantSchemes': 'ये योजनाएँ काम की लगती हैं:',
+        'chat.notSure': 'माफ़ कीजिए, मुझे इसके बारे में पक्का पता नहीं है। कृपया ग्राम पंचायत कार्यालय में पूछें।',
+        'notify.otp.subject': 'आपका ग्रामसेतु OTP',
+        'notify.otp.text': 'आपका ग्रामसेतु OTP {code} है। यह {time} तक मान्य है। इसे किसी के साथ साझा न करें।',
+        'notify.otp.sms': 'आपका ग्रामसेतु OTP {code} है। {time} तक मान्य।',
+        'notify.alert.subject': 'ग्रामसेतु: {title}',
+        'notify.alert.sms': 'ग्रामसेतु: {message}',
+        'notify.application_reminder.subject': 'ग्रामसेतु: {scheme} आवेदन अभी भी "{status}"',
+        'notify.application_reminder.text': '{scheme} के लिए आपका आवेदन{ref} {days} दिनों से "{status}" स्थिति में है। जिस कार्यालय में आपने आवेदन किया था वहाँ पता करें, फिर ग्रामसेतु में "मेरे आवेदन" में इसे अपडेट करें।',
+        'notify.application_reminder.sms': 'ग्रामसेतु: आपका {scheme} आवेदन {days} दिनों से "{status}" स्थिति में है। कृपया कार्यालय में पता करें।',
+        'notify.application_reminder.ref': ' (संदर्भ {reference})',
+      },
+    },
+
+    te: {
+      name: 'Telugu',
+      nativeName: 'తెలుగు',
+      letter: 'అ',
+      script: { name: 'Telugu', ranges: [[0x0c00, 0x0c7f]] },
+      speech: 'te-IN',
+      voiceHints: ['shruti', 'female', 'google'],
+      strings: {
+        'search.placeholder': 'పథకాలను వెతకండి...',
+        'schemes.loadError': 'పథకాలను లోడ్ చేయలేకపోయాం. దయచేసి తర్వాత మళ్ళీ ప్రయత్నించండి.',
+        'group.all': 'అన్ని వర్గాలు',
+        'group.women': 'మహిళలు',
+        'group.farmers': 'రైతులు',
+        'group.students': 'విద్యార్థులు',
+        'group.sc_st': 'ఎస్సీ/ఎస్టీ',
+        'group.minorities': 'మైనారిటీలు',
+        'status.submitted': 'సమర్పించబడింది',
+        'status.under_verification': 'పరిశీలనలో ఉంది',
+        'status.approved': 'ఆమోదించబడింది',
+        'status.rejected': 'తిరస్కరించబడింది',
+        'status.benefit_received': 'లబ్ధి అందింది',
+        'va.title': 'స్వర సహాయకుడు',
+        'va.hint': 'మైక్ నొక్కి మాట్లాడండి — ఆపడానికి మళ్ళీ నొక్కండి.',
+        'va.noSpeech': 'మీ బ్రౌజర్‌లో మాట గుర్తింపు (Speech Recognition) సదుపాయం లేదు.',
+        'va.notHeard': 'క్షమించండి, మీ మాట అర్థం కాలేదు.',
+        'va.noReply': 'క్షమించండి — సమాధానం రాలేదు.',
+        'va.error': '⚠️ లోపం. దయచేసి మళ్ళీ ప్రయత్నించండి.',
+        'va.connectionError': '⚠️ కనెక్షన్ లోపం. దయచేసి మళ్ళీ ప్రయత్నించండి.',
+        'va.cmd.language': 'సరే, ఇప్పుడు తెలుగులో మాట్లాడతాను.',
+        'va.cmd.learning': 'మీ లెర్నింగ్ స్పేస్ తెరుస్తున్నాను.',
+        'va.cmd.feedback': 'అభిప్రాయ ఫారం తెరుస్తున్నాను.',
+        'va.cmd.account': 'మీ ఖాతా సెట్టింగ్‌లు తెరుస్తున్నాను.',
+        'va.cmd.openScheme': '{title} తెరుస్తున్నాను.',
+        'va.cmd.showScheme': 'ఇదిగో {title}. తెరవడానికి కార్డ్ నొక్కండి.',
+        'va.cmd.search': '“{query}” కి సంబంధించిన పథకాలు చూపిస్తున్నాను.',
+        'cb.welcome': 'నమస్కారం 👋 ఏదైనా అడగండి.',
+        'cb.sources': 'మూలాలు: ',
+        'offline.banner': 'మీరు ఆఫ్‌లైన్‌లో ఉన్నారు. సేవ్ చేసిన పథకాలు చూపబడుతున్నాయి.',
+        'offline.pending': '{n} మార్పులు పంపడానికి వేచి ఉన్నాయి.',
+        'offline.synced': 'మీ సేవ్ చేసిన మార్పులు పంపబడ్డాయి.',
+        'learn.courses': 'నా కోర్సులు',
+        'learn.continue': 'మీరు ఆపిన చోటు నుండి కొనసాగించండి',
+        'learn.loginHint': 'మీ పురోగతిని సేవ్ చేయడానికి, సర్టిఫికెట్లు పొందడానికి లాగిన్ అవ్వండి.',
+        'learn.watch': 'చూడండి',
+        'learn.markDone': 'పూర్తయినట్లు గుర్తించండి',
+        'learn.done': 'పూర్తయింది',
+        'learn.quiz': 'క్విజ్ రాయండి',
+        'learn.submit': 'సమాధానాలు సమర్పించండి',
+        'learn.answerAll': 'దయచేసి అన్ని ప్రశ్నలకు సమాధానం ఇవ్వండి.',
+        'learn.score': 'మీకు {total} లో {score} వచ్చాయి.',
+        'learn.passed': 'ఉత్తీర్ణులయ్యారు!',
+        'learn.tryAgain': 'ఉత్తీర్ణత కోసం {pass}% కావాలి. మళ్లీ ప్రయత్నించండి.',
+        'learn.finishModules': 'కోర్సు పూర్తి చేయడానికి ప్రతి వీడియోను పూర్తయినట్లు గుర్తించండి.',
+        'learn.certificateReady': 'కోర్సు పూర్తయింది! మీ సర్టిఫికెట్ సిద్ధంగా ఉంది.',
+        'learn.certificate': 'సర్టిఫికెట్ డౌన్‌లోడ్ చేయండి',
+        'learn.loadError': 'కోర్సులను లోడ్ చేయలేకపోయాం. దయచేసి తర్వాత ప్రయత్నించండి.',
+        'chat.relevantSchemes': 'ఈ పథకాలు సంబంధించినవిగా ఉన్నాయి:',
+        'chat.notSure': 'క్షమించండి, దీని గురించి నాకు ఖచ్చితంగా తెలియదు. దయచేసి గ్రామ పంచాయతీ కార్యాలయంలో అడగండి.',
+        'notify.otp.subject': 'మీ గ్రామసేతు OTP',
+        'notify.otp.text': 'మీ గ్రామసేతు OTP {code}. ఇది {time} వరకు చెల్లుతుంది. దీన్ని ఎవరితోనూ పంచుకోకండి.',
+        'notify.otp.sms': 'మీ గ్రామసేతు OTP {code}. {time} వరకు చెల్లుతుంది.',
+        'notify.alert.subject': 'గ్రామసేతు: {title}',
+        'notify.alert.sms': 'గ్రామసేతు: {message}',
+        'notify.application_reminder.subject': 'గ్రామసేతు: {scheme} దరఖాస్తు ఇంకా "{status}"',
+        'notify.application_reminder.text': '{scheme} కోసం మీ దరఖాస్తు{ref} {days} రోజులుగా "{status}" స్థితిలో ఉంది. మీరు దరఖాస్తు చేసిన కార్యాలయంలో తెలుసుకుని, ఆ తర్వాత గ్రామసేతులో "నా దరఖాస్తులు" విభాగంలో దాన్ని నవీకరించండి.',
+        'notify.application_reminder.sms': 'గ్రామసేతు: మీ {scheme} దరఖాస్తు {days} రోజులుగా "{status}" స్థితిలో ఉంది. దయచేసి కార్యాలయంలో తెలుసుకోండి.',
+        'notify.application_reminder.ref': ' (సూచన {reference})',
+      },
+    },
+
+    ta: {
+      name: 'Tamil',
+      nativeName: 'தமிழ்',
+      letter: 'அ',
+      script: { name: 'Tamil', ranges: [[0x0b80, 0x0bff]] },
+      speech: 'ta-IN',
+      voiceHints: ['pallavi', 'female', 'google'],
+      strings: {
+        'search.placeholder': 'திட்டங்களைத் தேடுங்கள்...',
+        'schemes.loadError': 'திட்டங்களை ஏற்ற முடியவில்லை. பிறகு மீண்டும் முயற்சிக்கவும்.',
+        'group.all': 'அனைத்து பிரிவுகள்',
+        'group.women': 'பெண்கள்',
+        'group.farmers': 'விவசாயிகள்',
+        'group.students': 'மாணவர்கள்',
+        'group.sc_st': 'எஸ்சி/எஸ்டி',
+        'group.minorities': 'சிறுபான்மையினர்',
+        'status.submitted': 'சமர்ப்பிக்கப்பட்டது',
+        'status.under_verification': 'சரிபார்ப்பில் உள்ளது',
+        'status.approved': 'அங்கீகரிக்கப்பட்டது',
+        'status.rejected': 'நிராகரிக்கப்பட்டது',
+        'status.benefit_received': 'பயன் கிடைத்தது',
+        'va.title': 'குரல் உதவியாளர்',
+        'va.hint': 'மைக்கை அழுத்திப் பேசுங்கள் — நிறுத்த மீண்டும் அழுத்துங்கள்.',
+        'va.noSpeech': 'உங்கள் உலாவியில் பேச்சு அறிதல் (Speech Recognition) வசதி இல்லை.',
+        'va.notHeard': 'மன்னிக்கவும், நீங்கள் சொன்னது புரியவில்லை.',
+        'va.noReply': 'மன்னிக்கவும் — பதில் கிடைக்கவில்லை.',
+        'va.error': '⚠️ பிழை. மீண்டும் முயற்சிக்கவும்.',
+        'va.connectionError': '⚠️ இணைப்பில் பிழை. மீண்டும் முயற்சிக்கவும்.',
+        'va.cmd.language': 'சரி, இனி தமிழில் பேசுகிறேன்.',
+        'va.cmd.learning': 'உங்கள் கற்றல் பகுதியைத் திறக்கிறேன்.',
+        'va.cmd.feedback': 'கருத்துப் படிவத்தைத் திறக்கிறேன்.',
+        'va.cmd.account': 'உங்கள் கணக்கு அமைப்புகளைத் திறக்கிறேன்.',
+        'va.cmd.openScheme': '{title} திறக்கிறேன்.',
+        'va.cmd.showScheme': 'இதோ {title}. திறக்க அட்டையைத் தட்டவும்.',
+        'va.cmd.search': '“{query}” தொடர்பான திட்டங்களைக் காட்டுகிறேன்.',
+        'cb.welcome': 'வணக்கம் 👋 எதையும் கேளுங்கள்.',
+        'cb.sources': 'ஆதாரங்கள்: ',
+        'offline.banner': 'நீங்கள் ஆஃப்லைனில் உள்ளீர்கள். சேமித்த திட்டங்கள் காட்டப்படுகின்றன.',
+        'offline.pending': '{n} மாற்றங்கள் அனுப்ப காத்திருக்கின்றன.',
+        'offline.synced': 'நீங்கள் சேமித்த மாற்றங்கள் அனுப்பப்பட்டன.',
+        'learn.courses': 'என் பாடநெறிகள்',
+        'learn.continue': 'நிறுத்திய இடத்திலிருந்து தொடருங்கள்',
+        'learn.loginHint': 'உங்கள் முன்னேற்றத்தைச் சேமிக்கவும் சான்றிதழ் பெறவும் உள்நுழையுங்கள்.',
+        'learn.watch': 'பாருங்கள்',
+        'learn.markDone': 'முடிந்தது எனக் குறிக்கவும்',
+        'learn.done': 'முடிந்தது',
+        'learn.quiz': 'வினாடி வினா எழுதுங்கள்',
+        'learn.submit': 'பதில்களைச் சமர்ப்பிக்கவும்',
+        'learn.answerAll': 'தயவுசெய்து எல்லா கேள்விகளுக்கும் பதிலளிக்கவும்.',
+        'learn.score': '{total} இல் {score} மதிப்பெண் பெற்றீர்கள்.',
+        'learn.passed': 'தேர்ச்சி!',
+        'learn.tryAgain': 'தேர்ச்சிக்கு {pass}% தேவை. மீண்டும் முயற்சிக்கவும்.',
+        'learn.finishModules': 'பாடநெறியை முடிக்க ஒவ்வொரு வீடியோவையும் முடிந்தது எனக் குறிக்கவும்.',
+        'learn.certificateReady': 'பாடநெறி முடிந்தது! உங்கள் சான்றிதழ் தயார்.',
+        'learn.certificate': 'சான்றிதழைப் பதிவிறக்கவும்',
+        'learn.loadError': 'பாடநெறிகளை ஏற்ற முடியவில்லை. பின்னர் முயற்சிக்கவும்.',
+        'chat.relevantSchemes': 'இந்தத் திட்டங்கள் தொடர்புடையவையாகத் தெரிகின்றன:',
+        'chat.notSure': 'மன்னிக்கவும், இதைப் பற்றி எனக்கு உறுதியாகத் தெரியவில்லை. தயவுசெய்து கிராம பஞ்சாயத்து அலுவலகத்தில் கேளுங்கள்.',
+        'notify.otp.subject': 'உங்கள் கிராமசேது OTP',
+        'notify.otp.text': 'உங்கள் கிராமசேது OTP {code}. இது {time} வரை செல்லுபடியாகும். இதை யாருடனும் பகிர வேண்டாம்.',
+        'notify.otp.sms': 'உங்கள் கிராமசேது OTP {code}. {time} வரை செல்லுபடியாகும்.',
+        'notify.alert.subject': 'கிராமசேது: {title}',
+        'notify.alert.sms': 'கிராமசேது: {message}',
+        'notify.application_reminder.subject': 'கிராமசேது: {scheme} விண்ணப்பம் இன்னும் "{status}"',
+        'notify.application_reminder.text': '{scheme} க்கான உங்கள் விண்ணப்பம்{ref} {days} நாட்களாக "{status}" நிலையில் உள்ளது. நீங்கள் விண்ணப்பித்த அலுவலகத்தில் விசாரித்து, பின்னர் கிராமசேதுவில் "எனது விண்ணப்பங்கள்" பகுதியில் அதைப் புதுப்பிக்கவும்.',
+        'notify.application_reminder.sms': 'கிராமசேது: உங்கள் {scheme} விண்ணப்பம் {days} நாட்களாக "{status}" நிலையில் உள்ளது. தயவுசெய்து அலுவலகத்தில் விசாரிக்கவும்.',
+        'notify.application_reminder.ref': ' (குறிப்பு {reference})',
+      },
+    },
+  };
+
+  const DEFAULT = 'en';
+
+  function codes() {
+    return Object.keys(LOCALES);
+  }
+
+  function isSupported(code) {
+    return Object.prototype.hasOwnProperty.call(LOCALES, code);
+  }
+
+  // Unknown or missing codes become English
+  function normalize(code) {
+    return isSupported(code) ? code : DEFAULT;
+  }
+
+  function get(code) {
+    return LOCALES[normalize(code)];
+  }
+
+  // The language after `code`, for buttons that cycle through them
+  function next(code) {
+    const all = codes();
+    return all[(all.indexOf(normalize(code)) + 1) % all.length];
+  }
+
+  // UI string, else the English one, else the key itself
+  function t(code, key) {
+    const own = get(code).strings[key];
+    if (own != null) return own;
+    const fallback = LOCALES[DEFAULT].strings[key];
+    return fallback != null ? fallback : key;
+  }
+
+  // Character class source for a language's script, e.g. "[ಀ-೿]"
+  function scriptClass(code) {
+    const hex = n => '\\u' + n.toString(16).toUpperCase().padStart(4, '0');
+    return '[' + get(code).script.ranges.map(([from, to]) => hex(from) + '-' + hex(to)).join('') + ']';
+  }
+
+  /**
+   * Language of `text` by script: the script with the most letters wins, Latin
+   * counts as English. Text without letters gives `fallback`.
+   */
+  function detect(text, fallback) {
+    let best = null;
+    let bestCount = 0;
+    codes().forEach(code => {
+      const count = (String(text || '').match(new RegExp(scriptClass(code), 'g')) || []).length;
+      if (count > bestCount) {
+        best = code;
+        bestCount = count;
+      }
+    });
+    return best || normalize(fallback);
+  }
+
+  // row.title_hi, else row.title_en: for data that is only partly translated
+  function pick(row, field, code) {
+    return (row && (row[field + '_' + normalize(code)] || row[field + '_' + DEFAULT])) || '';
+  }
+
+  return { LOCALES, DEFAULT, codes, isSupported, normalize, get, next, t, scriptClass, detect, pick };
+});
@@ -0,0 +1,253 @@
+// migrate.js - Versioned database migrations (migrations/) and their command line
+//
+//   npm run db:migrate               -> apply every pending migration
+//   npm run db:migrate -- 003        -> apply migrations up to and including 003
+//   npm run db:rollback              -> undo the last migration (-- 2 for the last two)
+//   npm run db:status                -> applied, pending and edited migrations
+//   npm run db:seed                  -> load data/schemes.json into the schemes table
+//
+// A migration is a pair of files, NNN_name.up.sql and NNN_name.down.sql, applied
+// in version order. Each runs in its own transaction together with its row in
+// schema_migrations, which also keeps a checksum of the up file. Once a migration
+// has run anywhere, change the schema with a new one instead of editing it.
+//
+// server.js refuses to start while a migration is pending or the database has one
+// this code does not know (see requireCurrentSchema); DB_MIGRATE_ON_START=1 lets it
+// apply pending ones itself. The functions take a pg Pool, or anything with query()
+// and connect(); pass { lock: false } where advisory locks are missing, as with
+// pg-mem in test/migrate.test.js, which also runs up -> down -> up (again on a real
+// PostgreSQL with TEST_DATABASE_URL). A local server works with
+// DATABASE_URL=postgres://localhost/gramasetu?sslmode=disable.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_REGEX = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+// Any constant works; it keeps two deploys from migrating at the same time
+const LOCK_KEY = 4721;
+
+// -------------------- FILES --------------------
+/**
+ * Migrations on disk, oldest first.
+ * @returns {{ version: string, name: string, up: string, down: string|null, checksum: string }[]}
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+  for (const file of fs.readdirSync(dir).sort()) {
+    const m = file.match(FILE_REGEX);
+    if (!m) continue;
+    const [, version, name, direction] = m;
+    const migration = byVersion.get(version) || { version, name, up: null, down: null };
+    if (migration.name !== name) throw new Error(`Migration ${version} has two names (${migration.name}, ${name})`);
+    migration[direction] = fs.readFileSync(path.join(dir, file), 'utf8');
+    byVersion.set(version, migration);
+  }
+
+  return [...byVersion.values()]
+    .map(migration => {
+      if (!migration.up) throw new Error(`Migration ${migration.version}_${migration.name} has no .up.sql`);
+      return { ...migration, checksum: checksumOf(migration.up) };
+    })
+    .sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+// Line endings differ between checkouts, so they do not count as an edit
+function checksumOf(sql) {
+  return crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+}
+
+// -------------------- STATE --------------------
+const CREATE_MIGRATIONS_TABLE = `
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version     TEXT PRIMARY KEY,
+    name        TEXT NOT NULL,
+    checksum    TEXT NOT NULL,
+    applied_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+  )`;
+
+async function ensureMigrationsTable(db) {
+  await db.query(CREATE_MIGRATIONS_TABLE);
+}
+
+/**
+ * Where the database stands against the files:
+ *   applied  run here (changed: the up file was edited since)
+ *   pending  on disk, not run yet
+ *   unknown  run here, but not on disk (a newer deploy, or a deleted file)
+ */
+async function migrationStatus(db, { dir } = {}) {
+  await ensureMigrationsTable(db);
+  const migrations = loadMigrations(dir);
+  const { rows } = await db.query('SELECT version, name, checksum, applied_at FROM schema_migrations');
+  const done = new Map(rows.map(r => [r.version, r]));
+
+  return {
+    applied: migrations
+      .filter(m => done.has(m.version))
+      .map(m => ({ version: m.version, name: m.name, applied_at: done.get(m.version).applied_at,
+        changed: done.get(m.version).checksum !== m.checksum })),
+    pending: migrations.filter(m => !done.has(m.version)).map(({ version, name }) => ({ version, name })),
+    unknown: rows
+      .filter(r => !migrations.some(m => m.version === r.version))
+      .sort((a, b) => Number(a.version) - Number(b.version))
+      .map(({ version, name }) => ({ version, name })),
+  };
+}
+
+// One client for the whole run, holding the advisory lock
+async function withLock(pool, lock, work) {
+  const client = await pool.connect();
+  try {
+    if (lock) await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    try {
+      return await work(client);
+    } finally {
+      if (lock) await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function inTransaction(client, what, work) {
+  await client.query('BEGIN');
+  try {
+    await work();
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    err.message = `${what} failed: ${err.message}`;
+    throw err;
+  }
+}
+
+const label = m => `${m.version}_${m.name}`;
+
+// -------------------- UP / DOWN --------------------
+/**
+ * Apply pending migrations in order (up to and including `to`).
+ * @returns {Promise<string[]>} the migrations applied
+ */
+async function migrate(pool, { to = null, dir, lock = true, log = console.log } = {}) {
+  return withLock(pool, lock, async client => {
+    const { pending } = await migrationStatus(client, { dir });
+    const migrations = loadMigrations(dir);
+    const todo = pending
+      .filter(p => to === null || Number(p.version) <= Number(to))
+      .map(p => migrations.find(m => m.version === p.version));
+
+    for (const m of todo) {
+      await inTransaction(client, `Migration ${label(m)}`, async () => {
+        await client.query(m.up);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+          [m.version, m.name, m.checksum]
+        );
+      });
+      log(`✅ Applied ${label(m)}`);
+    }
+    return todo.map(label);
+  });
+}
+
+/**
+ * Undo the last `steps` applied migrations, newest first.
+ * @returns {Promise<string[]>} the migrations rolled back
+ */
+async function rollback(pool, { steps = 1, dir, lock = true, log = console.log } = {}) {
+  return withLock(pool, lock, async client => {
+    const { applied, unknown } = await migrationStatus(client, { dir });
+    if (unknown.length) throw new Error(`Cannot roll back: ${unknown.map(label).join(', ')} are not in migrations/`);
+    const migrations = loadMigrations(dir);
+    const todo = applied.slice(-steps).reverse().map(a => migrations.find(m => m.version === a.version));
+
+    for (const m of todo) {
+      if (!m.down) throw new Error(`Migration ${label(m)} has no .down.sql and cannot be rolled back`);
+      await inTransaction(client, `Rollback of ${label(m)}`, async () => {
+        await client.query(m.down);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [m.version]);
+      });
+      log(`↩️ Rolled back ${label(m)}`);
+    }
+    return todo.map(label);
+  });
+}
+
+/**
+ * Throws unless every migration on disk has run and the database has none this
+ * code does not know. Edited migrations only warn (they already ran).
+ */
+async function requireCurrentSchema(db, { dir, log = console.warn } = {}) {
+  const { applied, pending, unknown } = await migrationStatus(db, { dir });
+  if (pending.length) {
+    throw new Error(`Database schema is out of date: ${pending.map(label).join(', ')} not applied. ` +
+      'Run `npm run db:migrate`.');
+  }
+  if (unknown.length) {
+    throw new Error(`Database has migrations this code does not know (${unknown.map(label).join(', ')}). ` +
+      'Deploy the matching code or roll them back.');
+  }
+  for (const m of applied.filter(a => a.changed)) log(`⚠️ Migration ${label(m)} was edited after it was applied`);
+}
+
+// -------------------- COMMAND LINE --------------------
+async function main() {
+  require('dotenv').config();
+  const { Pool } = require('pg');
+  const [command = 'status', arg] = process.argv.slice(2);
+  const commands = ['up', 'down', 'status', 'seed'];
+  if (!commands.includes(command)) {
+    console.error(`Usage: node migrate.js <${commands.join('|')}> [version | steps]`);
+    process.exit(1);
+  }
+
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false },
+  });
+  try {
+    if (command === 'up') {
+      const applied = await migrate(pool, { to: arg || null });
+      if (!applied.length) console.log('✅ Database is up to date');
+    } else if (command === 'down') {
+      const steps = arg ? parseInt(arg, 10) : 1;
+      if (!(steps > 0)) throw new Error('Steps must be a positive number');
+      if (process.env.NODE_ENV === 'production' && !process.argv.includes('--yes'))
+        throw new Error('Rolling back drops data; add --yes to do it in production');
+      const undone = await rollback(pool, { steps });
+      if (!undone.length) console.log('Nothing to roll back');
+    } else if (command === 'status') {
+      const { applied, pending, unknown } = await migrationStatus(pool);
+      for (const m of applied) console.log(`✅ ${label(m)}  ${new Date(m.applied_at).toISOString()}${m.changed ? '  ⚠️ edited since' : ''}`);
+      for (const m of pending) console.log(`⏳ ${label(m)}  pending`);
+      for (const m of unknown) console.log(`❓ ${label(m)}  applied, but not in migrations/`);
+      if (pending.length || unknown.length) process.exitCode = 1;
+    } else if (command === 'seed') {
+      const { seedSchemes } = require('./schemes');
+      await requireCurrentSchema(pool);
+      const count = await seedSchemes(pool, require('./data/schemes.json'));
+      console.log(`✅ Seeded ${count} schemes`);
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('❌ Migration error:', err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  migrationStatus,
+  migrate,
+  rollback,
+  requireCurrentSchema,
+};
@@ -0,0 +1,22 @@
+-- 001 initial schema, undone: drops the tables 001 brought in, with their data.
+-- users and feedback stay, rows and columns included: they were made by hand
+-- before there were migrations, and up only adds their columns when missing, so
+-- it cannot tell which of them are its own. The exception is feedback.scheme_id,
+-- which points into schemes and goes with it (up adds it back).
+
+DROP TABLE IF EXISTS audit_log;
+DROP TABLE IF EXISTS notification_log;
+DROP TABLE IF EXISTS otp_failures;
+DROP TABLE IF EXISTS otp_codes;
+DROP TABLE IF EXISTS course_completions;
+DROP TABLE IF EXISTS quiz_attempts;
+DROP TABLE IF EXISTS learning_progress;
+DROP TABLE IF EXISTS chat_messages;
+DROP TABLE IF EXISTS chat_conversations;
+DROP TABLE IF EXISTS user_documents;
+DROP TABLE IF EXISTS application_events;
+DROP TABLE IF EXISTS scheme_applications;
+DROP TABLE IF EXISTS user_sessions;
+-- CASCADE only takes the foreign key from feedback.scheme_id; the column goes next
+DROP TABLE IF EXISTS schemes CASCADE;
+ALTER TABLE feedback DROP COLUMN IF EXISTS scheme_id;
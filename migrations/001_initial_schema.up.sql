@@ -0,0 +1,271 @@
+-- 001 initial schema: every table the server uses, as of the first migration.
+-- Databases set up before migrations existed (tables created at startup, users
+-- made by hand) are brought to the same shape: tables are only created when
+-- missing and older tables get their missing columns.
+
+-- -------------------- USERS --------------------
+-- role = citizen | officer (panchayat officer) | admin; disabled_at blocks login
+-- language = preferred language for OTP/alert messages
+CREATE TABLE IF NOT EXISTS users (
+  id               SERIAL PRIMARY KEY,
+  username         TEXT UNIQUE NOT NULL,
+  email            TEXT UNIQUE,
+  phone            TEXT UNIQUE,
+  hashed_password  TEXT NOT NULL,
+  name             TEXT,
+  gender           TEXT,
+  age              INTEGER,
+  language         TEXT NOT NULL DEFAULT 'en',
+  role             TEXT NOT NULL DEFAULT 'citizen',
+  disabled_at      TIMESTAMPTZ,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Users tables from before: the profile columns, and email optional (registration
+-- takes an email or a phone number)
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS phone TEXT,
+  ADD COLUMN IF NOT EXISTS name TEXT,
+  ADD COLUMN IF NOT EXISTS gender TEXT,
+  ADD COLUMN IF NOT EXISTS age INTEGER,
+  ADD COLUMN IF NOT EXISTS language TEXT NOT NULL DEFAULT 'en',
+  ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'citizen',
+  ADD COLUMN IF NOT EXISTS disabled_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  ALTER COLUMN email DROP NOT NULL;
+
+-- -------------------- SCHEMES --------------------
+CREATE TABLE IF NOT EXISTS schemes (
+  id              SERIAL PRIMARY KEY,
+  slug            TEXT UNIQUE NOT NULL,
+  title_en        TEXT NOT NULL,
+  title_kn        TEXT,
+  description_en  TEXT,
+  description_kn  TEXT,
+  category        TEXT,
+  department      TEXT,
+  benefit_amount  NUMERIC,
+  benefit_type    TEXT,
+  target_groups   JSONB NOT NULL DEFAULT '[]'::jsonb,
+  eligibility     JSONB NOT NULL DEFAULT '{}'::jsonb,
+  documents       JSONB NOT NULL DEFAULT '[]'::jsonb,
+  link            TEXT,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Tables created before the search filters existed
+ALTER TABLE schemes
+  ADD COLUMN IF NOT EXISTS benefit_type TEXT,
+  ADD COLUMN IF NOT EXISTS target_groups JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+-- -------------------- LOGIN SESSIONS (sessions.js) --------------------
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id             TEXT PRIMARY KEY,
+  user_id        INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  refresh_hash   TEXT NOT NULL UNIQUE,
+  previous_hash  TEXT,
+  ip             TEXT,
+  user_agent     TEXT,
+  expires_at     TIMESTAMPTZ NOT NULL,
+  revoked_at     TIMESTAMPTZ,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_used_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS user_sessions_user_idx ON user_sessions (user_id);
+CREATE INDEX IF NOT EXISTS user_sessions_previous_idx ON user_sessions (previous_hash);
+
+-- -------------------- FEEDBACK (feedback.js) --------------------
+-- The full home.html form. message is the old free-text column, kept for
+-- earlier rows; new feedback goes to comments.
+CREATE TABLE IF NOT EXISTS feedback (
+  id                     SERIAL PRIMARY KEY,
+  user_id                INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  name                   TEXT,
+  email                  TEXT,
+  phone                  TEXT,
+  gender                 TEXT,
+  age                    INTEGER,
+  location               TEXT,
+  scheme_applied         TEXT,
+  scheme_id              INTEGER REFERENCES schemes(id) ON DELETE SET NULL,
+  application_status     TEXT,
+  scheme_benefit_amount  NUMERIC,
+  usage_frequency        TEXT,
+  feedback_rating        SMALLINT,
+  comments               TEXT,
+  message                TEXT,
+  created_at             TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- The first feedback table only had name, email and message
+ALTER TABLE feedback
+  ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  ADD COLUMN IF NOT EXISTS user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS gender TEXT,
+  ADD COLUMN IF NOT EXISTS age INTEGER,
+  ADD COLUMN IF NOT EXISTS phone TEXT,
+  ADD COLUMN IF NOT EXISTS location TEXT,
+  ADD COLUMN IF NOT EXISTS scheme_applied TEXT,
+  ADD COLUMN IF NOT EXISTS scheme_id INTEGER REFERENCES schemes(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS application_status TEXT,
+  ADD COLUMN IF NOT EXISTS scheme_benefit_amount NUMERIC,
+  ADD COLUMN IF NOT EXISTS usage_frequency TEXT,
+  ADD COLUMN IF NOT EXISTS feedback_rating SMALLINT,
+  ADD COLUMN IF NOT EXISTS comments TEXT,
+  ADD COLUMN IF NOT EXISTS message TEXT,
+  ALTER COLUMN email DROP NOT NULL,
+  ALTER COLUMN message DROP NOT NULL;
+CREATE INDEX IF NOT EXISTS feedback_created_idx ON feedback (created_at DESC);
+
+-- -------------------- SCHEME APPLICATIONS (applications.js) --------------------
+CREATE TABLE IF NOT EXISTS scheme_applications (
+  id                 SERIAL PRIMARY KEY,
+  user_id            INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  scheme_id          INTEGER NOT NULL REFERENCES schemes(id) ON DELETE RESTRICT,
+  reference_number   TEXT,
+  submitted_on       DATE NOT NULL,
+  office             TEXT,
+  notes              TEXT,
+  status             TEXT NOT NULL DEFAULT 'submitted',
+  status_changed_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_reminded_at   TIMESTAMPTZ,
+  created_at         TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at         TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS scheme_applications_user_idx ON scheme_applications (user_id);
+
+CREATE TABLE IF NOT EXISTS application_events (
+  id              SERIAL PRIMARY KEY,
+  application_id  INTEGER NOT NULL REFERENCES scheme_applications(id) ON DELETE CASCADE,
+  status          TEXT NOT NULL,
+  note            TEXT,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS application_events_app_idx ON application_events (application_id, id);
+
+-- -------------------- DOCUMENT VAULT (documents.js) --------------------
+CREATE TABLE IF NOT EXISTS user_documents (
+  id             SERIAL PRIMARY KEY,
+  user_id        INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  doc_type       TEXT NOT NULL,
+  original_name  TEXT,
+  mime_type      TEXT NOT NULL,
+  size_bytes     INTEGER NOT NULL,
+  sha256         TEXT NOT NULL,
+  storage_key    TEXT NOT NULL UNIQUE,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS user_documents_user_idx ON user_documents (user_id, doc_type);
+
+-- -------------------- CONVERSATIONS (conversations.js) --------------------
+CREATE TABLE IF NOT EXISTS chat_conversations (
+  id                TEXT PRIMARY KEY,
+  user_id           INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  session_id        TEXT,
+  kind              TEXT NOT NULL DEFAULT 'chatbot',
+  title             TEXT NOT NULL DEFAULT 'New conversation',
+  language          TEXT NOT NULL DEFAULT 'en',
+  summary           TEXT,
+  summarized_until  INTEGER NOT NULL DEFAULT 0,
+  created_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (user_id IS NOT NULL OR session_id IS NOT NULL)
+);
+CREATE TABLE IF NOT EXISTS chat_messages (
+  id               SERIAL PRIMARY KEY,
+  conversation_id  TEXT NOT NULL REFERENCES chat_conversations(id) ON DELETE CASCADE,
+  role             TEXT NOT NULL CHECK (role IN ('user', 'assistant')),
+  content          TEXT NOT NULL,
+  language         TEXT NOT NULL DEFAULT 'en',
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+-- Conversations from before the voice assistant kept its own
+ALTER TABLE chat_conversations ADD COLUMN IF NOT EXISTS kind TEXT NOT NULL DEFAULT 'chatbot';
+CREATE INDEX IF NOT EXISTS chat_conversations_user_idx ON chat_conversations (user_id);
+CREATE INDEX IF NOT EXISTS chat_conversations_session_idx ON chat_conversations (session_id);
+CREATE INDEX IF NOT EXISTS chat_messages_conversation_idx ON chat_messages (conversation_id, id);
+
+-- -------------------- LEARNING SPACE (learning.js) --------------------
+CREATE TABLE IF NOT EXISTS learning_progress (
+  user_id         INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  course_id       TEXT NOT NULL,
+  module_id       TEXT NOT NULL,
+  first_opened_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_opened_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at    TIMESTAMPTZ,
+  PRIMARY KEY (user_id, course_id, module_id)
+);
+
+CREATE TABLE IF NOT EXISTS quiz_attempts (
+  id          SERIAL PRIMARY KEY,
+  user_id     INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  course_id   TEXT NOT NULL,
+  answers     JSONB NOT NULL,
+  score       INTEGER NOT NULL,
+  total       INTEGER NOT NULL,
+  passed      BOOLEAN NOT NULL,
+  language    TEXT,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS quiz_attempts_user_idx ON quiz_attempts (user_id, course_id);
+
+CREATE TABLE IF NOT EXISTS course_completions (
+  user_id           INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  course_id         TEXT NOT NULL,
+  certificate_code  TEXT UNIQUE NOT NULL,
+  score             INTEGER NOT NULL,
+  total             INTEGER NOT NULL,
+  completed_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, course_id)
+);
+
+-- -------------------- OTP (otp.js) --------------------
+CREATE TABLE IF NOT EXISTS otp_codes (
+  id           SERIAL PRIMARY KEY,
+  identifier   TEXT NOT NULL,
+  purpose      TEXT NOT NULL DEFAULT 'password_reset',
+  code_hash    TEXT NOT NULL,
+  ip           TEXT,
+  attempts     INTEGER NOT NULL DEFAULT 0,
+  expires_at   TIMESTAMPTZ NOT NULL,
+  consumed_at  TIMESTAMPTZ,
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS otp_codes_identifier_idx ON otp_codes (identifier, purpose, created_at DESC);
+CREATE INDEX IF NOT EXISTS otp_codes_ip_idx ON otp_codes (ip, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS otp_failures (
+  identifier    TEXT NOT NULL,
+  purpose       TEXT NOT NULL,
+  failures      INTEGER NOT NULL DEFAULT 0,
+  locked_until  TIMESTAMPTZ,
+  PRIMARY KEY (identifier, purpose)
+);
+
+-- -------------------- NOTIFICATIONS (notify.js) --------------------
+CREATE TABLE IF NOT EXISTS notification_log (
+  id          SERIAL PRIMARY KEY,
+  channel     TEXT NOT NULL,
+  recipient   TEXT NOT NULL,
+  template    TEXT NOT NULL,
+  language    TEXT NOT NULL,
+  status      TEXT NOT NULL CHECK (status IN ('sent', 'failed')),
+  error       TEXT,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS notification_log_recipient_idx ON notification_log (recipient, created_at DESC);
+
+-- -------------------- ADMIN AUDIT LOG (audit.js) --------------------
+CREATE TABLE IF NOT EXISTS audit_log (
+  id              SERIAL PRIMARY KEY,
+  actor_id        INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  actor_username  TEXT,
+  action          TEXT NOT NULL,
+  target_type     TEXT,
+  target_id       TEXT,
+  details         JSONB NOT NULL DEFAULT '{}'::jsonb,
+  ip              TEXT,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS audit_log_created_idx ON audit_log (created_at DESC);
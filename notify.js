@@ -0,0 +1,196 @@
+// notify.js - Sending OTPs and alerts by email or SMS
+//
+// Each kind of recipient goes through one channel, picked by env:
+//   NOTIFY_EMAIL_CHANNEL = emailjs (default) | smtp | console
+//   NOTIFY_SMS_CHANNEL   = sms (default)     | console
+//
+// Channels:
+//   emailjs  EmailJS (EMAILJS_SERVICE_ID, EMAILJS_PUBLIC_KEY, EMAILJS_CC_EMAIL), one EmailJS
+//            template per notification template: EMAILJS_TEMPLATE_<NAME>, e.g.
+//            EMAILJS_TEMPLATE_APPLICATION_REMINDER (the OTP one may stay EMAILJS_TEMPLATE_ID)
+//   smtp     nodemailer (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_FROM)
+//   sms      textbelt-style HTTP gateway (SMS_GATEWAY_URL, SMS_GATEWAY_KEY)
+//   console  prints the message, and appends it to NOTIFY_SINK_FILE as JSON lines if set
+//            (development: read your OTP from the terminal)
+//
+// Messages come from TEMPLATES in the recipient's language (English when the
+// locale has no text for it). Every attempt is written to notification_log
+// (never the rendered text, it may hold a code).
+
+const fs = require('fs');
+const fetch = require('node-fetch');
+const emailjs = require('@emailjs/nodejs');
+const nodemailer = require('nodemailer');
+const locales = require('./locales');
+
+// -------------------- TEMPLATES --------------------
+// The texts are locale strings (locales.js): notify.<template>.subject, .text and
+// .sms (the short text for SMS), with {param} placeholders. A language gets them by
+// having those strings; whatever it lacks is sent in English.
+// Each template lists the params it builds from the ones it is given.
+const TEMPLATES = {
+  otp: {},
+  alert: {},
+  // Scheme application with no progress for a while (see applications.js)
+  application_reminder: {
+    ref: (language, p) => (p.reference ? fill(locales.t(language, 'notify.application_reminder.ref'), p) : ''),
+  },
+};
+
+const LANGUAGES = locales.codes();
+
+function fill(text, params) {
+  return text.replace(/\{(\w+)\}/g, (whole, name) => (params[name] != null ? String(params[name]) : ''));
+}
+
+function render(templateName, language, params) {
+  const template = TEMPLATES[templateName];
+  if (!template) throw new Error(`Unknown notification template "${templateName}"`);
+  const all = { ...params };
+  for (const [name, build] of Object.entries(template)) all[name] = build(language, params);
+  const text = field => fill(locales.t(language, `notify.${templateName}.${field}`), all);
+  return { subject: text('subject'), text: text('text'), sms: text('sms') };
+}
+
+// -------------------- CHANNELS --------------------
+// Channel interface: { name, isConfigured(template), send({ to, template, message, params, language }) }
+
+// The OTP template was set up first, as plain EMAILJS_TEMPLATE_ID
+function emailjsTemplateId(template) {
+  return process.env[`EMAILJS_TEMPLATE_${template.toUpperCase()}`] ||
+    (template === 'otp' ? process.env.EMAILJS_TEMPLATE_ID : undefined);
+}
+
+const emailjsChannel = {
+  name: 'emailjs',
+  isConfigured: template => !!(process.env.EMAILJS_SERVICE_ID && emailjsTemplateId(template)),
+  async send({ to, template, message, params, language }) {
+    // Every EmailJS template reads email, subject and message; the OTP one reads passcode / time
+    const otp = template === 'otp' ? { passcode: params.code, time: params.time } : {};
+    await emailjs.send(
+      process.env.EMAILJS_SERVICE_ID,
+      emailjsTemplateId(template),
+      {
+        email: to,
+        ...otp,
+        subject: message.subject,
+        message: message.text,
+        language,
+        cc_email: process.env.EMAILJS_CC_EMAIL,
+      },
+      { publicKey: process.env.EMAILJS_PUBLIC_KEY }
+    );
+  },
+};
+
+let smtpTransport = null;
+const smtpChannel = {
+  name: 'smtp',
+  isConfigured: () => !!process.env.SMTP_HOST,
+  async send({ to, message }) {
+    if (!smtpTransport) {
+      const port = Number(process.env.SMTP_PORT) || 587;
+      smtpTransport = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port,
+        secure: port === 465,
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+      });
+    }
+    await smtpTransport.sendMail({
+      from: process.env.SMTP_FROM || process.env.SMTP_USER,
+      to,
+      subject: message.subject,
+      text: message.text,
+    });
+  },
+};
+
+const smsChannel = {
+  name: 'sms',
+  isConfigured: () => true, // falls back to textbelt's free key, as before
+  async send({ to, message }) {
+    const response = await fetch(process.env.SMS_GATEWAY_URL || 'https://textbelt.com/text', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        phone: to,
+        message: message.sms,
+        key: process.env.SMS_GATEWAY_KEY || 'textbelt',
+      }),
+    });
+    const json = await response.json().catch(() => ({}));
+    if (!response.ok || !json.success) {
+      throw new Error(`SMS gateway refused: ${json.error || response.status}`);
+    }
+  },
+};
+
+const consoleChannel = {
+  name: 'console',
+  isConfigured: () => true,
+  async send({ to, message, kind }) {
+    const body = kind === 'sms' ? message.sms : `${message.subject}\n${message.text}`;
+    console.log(`📨 [${kind} → ${to}] ${body}`);
+    if (process.env.NOTIFY_SINK_FILE) {
+      const line = JSON.stringify({ at: new Date().toISOString(), kind, to, ...message });
+      await fs.promises.appendFile(process.env.NOTIFY_SINK_FILE, line + '\n');
+    }
+  },
+};
+
+const CHANNELS = {
+  emailjs: emailjsChannel,
+  smtp: smtpChannel,
+  sms: smsChannel,
+  console: consoleChannel,
+};
+
+function channelFor(kind) {
+  const name = kind === 'email'
+    ? process.env.NOTIFY_EMAIL_CHANNEL || 'emailjs'
+    : process.env.NOTIFY_SMS_CHANNEL || 'sms';
+  const channel = CHANNELS[name];
+  if (!channel) throw new Error(`Unknown notification channel "${name}"`);
+  return channel;
+}
+
+// -------------------- SEND --------------------
+async function logDelivery(pool, entry) {
+  try {
+    await pool.query(
+      `INSERT INTO notification_log (channel, recipient, template, language, status, error)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [entry.channel, entry.recipient, entry.template, entry.language, entry.status, entry.error || null]
+    );
+  } catch (err) {
+    console.error('❌ notification_log insert failed:', err.message);
+  }
+}
+
+/**
+ * Send `template` to an email address or phone number.
+ * Never throws for delivery problems; check `ok`.
+ * @returns {Promise<{ ok: boolean, channel: string, error?: string }>}
+ */
+async function notify(pool, { to, template, params = {}, language = 'en' }) {
+  const kind = String(to).includes('@') ? 'email' : 'sms';
+  const lang = LANGUAGES.includes(language) ? language : 'en';
+  const message = render(template, lang, params);
+  const channel = channelFor(kind);
+  const entry = { channel: channel.name, recipient: to, template, language: lang };
+
+  try {
+    if (!channel.isConfigured(template)) throw new Error(`${channel.name} channel is not configured for ${template}`);
+    await channel.send({ to, template, message, params, language: lang, kind });
+    console.log(`✅ ${template} ${kind} sent to ${to} via ${channel.name}`);
+    await logDelivery(pool, { ...entry, status: 'sent' });
+    return { ok: true, channel: channel.name };
+  } catch (err) {
+    console.error(`❌ ${template} ${kind} to ${to} via ${channel.name} failed:`, err.message || err);
+    await logDelivery(pool, { ...entry, status: 'failed', error: String(err.message || err.text || err) });
+    return { ok: false, channel: channel.name, error: String(err.message || err.text || err) };
+  }
+}
+
+module.exports = { TEMPLATES, LANGUAGES, render, notify };
@@ -0,0 +1,228 @@
+// offline.js - Keeps home.html usable without a connection (after auth-client.js)
+// - registers the service worker (sw.js) that serves the pages from cache
+// - keeps a copy of the scheme catalogue in IndexedDB, refreshed incrementally
+//   from /api/schemes/catalogue (ETag + ?since=)
+// - queues feedback and profile edits made offline in an IndexedDB outbox and
+//   sends them, in order, once the browser is back online
+// Queued requests carry no token: they are sent with the login current when they
+// go out, and only if that is the user who made them. The page is told how many
+// are waiting through the "gs-outbox" window event ({ pending, synced, failed }).
+
+(function () {
+  const DB_NAME = "gramasetu";
+  const DB_VERSION = 1;
+  let dbPromise = null;
+
+  // -------------------- INDEXEDDB --------------------
+  function openDb() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        db.createObjectStore("schemes", { keyPath: "id" });
+        db.createObjectStore("meta");
+        db.createObjectStore("outbox", { keyPath: "id", autoIncrement: true });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    return dbPromise;
+  }
+
+  // Runs work(stores) in one transaction; resolves with its result once committed
+  async function tx(names, mode, work) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const t = db.transaction(names, mode);
+      const stores = {};
+      [].concat(names).forEach((n) => { stores[n] = t.objectStore(n); });
+      let result;
+      Promise.resolve(work(stores)).then((r) => { result = r; }, reject);
+      t.oncomplete = () => resolve(result);
+      t.onerror = () => reject(t.error);
+      t.onabort = () => reject(t.error);
+    });
+  }
+
+  function request(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  // -------------------- SCHEME CATALOGUE --------------------
+  async function localCatalogue() {
+    const [list, meta] = await tx(["schemes", "meta"], "readonly", (s) =>
+      Promise.all([request(s.schemes.getAll()), request(s.meta.get("catalogue"))])
+    );
+    return { schemes: list.sort((a, b) => a.id - b.id), meta: meta || null };
+  }
+
+  async function saveCatalogue(data) {
+    await tx(["schemes", "meta"], "readwrite", (s) => {
+      if (data.full) s.schemes.clear();
+      else {
+        const keep = new Set(data.ids);
+        s.schemes.getAllKeys().onsuccess = (ev) => {
+          ev.target.result.filter((id) => !keep.has(id)).forEach((id) => s.schemes.delete(id));
+        };
+      }
+      data.schemes.forEach((scheme) => s.schemes.put(scheme));
+      s.meta.put({ version: data.version, updated_at: data.updated_at }, "catalogue");
+    });
+  }
+
+  /**
+   * The scheme list: refreshed from the server when online (only what changed
+   * since the saved copy), otherwise the saved copy. Rejects only when there is
+   * neither a connection nor a saved copy.
+   */
+  async function catalogue() {
+    let local = { schemes: [], meta: null };
+    try {
+      local = await localCatalogue();
+    } catch (e) {
+      console.warn("Offline catalogue unavailable", e);
+    }
+    if (!navigator.onLine && local.meta) return local.schemes;
+
+    try {
+      const meta = local.meta;
+      const url = "/api/schemes/catalogue" + (meta && meta.updated_at ? "?since=" + encodeURIComponent(meta.updated_at) : "");
+      const res = await fetch(url, {
+        cache: "no-store",
+        headers: meta ? { "If-None-Match": '"' + meta.version + '"' } : {},
+      });
+      if (res.status === 304) return local.schemes;
+      if (!res.ok) throw new Error("catalogue " + res.status);
+      const data = await res.json();
+      try {
+        await saveCatalogue(data);
+        return (await localCatalogue()).schemes;
+      } catch (e) {
+        console.warn("Could not save catalogue", e); // private mode, storage full
+        return data.full ? data.schemes : local.schemes;
+      }
+    } catch (err) {
+      if (local.meta) return local.schemes;
+      throw err;
+    }
+  }
+
+  // -------------------- OUTBOX --------------------
+  let syncing = null;
+
+  // userId from the access token, or null when logged out
+  function currentUser() {
+    const token = localStorage.getItem("token");
+    try {
+      return JSON.parse(atob(token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/"))).userId || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function ownEntries() {
+    const user = currentUser();
+    return tx("outbox", "readonly", (s) => request(s.outbox.getAll()))
+      .then((all) => all.filter((e) => e.owner === user))
+      .catch(() => []);
+  }
+
+  function notify(detail) {
+    window.dispatchEvent(new CustomEvent("gs-outbox", { detail }));
+  }
+
+  // Requests of the logged-in user still waiting to be sent
+  function pendingCount() {
+    return ownEntries().then((entries) => entries.length);
+  }
+
+  // A later entry with the same key (e.g. "profile") replaces the user's queued one
+  async function enqueue(entry) {
+    await tx("outbox", "readwrite", (s) => {
+      if (!entry.key) return s.outbox.add(entry);
+      s.outbox.getAll().onsuccess = (ev) => {
+        ev.target.result
+          .filter((e) => e.key === entry.key && e.owner === entry.owner)
+          .forEach((e) => s.outbox.delete(e.id));
+        s.outbox.add(entry);
+      };
+    });
+    notify({ pending: await pendingCount(), synced: 0, failed: 0 });
+  }
+
+  function sendNow({ url, method, body }) {
+    return gsAuth.fetch(url, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+  }
+
+  /**
+   * Send a JSON request, or queue it when there is no connection.
+   * @returns {Promise<{ queued: boolean, response?: Response }>}
+   */
+  async function send(url, { method = "POST", body = {}, key = null } = {}) {
+    const entry = { url, method, body, key, owner: currentUser(), queued_at: new Date().toISOString() };
+    if (navigator.onLine) {
+      try {
+        return { queued: false, response: await sendNow(entry) };
+      } catch (e) {
+        // fetch only throws when the request never reached the server
+      }
+    }
+    await enqueue(entry);
+    return { queued: true };
+  }
+
+  // Oldest first; stops at the first network error, 401 or server error so the
+  // order is kept. Other refusals (400, 404, ...) are dropped: they will not
+  // succeed by retrying.
+  function sync() {
+    if (syncing) return syncing;
+    syncing = (async () => {
+      let synced = 0;
+      let failed = 0;
+      const entries = await ownEntries();
+      for (const entry of entries) {
+        let res;
+        try {
+          res = await sendNow(entry);
+        } catch (e) {
+          break;
+        }
+        if (res.status === 401 || res.status >= 500) break;
+        if (!res.ok) {
+          failed++;
+          console.warn("Queued request refused, dropping it", entry.url, res.status);
+        } else synced++;
+        await tx("outbox", "readwrite", (s) => s.outbox.delete(entry.id));
+      }
+      const pending = await pendingCount();
+      if (synced || failed || pending) notify({ pending, synced, failed });
+      return { pending, synced, failed };
+    })().finally(() => { syncing = null; });
+    return syncing;
+  }
+
+  // -------------------- STARTUP --------------------
+  if ("serviceWorker" in navigator) {
+    window.addEventListener("load", () => {
+      navigator.serviceWorker.register("sw.js").catch((e) => console.warn("Service worker not registered", e));
+    });
+  }
+  window.addEventListener("online", () => { sync(); });
+  if (navigator.onLine && window.gsAuth) gsAuth.ready.then(sync);
+
+  window.gsOffline = {
+    catalogue,
+    send,
+    sync,
+    pendingCount,
+    isOnline: () => navigator.onLine,
+  };
+})();
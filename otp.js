@@ -0,0 +1,207 @@
+// otp.js - One-time passcodes stored in PostgreSQL (forgot-password and friends)
+// Codes are kept as HMACs, expire, and can only be used once. Limits:
+//   - per identifier: one new code per OTP_RESEND_COOLDOWN_SEC (60)
+//   - per IP: at most OTP_IP_MAX_PER_HOUR (10) codes
+//   - OTP_MAX_FAILURES (5) wrong guesses lock the identifier for OTP_LOCK_MINUTES (15)
+// Codes live OTP_TTL_MINUTES (10). Works across restarts and multiple instances.
+// Times come from the `now` option (default: the current time), so tests can move the clock.
+
+const crypto = require('crypto');
+const { JWT_SECRET } = require('./auth');
+
+function intEnv(name, fallback) {
+  const n = parseInt(process.env[name], 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+const TTL_MINUTES = intEnv('OTP_TTL_MINUTES', 10);
+const RESEND_COOLDOWN_SEC = intEnv('OTP_RESEND_COOLDOWN_SEC', 60);
+const IP_MAX_PER_HOUR = intEnv('OTP_IP_MAX_PER_HOUR', 10);
+const MAX_FAILURES = intEnv('OTP_MAX_FAILURES', 5);
+const LOCK_MINUTES = intEnv('OTP_LOCK_MINUTES', 15);
+
+// -------------------- HELPERS --------------------
+// Emails are case-insensitive; phone numbers only lose spaces/dashes
+function normalizeIdentifier(identifier) {
+  const value = String(identifier || '').trim();
+  return value.includes('@') ? value.toLowerCase() : value.replace(/[\s-]/g, '');
+}
+
+function hashCode(identifier, purpose, code) {
+  const secret = process.env.OTP_SECRET || JWT_SECRET;
+  return crypto.createHmac('sha256', secret).update(`${purpose}:${identifier}:${code}`).digest('hex');
+}
+
+function sameHash(a, b) {
+  const bufA = Buffer.from(a, 'hex');
+  const bufB = Buffer.from(b, 'hex');
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function secondsUntil(date, now) {
+  return Math.max(1, Math.ceil((new Date(date).getTime() - now.getTime()) / 1000));
+}
+
+function secondsBefore(now, seconds) {
+  return new Date(now.getTime() - seconds * 1000);
+}
+
+async function lockedUntil(pool, identifier, purpose, now) {
+  const result = await pool.query(
+    'SELECT locked_until FROM otp_failures WHERE identifier = $1 AND purpose = $2 AND locked_until > $3',
+    [identifier, purpose, now]
+  );
+  return result.rows[0] ? result.rows[0].locked_until : null;
+}
+
+// -------------------- ISSUE --------------------
+/**
+ * Create a new code for `identifier` (older unused codes stop working).
+ * @returns {Promise<{ ok: true, code: string, expiresAt: Date }
+ *   | { ok: false, reason: 'locked' | 'cooldown' | 'ip_limit', retryAfter: number }>}
+ *   retryAfter is in seconds
+ */
+async function issueOtp(pool, identifier, { purpose = 'password_reset', ip = null, now = new Date() } = {}) {
+  const id = normalizeIdentifier(identifier);
+
+  const locked = await lockedUntil(pool, id, purpose, now);
+  if (locked) return { ok: false, reason: 'locked', retryAfter: secondsUntil(locked, now) };
+
+  const last = await pool.query(
+    `SELECT created_at FROM otp_codes
+      WHERE identifier = $1 AND purpose = $2 AND created_at > $3
+      ORDER BY created_at DESC LIMIT 1`,
+    [id, purpose, secondsBefore(now, RESEND_COOLDOWN_SEC)]
+  );
+  if (last.rows[0]) {
+    const nextAt = new Date(last.rows[0].created_at).getTime() + RESEND_COOLDOWN_SEC * 1000;
+    return { ok: false, reason: 'cooldown', retryAfter: secondsUntil(nextAt, now) };
+  }
+
+  if (ip) {
+    const recent = await pool.query(
+      `SELECT COUNT(*)::int AS count, MIN(created_at) AS oldest FROM otp_codes
+        WHERE ip = $1 AND created_at > $2`,
+      [ip, secondsBefore(now, 60 * 60)]
+    );
+    if (recent.rows[0].count >= IP_MAX_PER_HOUR) {
+      const nextAt = new Date(recent.rows[0].oldest).getTime() + 60 * 60 * 1000;
+      return { ok: false, reason: 'ip_limit', retryAfter: secondsUntil(nextAt, now) };
+    }
+  }
+
+  const code = crypto.randomInt(100000, 1000000).toString();
+  const expiresAt = new Date(now.getTime() + TTL_MINUTES * 60 * 1000);
+
+  await pool.query(
+    `UPDATE otp_codes SET consumed_at = $3
+      WHERE identifier = $1 AND purpose = $2 AND consumed_at IS NULL`,
+    [id, purpose, now]
+  );
+  await pool.query(
+    `INSERT INTO otp_codes (identifier, purpose, code_hash, ip, expires_at, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [id, purpose, hashCode(id, purpose, code), ip, expiresAt, now]
+  );
+  // Old rows are only needed for the hourly IP window
+  await pool.query('DELETE FROM otp_codes WHERE created_at < $1', [secondsBefore(now, 24 * 60 * 60)]);
+
+  return { ok: true, code, expiresAt };
+}
+
+// -------------------- VERIFY --------------------
+/**
+ * Check (and on success use up) a code.
+ * @returns {Promise<{ ok: true }
+ *   | { ok: false, reason: 'invalid' | 'expired' | 'locked', attemptsLeft?: number, retryAfter?: number }>}
+ */
+async function verifyOtp(pool, identifier, code, { purpose = 'password_reset', now = new Date() } = {}) {
+  const id = normalizeIdentifier(identifier);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // Serialises guesses for this identifier (row is created on first use)
+    await client.query(
+      `INSERT INTO otp_failures (identifier, purpose) VALUES ($1, $2)
+       ON CONFLICT (identifier, purpose) DO NOTHING`,
+      [id, purpose]
+    );
+    const state = (await client.query(
+      'SELECT failures, locked_until FROM otp_failures WHERE identifier = $1 AND purpose = $2 FOR UPDATE',
+      [id, purpose]
+    )).rows[0];
+
+    if (state.locked_until && new Date(state.locked_until) > now) {
+      await client.query('COMMIT');
+      return { ok: false, reason: 'locked', retryAfter: secondsUntil(state.locked_until, now) };
+    }
+
+    const active = (await client.query(
+      `SELECT id, code_hash, expires_at FROM otp_codes
+        WHERE identifier = $1 AND purpose = $2 AND consumed_at IS NULL
+        ORDER BY created_at DESC LIMIT 1`,
+      [id, purpose]
+    )).rows[0];
+
+    const matches = active && sameHash(active.code_hash, hashCode(id, purpose, String(code || '').trim()));
+
+    if (matches && new Date(active.expires_at) < now) {
+      await client.query('UPDATE otp_codes SET consumed_at = $2 WHERE id = $1', [active.id, now]);
+      await client.query('COMMIT');
+      return { ok: false, reason: 'expired' };
+    }
+
+    if (matches) {
+      await client.query('UPDATE otp_codes SET consumed_at = $2 WHERE id = $1', [active.id, now]);
+      await client.query(
+        'UPDATE otp_failures SET failures = 0, locked_until = NULL WHERE identifier = $1 AND purpose = $2',
+        [id, purpose]
+      );
+      await client.query('COMMIT');
+      return { ok: true };
+    }
+
+    // Wrong guess: count it, lock after MAX_FAILURES and burn the code
+    if (active) await client.query('UPDATE otp_codes SET attempts = attempts + 1 WHERE id = $1', [active.id]);
+    const failures = state.failures + 1;
+    if (failures >= MAX_FAILURES) {
+      const until = new Date(now.getTime() + LOCK_MINUTES * 60 * 1000);
+      await client.query(
+        'UPDATE otp_failures SET failures = 0, locked_until = $3 WHERE identifier = $1 AND purpose = $2',
+        [id, purpose, until]
+      );
+      await client.query(
+        `UPDATE otp_codes SET consumed_at = $3
+          WHERE identifier = $1 AND purpose = $2 AND consumed_at IS NULL`,
+        [id, purpose, now]
+      );
+      await client.query('COMMIT');
+      console.warn(`⚠️ OTP locked for ${id} after ${failures} failed attempts`);
+      return { ok: false, reason: 'locked', retryAfter: secondsUntil(until, now) };
+    }
+
+    await client.query(
+      'UPDATE otp_failures SET failures = $3 WHERE identifier = $1 AND purpose = $2',
+      [id, purpose, failures]
+    );
+    await client.query('COMMIT');
+    return { ok: false, reason: 'invalid', attemptsLeft: MAX_FAILURES - failures };
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  TTL_MINUTES,
+  RESEND_COOLDOWN_SEC,
+  IP_MAX_PER_HOUR,
+  MAX_FAILURES,
+  LOCK_MINUTES,
+  normalizeIdentifier,
+  issueOtp,
+  verifyOtp,
+};
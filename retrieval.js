@@ -0,0 +1,125 @@
+// retrieval.js - Local BM25 index over the scheme catalogue (no external search service)
+// Built in memory by server.js from the catalogue; /api/cb-chat searches it
+// and injects the top matches into the chatbot prompt so answers cite real schemes.
+// Terms go through phoneticKey(), so Kannada and English queries share one index.
+
+const { phoneticKey } = require('./transliterate');
+
+const INDEX_VERSION = 1;
+const K1 = 1.2;
+const B = 0.75;
+const TITLE_BOOST = 3; // title words are counted this many times
+
+const WORD_REGEX = /[\p{L}\p{M}\p{N}]+/gu;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'for', 'to', 'in', 'on', 'by', 'with', 'is', 'are',
+  'it', 'its', 'this', 'that', 'as', 'at', 'be', 'from', 'their', 'them', 'who', 'what',
+  'how', 'which', 'can', 'i', 'me', 'my', 'do', 'does', 'about', 'tell', 'get', 'apply',
+  'scheme', 'schemes', 'yojana', 'yojane', 'karnataka', 'government', 'provides',
+  'ಮತ್ತು', 'ಯೋಜನೆ', 'ಯೋಜನೆಗಳು', 'ಈ', 'ಆ', 'ಏನು', 'ಹೇಗೆ', 'ನನಗೆ', 'ಬಗ್ಗೆ', 'ಸರ್ಕಾರ', 'ಕರ್ನಾಟಕ',
+].map(phoneticKey));
+
+function terms(text) {
+  const out = [];
+  for (const m of String(text || '').matchAll(WORD_REGEX)) {
+    const key = phoneticKey(m[0]);
+    if (key && !STOPWORDS.has(key)) out.push(key);
+  }
+  return out;
+}
+
+// -------------------- BUILD --------------------
+/**
+ * Build a BM25 index from scheme rows (data/schemes.json or the schemes table).
+ * Only what the prompt needs is copied into each doc.
+ */
+function buildIndex(schemes) {
+  const docs = [];
+  const df = {};
+  let totalLength = 0;
+
+  for (const s of schemes) {
+    const titleTerms = [...terms(s.title_en), ...terms(s.title_kn)];
+    const bodyTerms = [...terms(s.description_en), ...terms(s.description_kn), ...terms(s.category)];
+    const tf = {};
+    for (const t of titleTerms) tf[t] = (tf[t] || 0) + TITLE_BOOST;
+    for (const t of bodyTerms) tf[t] = (tf[t] || 0) + 1;
+
+    const length = titleTerms.length * TITLE_BOOST + bodyTerms.length;
+    totalLength += length;
+    for (const t of Object.keys(tf)) df[t] = (df[t] || 0) + 1;
+
+    docs.push({
+      id: s.id,
+      link: s.link,
+      title_en: s.title_en,
+      title_kn: s.title_kn,
+      description_en: s.description_en,
+      description_kn: s.description_kn,
+      benefit_amount: s.benefit_amount ?? null,
+      documents: s.documents || [],
+      length,
+      tf,
+    });
+  }
+
+  return {
+    version: INDEX_VERSION,
+    built_at: new Date().toISOString(),
+    count: docs.length,
+    avgLength: docs.length ? totalLength / docs.length : 0,
+    df,
+    docs,
+  };
+}
+
+// -------------------- QUERY --------------------
+/**
+ * Top-k schemes for a question.
+ * @returns {Array<{ doc: object, score: number }>}
+ */
+function retrieve(index, query, { k = 3, minScore = 1, relative = 0.5 } = {}) {
+  if (!index || !index.docs.length) return [];
+  const queryTerms = [...new Set(terms(query))];
+  if (!queryTerms.length) return [];
+
+  const scored = index.docs.map(doc => {
+    let score = 0;
+    for (const t of queryTerms) {
+      const f = doc.tf[t];
+      if (!f) continue;
+      const n = index.df[t] || 0;
+      const idf = Math.log(1 + (index.count - n + 0.5) / (n + 0.5));
+      score += idf * (f * (K1 + 1)) / (f + K1 * (1 - B + B * doc.length / index.avgLength));
+    }
+    return { doc, score };
+  });
+
+  // Drop weak tail matches (e.g. other "Gruha ..." schemes when asking about Gruha Lakshmi)
+  const top = Math.max(0, ...scored.map(r => r.score));
+  return scored
+    .filter(r => r.score >= minScore && r.score >= top * relative)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k);
+}
+
+// Citation id used in prompts and replies, matching the scheme page name
+function citationId(doc) {
+  return `scheme-${doc.id}`;
+}
+
+// System-prompt block listing the retrieved schemes
+function formatContext(hits, lang = 'en') {
+  return hits.map(({ doc }) => {
+    const local = lang !== 'en' && doc[`title_${lang}`];
+    const title = local ? `${local} (${doc.title_en})` : doc.title_en;
+    const description = doc[`description_${lang}`] || doc.description_en;
+    const lines = [`[${citationId(doc)}] ${title}`, `Link: ${doc.link}`, description];
+    if (doc.benefit_amount) lines.push(`Benefit amount: ₹${doc.benefit_amount}`);
+    if (doc.documents.length) lines.push(`Documents: ${doc.documents.join(', ')}`);
+    return lines.join('\n');
+  }).join('\n\n');
+}
+
+module.exports = { INDEX_VERSION, buildIndex, retrieve, citationId, formatContext };
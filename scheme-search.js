@@ -0,0 +1,182 @@
+// scheme-search.js - Ranked, typo-tolerant scheme search (Kannada ⇄ English)
+// Every word is compared through phoneticKey(), so "anna bhagya", "ಅನ್ನ ಭಾಗ್ಯ"
+// and "ana bagya" all hit Anna Bhagya. Titles weigh more than descriptions.
+
+const { KANNADA_REGEX, phoneticKey } = require('./transliterate');
+
+const WORD_REGEX = /[\p{L}\p{M}\p{N}]+/gu;
+
+// Words that appear in almost every title and only add noise
+const STOPWORDS = new Set(['scheme', 'yojana', 'yojane', 'yojne', 'karnataka', 'the', 'for', 'of', 'and']
+  .map(phoneticKey));
+
+const TITLE_WEIGHT = 3;
+const DESCRIPTION_WEIGHT = 1;
+const SNIPPET_RADIUS = 60;
+
+// -------------------- FUZZY MATCHING --------------------
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      curr[j] = Math.min(
+        prev[j] + 1,
+        curr[j - 1] + 1,
+        prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+// 0..1 similarity between two phonetic keys; short words must match exactly
+// (or as a prefix, for search-as-you-type), longer ones may have 1-2 typos.
+function similarity(queryKey, wordKey) {
+  if (!queryKey || !wordKey) return 0;
+  if (queryKey === wordKey) return 1;
+  if (queryKey.length >= 3 && wordKey.startsWith(queryKey)) return 0.9;
+  if (queryKey.length < 5) return 0;
+
+  const allowed = queryKey.length >= 8 ? 2 : 1;
+  const distance = levenshtein(queryKey, wordKey);
+  return distance <= allowed ? 1 - distance / Math.max(queryKey.length, wordKey.length) : 0;
+}
+
+function tokenize(text) {
+  const words = [];
+  const str = String(text || '');
+  let m;
+  WORD_REGEX.lastIndex = 0;
+  while ((m = WORD_REGEX.exec(str))) {
+    words.push({ word: m[0], start: m.index, end: m.index + m[0].length, key: phoneticKey(m[0]) });
+  }
+  return words;
+}
+
+function queryKeys(query) {
+  const keys = tokenize(query).map(t => t.key).filter(Boolean);
+  const meaningful = keys.filter(k => !STOPWORDS.has(k));
+  return [...new Set(meaningful.length ? meaningful : keys)];
+}
+
+// -------------------- HIGHLIGHTING --------------------
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Escaped text[start, end) with <mark> around the matched words
+function highlight(text, words, matched, start = 0, end = text.length) {
+  let out = '';
+  let pos = start;
+  for (const w of words) {
+    if (!matched.has(w) || w.start < start || w.end > end) continue;
+    out += escapeHtml(text.slice(pos, w.start)) + '<mark>' + escapeHtml(w.word) + '</mark>';
+    pos = w.end;
+  }
+  return out + escapeHtml(text.slice(pos, end));
+}
+
+// A window of the description around the first match, with matches marked
+function snippet(text, words, matched) {
+  const first = words.find(w => matched.has(w));
+  const start = first ? Math.max(0, first.start - SNIPPET_RADIUS) : 0;
+  const end = Math.min(text.length, first ? first.end + SNIPPET_RADIUS : SNIPPET_RADIUS * 2);
+  return (start > 0 ? '…' : '') +
+    highlight(text, words, matched, start, end) +
+    (end < text.length ? '…' : '');
+}
+
+// -------------------- SEARCH --------------------
+// Scores one field: for each query key, the best-matching word in the field.
+// Neighbouring words are also tried joined, so "gruhalakshmi" finds "Gruha Lakshmi".
+function scoreField(keys, words) {
+  const candidates = words.map(w => ({ key: w.key, parts: [w] }));
+  for (let i = 0; i + 1 < words.length; i++) {
+    candidates.push({ key: words[i].key + words[i + 1].key, parts: [words[i], words[i + 1]] });
+  }
+
+  const matched = new Set();
+  const perKey = keys.map(key => {
+    let best = 0;
+    for (const c of candidates) {
+      // a joined pair only counts if the query word actually reaches into the second word
+      if (c.parts.length > 1 && key.length <= c.parts[0].key.length) continue;
+      const sim = similarity(key, c.key);
+      if (sim > 0) c.parts.forEach(w => matched.add(w));
+      if (sim > best) best = sim;
+    }
+    return best;
+  });
+  return { perKey, matched };
+}
+
+/**
+ * Rank schemes against a free-text query.
+ * @param {Array} schemes rows from schemes.listSchemes()
+ * @param {string} query  English, Kannada or transliterated Kannada
+ * @param {object} [opts] { lang: a locales.js code, limit }
+ */
+function searchSchemes(schemes, query, { lang, limit = 20 } = {}) {
+  const keys = queryKeys(query);
+  if (!keys.length) return [];
+  const displayLang = lang || (KANNADA_REGEX.test(query) ? 'kn' : 'en');
+
+  const results = [];
+  for (const s of schemes) {
+    const fields = {
+      title_en: tokenize(s.title_en),
+      title_kn: tokenize(s.title_kn),
+      description_en: tokenize(s.description_en),
+      description_kn: tokenize(s.description_kn),
+    };
+    const scored = {};
+    for (const [name, words] of Object.entries(fields)) scored[name] = scoreField(keys, words);
+
+    // Per query word: best title hit (weighted) or best description hit
+    let score = 0;
+    let hits = 0;
+    keys.forEach((_, i) => {
+      const title = Math.max(scored.title_en.perKey[i], scored.title_kn.perKey[i]) * TITLE_WEIGHT;
+      const desc = Math.max(scored.description_en.perKey[i], scored.description_kn.perKey[i]) * DESCRIPTION_WEIGHT;
+      const best = Math.max(title, desc);
+      if (best > 0) hits++;
+      score += best;
+    });
+
+    // Every word has to match somewhere for multi-word queries of up to 3 words;
+    // longer queries only need most of them.
+    const needed = keys.length <= 3 ? keys.length : Math.ceil(keys.length * 0.6);
+    if (hits < needed) continue;
+
+    const titleField = s[`title_${displayLang}`] ? `title_${displayLang}` : 'title_en';
+    const descField = s[`description_${displayLang}`] ? `description_${displayLang}` : 'description_en';
+    results.push({
+      id: s.id,
+      slug: s.slug,
+      title_en: s.title_en,
+      title_kn: s.title_kn,
+      category: s.category,
+      benefit_type: s.benefit_type,
+      target_groups: s.target_groups,
+      link: s.link,
+      score: Math.round(score * 100) / 100,
+      highlight: {
+        title: highlight(s[titleField] || '', fields[titleField], scored[titleField].matched),
+        snippet: snippet(s[descField] || '', fields[descField], scored[descField].matched),
+      },
+    });
+  }
+
+  return results
+    .sort((a, b) => b.score - a.score || a.id - b.id)
+    .slice(0, limit);
+}
+
+module.exports = { TITLE_WEIGHT, levenshtein, similarity, queryKeys, searchSchemes };
@@ -0,0 +1,272 @@
+// schemes.js - Scheme catalogue (PostgreSQL `schemes` table)
+// Each scheme carries bilingual title/description, category, department,
+// benefit amount/type, target groups, declarative eligibility rules and the
+// documents it needs.
+
+const { checkRules } = require('./eligibility');
+
+// -------------------- COLUMNS --------------------
+const SCHEME_COLUMNS = `id, slug, title_en, title_kn, description_en, description_kn,
+  category, department, benefit_amount::float8 AS benefit_amount, benefit_type,
+  target_groups, eligibility, documents, link`;
+
+// Groups the search filter understands (values stored in target_groups)
+const TARGET_GROUPS = ['women', 'farmers', 'students', 'sc_st', 'minorities'];
+
+// Benefit types the search filter understands (value stored in benefit_type)
+const BENEFIT_TYPES = ['cash', 'subsidy', 'loan', 'scholarship', 'pension', 'insurance',
+  'in_kind', 'training', 'infrastructure', 'service'];
+
+// -------------------- HELPERS --------------------
+function slugify(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/\(.*?\)/g, ' ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// Key used to spot the same scheme listed twice under slightly different titles,
+// e.g. "Pashu Bhagya (Livestock Subsidy)" and "Pashu Bhagya Scheme".
+function dedupeKey(titleEn) {
+  return String(titleEn || '')
+    .toLowerCase()
+    .replace(/\(.*?\)/g, ' ')
+    .split(/\s[–-]\s/)[0]
+    .replace(/\b(scheme|yojana|yojane|karnataka)\b/g, ' ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// Keep the first occurrence; fill any empty fields from later duplicates
+function dedupeSchemes(list) {
+  const byKey = new Map();
+  for (const scheme of list) {
+    const key = dedupeKey(scheme.title_en);
+    const existing = byKey.get(key);
+    if (!existing) {
+      byKey.set(key, { ...scheme });
+      continue;
+    }
+    for (const [field, value] of Object.entries(scheme)) {
+      const current = existing[field];
+      const isEmpty = current == null || current === '' ||
+        (Array.isArray(current) && current.length === 0) ||
+        (typeof current === 'object' && !Array.isArray(current) && Object.keys(current).length === 0);
+      if (isEmpty) existing[field] = value;
+    }
+  }
+  return [...byKey.values()];
+}
+
+// -------------------- QUERIES --------------------
+async function listSchemes(pool, { category, group, benefitType } = {}) {
+  const params = [];
+  const conditions = [];
+  if (category) {
+    params.push(category);
+    conditions.push(`LOWER(category) = LOWER($${params.length})`);
+  }
+  if (group) {
+    params.push(JSON.stringify([group]));
+    conditions.push(`target_groups @> $${params.length}::jsonb`);
+  }
+  if (benefitType) {
+    params.push(benefitType);
+    conditions.push(`benefit_type = $${params.length}`);
+  }
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  const result = await pool.query(
+    `SELECT ${SCHEME_COLUMNS} FROM schemes ${where} ORDER BY id`,
+    params
+  );
+  return result.rows;
+}
+
+// Accepts the numeric id or the slug
+async function getScheme(pool, idOrSlug) {
+  const isId = /^\d+$/.test(String(idOrSlug));
+  const result = await pool.query(
+    `SELECT ${SCHEME_COLUMNS} FROM schemes WHERE ${isId ? 'id' : 'slug'}=$1`,
+    [isId ? Number(idOrSlug) : String(idOrSlug)]
+  );
+  return result.rows[0] || null;
+}
+
+// -------------------- OFFLINE COPIES --------------------
+// The version changes whenever a scheme is added, edited or removed; updated_at
+// (ISO, microseconds) is the cursor a client passes back as `since`.
+async function catalogueVersion(pool) {
+  const result = await pool.query(
+    `SELECT COUNT(*)::int AS count,
+            to_char(MAX(updated_at) AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"') AS updated_at,
+            md5(COALESCE(string_agg(id || ':' || updated_at, ',' ORDER BY id), '')) AS version
+       FROM schemes`
+  );
+  return result.rows[0];
+}
+
+// Schemes edited after `since`, plus every id so a client can drop removed ones
+async function listSchemesChangedSince(pool, since) {
+  const [changed, ids] = await Promise.all([
+    pool.query(`SELECT ${SCHEME_COLUMNS} FROM schemes WHERE updated_at > $1 ORDER BY id`, [since]),
+    pool.query('SELECT id FROM schemes ORDER BY id'),
+  ]);
+  return { schemes: changed.rows, ids: ids.rows.map(r => r.id) };
+}
+
+// -------------------- ADMIN EDITS --------------------
+const TEXT_FIELDS = ['slug', 'title_en', 'title_kn', 'description_en', 'description_kn',
+  'category', 'department', 'link'];
+const JSON_FIELDS = ['target_groups', 'eligibility', 'documents'];
+
+/**
+ * Validate a scheme from the admin form. With `partial`, only the fields present
+ * are checked (PATCH); otherwise title_en is required.
+ * @returns {{ scheme?: object, error?: string }}
+ */
+function parseSchemeInput(body = {}, { partial = false } = {}) {
+  const scheme = {};
+
+  for (const field of TEXT_FIELDS) {
+    if (body[field] === undefined) continue;
+    const value = body[field] === null ? '' : String(body[field]).trim();
+    scheme[field] = value || null;
+  }
+  if (!partial && !scheme.title_en) return { error: 'title_en is required' };
+  if (partial && 'title_en' in scheme && !scheme.title_en) return { error: 'title_en cannot be empty' };
+  if ('slug' in scheme && scheme.slug !== null) {
+    if (!/^[a-z0-9]+(-[a-z0-9]+)*$/.test(scheme.slug)) return { error: 'slug may only use a-z, 0-9 and dashes' };
+  }
+  if (!partial && !scheme.slug) scheme.slug = slugify(scheme.title_en);
+  if (partial && 'slug' in scheme && !scheme.slug) return { error: 'slug cannot be empty' };
+
+  if (body.benefit_amount !== undefined) {
+    if (body.benefit_amount === null || body.benefit_amount === '') scheme.benefit_amount = null;
+    else {
+      const amount = Number(body.benefit_amount);
+      if (!Number.isFinite(amount) || amount < 0) return { error: 'benefit_amount must be a positive number' };
+      scheme.benefit_amount = amount;
+    }
+  }
+  if (body.benefit_type !== undefined) {
+    if (body.benefit_type && !BENEFIT_TYPES.includes(body.benefit_type))
+      return { error: `benefit_type must be one of ${BENEFIT_TYPES.join(', ')}` };
+    scheme.benefit_type = body.benefit_type || null;
+  }
+  if (body.target_groups !== undefined) {
+    const groups = body.target_groups || [];
+    if (!Array.isArray(groups) || groups.some(g => !TARGET_GROUPS.includes(g)))
+      return { error: `target_groups must be a list of ${TARGET_GROUPS.join(', ')}` };
+    scheme.target_groups = groups;
+  }
+  if (body.eligibility !== undefined) {
+    const rules = body.eligibility || {};
+    const rulesError = checkRules(rules);
+    if (rulesError) return { error: rulesError };
+    scheme.eligibility = rules;
+  }
+  if (body.documents !== undefined) {
+    const documents = body.documents || [];
+    if (!Array.isArray(documents) || documents.some(d => typeof d !== 'string'))
+      return { error: 'documents must be a list of strings' };
+    scheme.documents = documents.map(d => d.trim()).filter(Boolean);
+  }
+
+  if (partial && !Object.keys(scheme).length) return { error: 'Nothing to update' };
+  return { scheme };
+}
+
+function columnValue(field, value) {
+  return JSON_FIELDS.includes(field) ? JSON.stringify(value) : value;
+}
+
+async function createScheme(pool, scheme) {
+  const fields = Object.keys(scheme);
+  const result = await pool.query(
+    `INSERT INTO schemes (${fields.join(', ')})
+     VALUES (${fields.map((_, i) => `$${i + 1}`).join(', ')})
+     RETURNING ${SCHEME_COLUMNS}`,
+    fields.map(f => columnValue(f, scheme[f]))
+  );
+  return result.rows[0];
+}
+
+// Only the given fields change; null if there is no such scheme
+async function updateScheme(pool, id, changes) {
+  const fields = Object.keys(changes);
+  const result = await pool.query(
+    `UPDATE schemes SET ${fields.map((f, i) => `${f} = $${i + 2}`).join(', ')}, updated_at = NOW()
+      WHERE id = $1
+      RETURNING ${SCHEME_COLUMNS}`,
+    [id, ...fields.map(f => columnValue(f, changes[f]))]
+  );
+  return result.rows[0] || null;
+}
+
+async function deleteScheme(pool, id) {
+  const result = await pool.query(`DELETE FROM schemes WHERE id = $1 RETURNING ${SCHEME_COLUMNS}`, [id]);
+  return result.rows[0] || null;
+}
+
+// Upsert by slug so re-running the seed updates content instead of duplicating it
+async function seedSchemes(pool, list) {
+  const schemes = dedupeSchemes(list);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    for (const s of schemes) {
+      const slug = s.slug || slugify(s.title_en);
+      await client.query(
+        `INSERT INTO schemes (id, slug, title_en, title_kn, description_en, description_kn,
+                              category, department, benefit_amount, benefit_type, target_groups,
+                              eligibility, documents, link)
+         VALUES (COALESCE($1, nextval(pg_get_serial_sequence('schemes', 'id'))),
+                 $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+         ON CONFLICT (slug) DO UPDATE SET
+           title_en=EXCLUDED.title_en, title_kn=EXCLUDED.title_kn,
+           description_en=EXCLUDED.description_en, description_kn=EXCLUDED.description_kn,
+           category=EXCLUDED.category, department=EXCLUDED.department,
+           benefit_amount=EXCLUDED.benefit_amount, benefit_type=EXCLUDED.benefit_type,
+           target_groups=EXCLUDED.target_groups, eligibility=EXCLUDED.eligibility,
+           documents=EXCLUDED.documents, link=EXCLUDED.link, updated_at=NOW()`,
+        [
+          s.id || null, slug, s.title_en, s.title_kn || null,
+          s.description_en || null, s.description_kn || null,
+          s.category || null, s.department || null, s.benefit_amount ?? null,
+          s.benefit_type || null, JSON.stringify(s.target_groups || []),
+          JSON.stringify(s.eligibility || {}), JSON.stringify(s.documents || []),
+          s.link || null,
+        ]
+      );
+    }
+    // Explicit ids were inserted above, so move the sequence past them
+    await client.query(
+      `SELECT setval(pg_get_serial_sequence('schemes', 'id'), COALESCE(MAX(id), 1)) FROM schemes`
+    );
+    await client.query('COMMIT');
+    return schemes.length;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  TARGET_GROUPS,
+  BENEFIT_TYPES,
+  slugify,
+  dedupeKey,
+  dedupeSchemes,
+  listSchemes,
+  getScheme,
+  catalogueVersion,
+  listSchemesChangedSince,
+  parseSchemeInput,
+  createScheme,
+  updateScheme,
+  deleteScheme,
+  seedSchemes,
+};
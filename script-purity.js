@@ -0,0 +1,248 @@
+// script-purity.js - Keeps voice replies in the script of the chosen language
+// A reply should be written in its language's script (the ranges in locales.js)
+// apart from scheme names and acronyms such as "PM-KISAN", which may stay in
+// Latin letters; an English reply should have no other script at all. Only the
+// offending pieces are sent back to the model to be translated, not the whole
+// question. Counts are kept for the admin console.
+//
+// SCRIPT_PURITY=fix (default) fixes, =measure only counts, =off skips the check.
+
+const locales = require('./locales');
+
+// -------------------- WHITELIST --------------------
+// Allowed in Latin letters inside a Kannada reply, on top of the scheme names
+const ACRONYMS = [
+  'PM-KISAN', 'MGNREGA', 'NREGA', 'BPL', 'APL', 'SC/ST', 'SC', 'ST', 'OBC', 'RTC', 'OTP', 'SMS', 'ATM',
+  'UPI', 'KYC', 'e-KYC', 'DBT', 'PAN', 'IFSC', 'LPG', 'ID', 'PDF', 'FPO', 'SHG', 'NRLM', 'PMAY',
+];
+
+const WORD_CHARS = 'A-Za-z0-9';
+let whitelist = [];
+let whitelistRegex = null;
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function setWhitelist(phrases) {
+  whitelist = [...new Set(phrases.map(p => p.trim()).filter(p => /[A-Za-z]/.test(p)))]
+    .sort((a, b) => b.length - a.length);
+  whitelistRegex = new RegExp(
+    `(?<![${WORD_CHARS}])(?:${whitelist.map(p => escapeRegex(p).replace(/\s+/g, '\\s+')).join('|')})(?![${WORD_CHARS}])`,
+    'gi'
+  );
+}
+
+// "PMFBY", "PM-KISAN", "SC/ST"; not "Dial 104" or "for Women"
+const ACRONYM_TOKEN = /^[A-Z][A-Z0-9]*(?:[-/][A-Z0-9]+)*$/;
+
+/**
+ * Scheme names as villagers hear them: "Anna Bhagya" from "Anna Bhagya Scheme",
+ * the acronyms in brackets ("PMGSY" from "(PMGSY Karnataka)") and Latin text
+ * already in title_kn. Other bracketed words are plain English ("for Women") and
+ * stay out. Called at startup and whenever the catalogue changes.
+ */
+function setSchemeNames(schemes) {
+  const phrases = [...ACRONYMS];
+  for (const s of schemes) {
+    const title = String(s.title_en || '');
+    phrases.push(title);
+    const base = title.split(/\s[–-]\s|:|\(/)[0].trim();
+    phrases.push(base, base.replace(/\s+(Scheme|Yojana|Yojane)$/i, ''));
+    for (const [, inner] of title.matchAll(/\(([^)]+)\)/g)) {
+      phrases.push(...inner.split(/\s+/).filter(word => word.length > 1 && ACRONYM_TOKEN.test(word)));
+    }
+    for (const [latin] of String(s.title_kn || '').matchAll(LATIN_RUN)) phrases.push(latin);
+  }
+  setWhitelist(phrases);
+}
+
+// -------------------- SEGMENTS --------------------
+// Runs of words in one script; a word does not end in punctuation, so "PM-KISAN." keeps its full stop
+const LATIN_WORD = `[${WORD_CHARS}](?:[${WORD_CHARS}'’./-]*[${WORD_CHARS}])?`;
+const LATIN_RUN = new RegExp(`${LATIN_WORD}(?:[ \\t]+${LATIN_WORD})*`, 'g');
+
+// Runs of each non-Latin script, keyed by script name (two languages may share one)
+const SCRIPT_RUNS = {};
+for (const code of locales.codes()) {
+  const { name } = locales.get(code).script;
+  if (name === 'Latin' || SCRIPT_RUNS[name]) continue;
+  const letter = locales.scriptClass(code);
+  SCRIPT_RUNS[name] = new RegExp(`${letter}+(?:\\s+${letter}+)*`, 'g');
+}
+const ANY_LETTER = new RegExp(locales.codes().map(locales.scriptClass).join('|'), 'g');
+
+setWhitelist(ACRONYMS);
+
+// Latin pieces of a run that are not whitelisted, with their offsets in the run
+function unlistedPieces(run) {
+  const pieces = [];
+  let last = 0;
+  const add = (from, to) => {
+    const raw = run.slice(from, to);
+    const text = raw.trim();
+    if (/[A-Za-z]/.test(text)) pieces.push({ offset: from + raw.indexOf(text), text });
+  };
+  for (const m of run.matchAll(whitelistRegex)) {
+    add(last, m.index);
+    last = m.index + m[0].length;
+  }
+  add(last, run.length);
+  return pieces;
+}
+
+/**
+ * Parts of `text` written in the wrong script for `language`.
+ * @returns {{ start: number, end: number, text: string }[]}
+ */
+function offendingSegments(text, language) {
+  const own = locales.get(language).script.name;
+  const segments = [];
+  if (own !== 'Latin') {
+    for (const run of text.matchAll(LATIN_RUN)) {
+      for (const piece of unlistedPieces(run[0])) {
+        const start = run.index + piece.offset;
+        segments.push({ start, end: start + piece.text.length, text: piece.text });
+      }
+    }
+  }
+  for (const [name, runs] of Object.entries(SCRIPT_RUNS)) {
+    if (name === own) continue;
+    for (const run of text.matchAll(runs)) {
+      segments.push({ start: run.index, end: run.index + run[0].length, text: run[0] });
+    }
+  }
+  return segments.sort((a, b) => a.start - b.start);
+}
+
+// Letters in any known script, and how many of them are in offending segments
+function measure(text, language) {
+  const count = t => (t.match(ANY_LETTER) || []).length;
+  const foreign = offendingSegments(text, language).reduce((n, s) => n + count(s.text), 0);
+  return { letters: count(text), foreign };
+}
+
+// -------------------- FIXING --------------------
+function mode() {
+  const value = (process.env.SCRIPT_PURITY || 'fix').toLowerCase();
+  return ['fix', 'measure', 'off'].includes(value) ? value : 'fix';
+}
+
+/**
+ * Replace the offending segments of `text` with translations.
+ * translate(texts, language) resolves to one replacement (or null) per text.
+ * A replacement that is itself in the wrong script is not used.
+ * @returns {Promise<{ text: string, found: number, fixed: number }>}
+ */
+async function enforce(text, language, translate) {
+  const segments = offendingSegments(text, language);
+  if (!segments.length || mode() !== 'fix') return { text, found: segments.length, fixed: 0 };
+
+  let replacements = [];
+  try {
+    replacements = await translate(segments.map(s => s.text), language);
+  } catch (err) {
+    console.error('⚠️ Script fix failed:', err.message);
+  }
+
+  let fixed = 0;
+  let out = text;
+  for (let i = segments.length - 1; i >= 0; i--) {
+    const replacement = replacements && replacements[i];
+    if (!replacement || offendingSegments(replacement, language).length) continue;
+    out = out.slice(0, segments[i].start) + replacement + out.slice(segments[i].end);
+    fixed++;
+  }
+  return { text: out, found: segments.length, fixed };
+}
+
+// Same sentence ends as va.js splitFinishedSentences
+const SENTENCE_END = /[.!?।]+["')\]]*\s+|\n+/g;
+
+/**
+ * Checks a reply sentence by sentence while it streams in, so the fixed text can
+ * still be sent (and spoken) early. push() takes raw tokens; onText gets the
+ * checked sentences in order; finish() resolves to the whole checked reply and
+ * records the reply in the metrics.
+ */
+function createReplyChecker(language, { translate, onText = () => {} }) {
+  const enabled = mode() !== 'off';
+  let pending = '';
+  let raw = '';
+  let out = '';
+  let found = 0;
+  let fixed = 0;
+  let chain = Promise.resolve();
+
+  function emit(sentence) {
+    chain = chain.then(async () => {
+      const result = enabled ? await enforce(sentence, language, translate) : { text: sentence, found: 0, fixed: 0 };
+      found += result.found;
+      fixed += result.fixed;
+      out += result.text;
+      onText(result.text);
+    });
+  }
+
+  return {
+    push(token) {
+      raw += token;
+      pending += token;
+      let cut = 0;
+      let m;
+      SENTENCE_END.lastIndex = 0;
+      while ((m = SENTENCE_END.exec(pending))) cut = m.index + m[0].length;
+      if (cut) {
+        emit(pending.slice(0, cut));
+        pending = pending.slice(cut);
+      }
+    },
+    async finish() {
+      if (pending) emit(pending);
+      pending = '';
+      await chain;
+      if (enabled) record(language, raw, { found, fixed });
+      return out;
+    },
+  };
+}
+
+// -------------------- METRICS --------------------
+const metrics = { since: new Date().toISOString(), languages: {} };
+
+function record(language, text, { found, fixed }) {
+  const m = metrics.languages[language] = metrics.languages[language] ||
+    { replies: 0, violating: 0, segments: 0, fixed: 0, letters: 0, foreign_letters: 0 };
+  const { letters, foreign } = measure(text, language);
+  m.replies++;
+  if (found) m.violating++;
+  m.segments += found;
+  m.fixed += fixed;
+  m.letters += letters;
+  m.foreign_letters += foreign;
+  if (found) console.warn(`⚠️ ${language} reply had ${found} segment(s) in the wrong script, fixed ${fixed}`);
+}
+
+// Since the server started; rates are 0-1
+function getMetrics() {
+  const languages = {};
+  for (const [language, m] of Object.entries(metrics.languages)) {
+    languages[language] = {
+      ...m,
+      unfixed: m.segments - m.fixed,
+      violation_rate: m.replies ? +(m.violating / m.replies).toFixed(3) : 0,
+      foreign_share: m.letters ? +(m.foreign_letters / m.letters).toFixed(4) : 0,
+    };
+  }
+  return { since: metrics.since, mode: mode(), whitelist_size: whitelist.length, languages };
+}
+
+module.exports = {
+  ACRONYMS,
+  setSchemeNames,
+  offendingSegments,
+  measure,
+  enforce,
+  createReplyChecker,
+  getMetrics,
+};
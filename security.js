@@ -0,0 +1,268 @@
+// security.js - Request hardening shared by the routes in server.js
+// Security headers, the CORS allow-list, per-route rate limits, request
+// validation against small schemas, and the startup check for secrets.
+//
+//   CORS_ORIGINS       comma-separated origins allowed to call the API from another site
+//                      ("https://gramasetu.in,https://admin.gramasetu.in"). The pages this
+//                      server hosts are same-origin and need none. Unset: any origin in
+//                      development, none in production.
+//   RATE_LIMIT_<NAME>  "<max>/<seconds>" replaces a limit in RATE_LIMITS (RATE_LIMIT_LOGIN=5/600),
+//                      "off" turns it off. Counted per client in this process, so with
+//                      several instances each one counts on its own.
+//   CSP                replaces the default Content-Security-Policy
+//   NODE_ENV           "production" refuses to start without REQUIRED_SECRETS and sends HSTS
+
+const cors = require('cors');
+
+function isProduction() {
+  return process.env.NODE_ENV === 'production';
+}
+
+// -------------------- SECRETS --------------------
+const REQUIRED_SECRETS = ['JWT_SECRET', 'DATABASE_URL'];
+const MIN_JWT_SECRET_LENGTH = 32;
+
+/**
+ * What is wrong with the secrets in the environment; server.js refuses to start
+ * in production when this is not empty.
+ * @returns {string[]} one line per problem
+ */
+function checkSecrets(env = process.env) {
+  const problems = REQUIRED_SECRETS.filter(name => !env[name]).map(name => `${name} is not set`);
+  const jwtSecret = env.JWT_SECRET;
+  if (jwtSecret && (jwtSecret === 'fallback_secret' || jwtSecret.length < MIN_JWT_SECRET_LENGTH)) {
+    problems.push(`JWT_SECRET must be at least ${MIN_JWT_SECRET_LENGTH} random characters ` +
+      '(node -e "console.log(require(\'crypto\').randomBytes(32).toString(\'hex\'))")');
+  }
+  return problems;
+}
+
+// -------------------- HEADERS --------------------
+// The pages keep their scripts and styles inline; images also come from YouTube
+// (learning.html thumbnails, cached by sw.js), audio from blob: URLs (va.js)
+const DEFAULT_CSP = [
+  "default-src 'self'",
+  "script-src 'self' 'unsafe-inline'",
+  "style-src 'self' 'unsafe-inline'",
+  "img-src 'self' data: blob: https://img.youtube.com https://i.ytimg.com",
+  "media-src 'self' blob:",
+  "connect-src 'self' https://img.youtube.com https://i.ytimg.com",
+  "frame-ancestors 'self'",
+  "object-src 'none'",
+  "base-uri 'self'",
+  "form-action 'self'",
+].join('; ');
+
+// home.html frames cb-standalone.html, so framing stays allowed for this origin only
+function securityHeaders(req, res, next) {
+  res.set({
+    'Content-Security-Policy': process.env.CSP || DEFAULT_CSP,
+    'X-Content-Type-Options': 'nosniff',
+    'X-Frame-Options': 'SAMEORIGIN',
+    'Referrer-Policy': 'strict-origin-when-cross-origin',
+    'Permissions-Policy': 'microphone=(self), camera=(), geolocation=()',
+    'Cross-Origin-Opener-Policy': 'same-origin',
+  });
+  if (isProduction() && req.secure) res.set('Strict-Transport-Security', 'max-age=15552000; includeSubDomains');
+  next();
+}
+
+// -------------------- CORS --------------------
+function corsOrigins() {
+  return (process.env.CORS_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+}
+
+// Requests from origins not on the list get no CORS headers, so browsers keep their answers from the page
+function corsMiddleware() {
+  const allowed = corsOrigins();
+  if (!allowed.length && !isProduction()) return cors();
+  return cors({ origin: (origin, cb) => cb(null, !origin || allowed.includes(origin)) });
+}
+
+// Startup line, like llm.describe()
+function describeCors() {
+  const allowed = corsOrigins();
+  if (allowed.length) return `🔒 CORS allowed for ${allowed.join(', ')}`;
+  return isProduction()
+    ? '🔒 CORS: same origin only (set CORS_ORIGINS to allow other sites)'
+    : '⚠️ CORS open to every origin (development; set CORS_ORIGINS)';
+}
+
+// -------------------- RATE LIMITS --------------------
+// Fixed windows per client IP (or per user, see chat); max requests per windowSec
+const RATE_LIMITS = {
+  api: { max: 300, windowSec: 60 },           // every /api route together
+  login: { max: 10, windowSec: 15 * 60 },     // /api/login (per IP and username)
+  register: { max: 10, windowSec: 60 * 60 },  // /api/register
+  otp: { max: 10, windowSec: 15 * 60 },       // /api/forgot-password, /api/verify-otp (otp.js also limits per identifier)
+  chat: { max: 20, windowSec: 60 },           // /api/chat, /api/cb-chat (model calls)
+  voice: { max: 30, windowSec: 60 },          // /api/voice/* (model and speech engine calls)
+};
+
+// RATE_LIMIT_LOGIN=5/600 → { max: 5, windowSec: 600 }; "off" → null
+function limitConfig(name) {
+  const value = process.env[`RATE_LIMIT_${name.toUpperCase()}`];
+  if (!value) return RATE_LIMITS[name];
+  if (value === 'off') return null;
+  const m = value.match(/^(\d+)\/(\d+)$/);
+  if (!m || !Number(m[1]) || !Number(m[2])) throw new Error(`RATE_LIMIT_${name.toUpperCase()} must look like 10/900 or off`);
+  return { max: Number(m[1]), windowSec: Number(m[2]) };
+}
+
+const windows = new Map(); // "<limit>:<client>" → { count, resetAt }
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [id, entry] of windows) if (entry.resetAt <= now) windows.delete(id);
+}, 60 * 1000).unref();
+
+/**
+ * Middleware allowing RATE_LIMITS[name] requests per client, then 429 with
+ * Retry-After and { error, retryAfter } (the shape /api/forgot-password uses).
+ * @param {object} [options]
+ * @param {(req) => string} [options.key]  who is counted (default: req.ip)
+ * @param {string} [options.errorKey]      field for the message ('reply' on the chat routes)
+ */
+function rateLimit(name, { key = req => req.ip, errorKey = 'error' } = {}) {
+  if (!(name in RATE_LIMITS)) throw new Error(`Unknown rate limit "${name}"`);
+  const config = limitConfig(name);
+  if (!config) return (req, res, next) => next();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    const id = `${name}:${key(req)}`;
+    let entry = windows.get(id);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + config.windowSec * 1000 };
+      windows.set(id, entry);
+    }
+    entry.count++;
+    if (entry.count <= config.max) return next();
+
+    const retryAfter = Math.ceil((entry.resetAt - now) / 1000);
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({ [errorKey]: 'Too many requests. Please try again later.', retryAfter });
+  };
+}
+
+// Logged-in users are counted by account (a shared kiosk or mobile network is one IP)
+function byUserOrIp(req) {
+  return req.user ? `user:${req.user.userId}` : req.ip;
+}
+
+// -------------------- VALIDATION --------------------
+// Numbers from HTML forms arrive as strings ("35"), so number/integer accept both;
+// the handler (or the module's parse function) converts them.
+const TYPES = {
+  string: v => typeof v === 'string',
+  number: v => (typeof v === 'number' || (typeof v === 'string' && v.trim() !== '')) && Number.isFinite(Number(v)),
+  integer: v => TYPES.number(v) && Number.isInteger(Number(v)),
+  boolean: v => typeof v === 'boolean',
+  array: v => Array.isArray(v),
+  object: v => v !== null && typeof v === 'object' && !Array.isArray(v),
+  // any single form value, for fields a parse function reads with String()
+  scalar: v => ['string', 'number', 'boolean'].includes(typeof v),
+};
+
+const TYPE_NAMES = {
+  string: 'text', number: 'a number', integer: 'a whole number', boolean: 'true or false',
+  array: 'a list', object: 'an object', scalar: 'a single value',
+};
+
+// "2024-02-30" fits the pattern but is no date (PostgreSQL refuses it, Date.parse rolls it over)
+function isCalendarDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+// Handlers trim what they read, so blank text counts as missing
+function isEmpty(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * Check values against rules; the first problem as { status, error }, or null.
+ * Each field's rule:
+ *   type       string | number | integer | boolean | array | object | scalar
+ *   required   must be present and not blank
+ *   min, max   number range;  maxLength  characters (text) or items (list)
+ *   pattern    RegExp the text must match;  test  function, true when the value is fine
+ *   oneOf      allowed values, or a function returning them
+ *   label      name used in the generated errors ("Text required"; default: the field)
+ *   message    the error to answer with instead of the generated one
+ *   status     answer with this instead of 400 (404 for ids in the path)
+ * Absent optional fields are not checked; fields without a rule are let through.
+ */
+function checkFields(rules, values = {}) {
+  for (const [field, rule] of Object.entries(rules)) {
+    const value = values[field];
+    const name = rule.label || field;
+    const fail = error => ({ status: rule.status || 400, error: rule.message || error });
+
+    if (isEmpty(value)) {
+      if (rule.required) return fail(`${name} required`);
+      continue;
+    }
+    if (rule.type && !TYPES[rule.type](value)) return fail(`${name} must be ${TYPE_NAMES[rule.type]}`);
+    if (rule.maxLength !== undefined && value.length > rule.maxLength)
+      return fail(`${name} can be at most ${rule.maxLength} ${Array.isArray(value) ? 'items' : 'characters'}`);
+    if (rule.min !== undefined && Number(value) < rule.min) return fail(`${name} must be at least ${rule.min}`);
+    if (rule.max !== undefined && Number(value) > rule.max) return fail(`${name} must be at most ${rule.max}`);
+    if (rule.pattern && !rule.pattern.test(String(value))) return fail(`${name} is not valid`);
+    if (rule.test && !rule.test(value)) return fail(`${name} is not valid`);
+    if (rule.oneOf) {
+      const allowed = typeof rule.oneOf === 'function' ? rule.oneOf() : rule.oneOf;
+      if (!allowed.includes(value)) return fail(`${name} must be one of ${allowed.join(', ')}`);
+    }
+  }
+  return null;
+}
+
+// { name: { type: 'scalar' }, ... } for forms whose module checks the details
+// (feedback.parseFeedbackInput, applications.parseApplicationInput, ...)
+function formFields(...fields) {
+  return Object.fromEntries(fields.map(field => [field, { type: 'scalar' }]));
+}
+
+/**
+ * Middleware checking req.params, req.query and req.body against per-field rules
+ * (see checkFields) before the handler runs; answers 400 { error } otherwise.
+ * A body that is not a JSON object is refused; a missing one counts as {}.
+ * @param {{ params?: object, query?: object, body?: object }} schema
+ * @param {object} [options]
+ * @param {string} [options.errorKey]  field for the message ('reply' on the chat routes)
+ */
+function validate(schema, { errorKey = 'error' } = {}) {
+  return (req, res, next) => {
+    if (schema.body) {
+      if (req.body === undefined) req.body = {};
+      if (!TYPES.object(req.body)) return res.status(400).json({ [errorKey]: 'Request body must be a JSON object' });
+    }
+    for (const part of ['params', 'query', 'body']) {
+      if (!schema[part]) continue;
+      const problem = checkFields(schema[part], req[part]);
+      if (problem) return res.status(problem.status).json({ [errorKey]: problem.error });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  REQUIRED_SECRETS,
+  RATE_LIMITS,
+  isProduction,
+  checkSecrets,
+  securityHeaders,
+  corsMiddleware,
+  describeCors,
+  rateLimit,
+  byUserOrIp,
+  checkFields,
+  formFields,
+  validate,
+  isCalendarDate,
+};
@@ -0,0 +1,181 @@
+// seed-schemes.js - Load the scheme catalogue into PostgreSQL
+//
+//   node seed-schemes.js                       -> seed from data/schemes.json
+//   node seed-schemes.js --from-html home.html -> import legacy .scheme-card divs
+//   node seed-schemes.js --from-html home.html --out data/schemes.json
+//                                              -> only write the de-duplicated JSON
+//
+// Duplicated cards (same scheme under two titles) are merged by dedupeSchemes().
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { Pool } = require('pg');
+const { dedupeSchemes, seedSchemes, slugify } = require('./schemes');
+const { requireCurrentSchema } = require('./migrate');
+
+const DEFAULT_JSON = path.join(__dirname, 'data', 'schemes.json');
+
+// -------------------- LEGACY HTML IMPORT --------------------
+function decodeEntities(text) {
+  return String(text || '')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+// Reads data-en-title / data-kn-title / data-en-desc / data-kn-desc / data-link
+function parseSchemeCards(html) {
+  const cards = [];
+  const cardRegex = /<div\s+class="scheme-card"([^>]*)>/g;
+  let match;
+  while ((match = cardRegex.exec(html))) {
+    const attrs = {};
+    const attrRegex = /data-([a-z-]+)="([^"]*)"/g;
+    let a;
+    while ((a = attrRegex.exec(match[1]))) attrs[a[1]] = decodeEntities(a[2]);
+    if (!attrs['en-title']) continue;
+
+    const linkId = /scheme-(\d+)\.html/.exec(attrs.link || '');
+    cards.push({
+      id: linkId ? Number(linkId[1]) : undefined,
+      slug: slugify(attrs['en-title']),
+      title_en: attrs['en-title'],
+      title_kn: attrs['kn-title'],
+      description_en: attrs['en-desc'],
+      description_kn: attrs['kn-desc'],
+      link: attrs.link,
+    });
+  }
+  return cards;
+}
+
+// Keyword rules used only when importing cards that have no metadata yet;
+// the generated JSON is meant to be reviewed and edited afterwards.
+const CATEGORY_RULES = [
+  ['Agriculture', 'Department of Agriculture', /farm|krishi|raith|raita|crop|soil|irrigation|millet|livestock|pashu|ganga kalyana|land purchase|sinchayee|storage|producer/i],
+  ['Education', 'Department of Education', /scholar|student|school|laptop|learning|coaching|education|literacy|library|libraries|diksha/i],
+  ['Health', 'Department of Health & Family Welfare', /health|clinic|arogya|hospital|maternity|pregnan|104/i],
+  ['Women & Child', 'Department of Women & Child Development', /wom[ae]n|girl|mahila|widow|stree|bhagyalakshmi|mathrushree|vivaha/i],
+  ['Housing', 'Department of Housing', /housing|house|vasati|kuteera/i],
+  ['Employment & Skills', 'Department of Skill Development', /employment|skill|self-employ|entrepreneur|loan|credit|udyog|kaushalya|worker|labour|handloom|driver|enterprise/i],
+  ['Energy', 'Energy Department', /electric|solar|jyoth|power|gas|lpg|anila/i],
+  ['Rural Infrastructure', 'Department of Rural Development & Panchayat Raj', /road|water|panchayat|sanitation|swachh|infrastructure|village|gram/i],
+  ['Financial Inclusion', 'Department of Finance', /pension|bank|jan dhan|insurance|bima/i],
+  ['Governance & Services', 'e-Governance Department', /services|sakala|nemmadi|janasevaka|e-khata/i],
+];
+
+// First match wins, so the more specific kinds come first
+const BENEFIT_TYPE_RULES = [
+  ['scholarship', /scholarship/i],
+  ['pension', /pension/i],
+  ['insurance', /insurance|bima/i],
+  ['loan', /\bloans?\b|credit/i],
+  ['subsidy', /subsid/i],
+  ['training', /training|skill|coaching|learning|literacy/i],
+  ['in_kind', /free (rice|laptop|lpg|electricity|travel)|free of charge|\d+ kg|connections/i],
+  ['cash', /₹|allowance|income support|direct (financial|benefit)|financial (assistance|support|aid)/i],
+  ['infrastructure', /infrastructure|road|drinking water|sanitation|grid|electricity supply/i],
+];
+
+function inferSchemeMetadata(card) {
+  const text = `${card.title_en} ${card.description_en || ''}`;
+  // The title is the stronger signal, so try it on its own first
+  const rule = CATEGORY_RULES.find(([, , re]) => re.test(card.title_en)) ||
+    CATEGORY_RULES.find(([, , re]) => re.test(text));
+
+  // First rupee amount in the description, e.g. "₹2,000" or "₹5 lakh"
+  let benefit_amount = null;
+  const amount = /₹\s?([\d,]+(?:\.\d+)?)\s*(lakh|crore)?/i.exec(card.description_en || '');
+  if (amount) {
+    const multiplier = { lakh: 1e5, crore: 1e7 }[(amount[2] || '').toLowerCase()] || 1;
+    benefit_amount = Number(amount[1].replace(/,/g, '')) * multiplier;
+  }
+
+  let eligibility = {};
+  if (/wom[ae]n|girl|mother|pregnan|widow|mahila|stree/i.test(text)) eligibility.gender = ['female'];
+  if (/\bSC\/ST\b|scheduled caste|scheduled tribe/i.test(text)) eligibility.casteCategories = ['SC', 'ST'];
+  if (/minorit/i.test(text)) eligibility.casteCategories = ['Minority'];
+  if (/\bBPL\b/.test(text)) eligibility.bpl = true;
+  if (/farmer|raith|raita|agricultur/i.test(text)) eligibility.occupations = ['farmer'];
+  if (/construction worker|labour card|building & other construction/i.test(text)) eligibility.occupations = ['construction_worker'];
+  if (/student|scholar/i.test(text)) eligibility.occupations = ['student'];
+
+  if (card.eligibility) eligibility = card.eligibility;
+
+  const documents = ['Aadhaar card'];
+  if (eligibility.bpl || /ration card/i.test(text)) documents.push('Ration card');
+  if (eligibility.casteCategories) documents.push('Caste certificate');
+  if (eligibility.bpl || /income/i.test(text)) documents.push('Income certificate');
+  if (eligibility.occupations && eligibility.occupations.includes('farmer')) documents.push('Land records (RTC)');
+  if (eligibility.occupations && eligibility.occupations.includes('construction_worker')) documents.push('Labour card');
+  if (eligibility.occupations && eligibility.occupations.includes('student')) documents.push('Marks card');
+  if (benefit_amount) documents.push('Bank passbook');
+
+  const target_groups = [];
+  if ((eligibility.gender || []).includes('female')) target_groups.push('women');
+  if ((eligibility.occupations || []).includes('farmer')) target_groups.push('farmers');
+  if ((eligibility.occupations || []).includes('student')) target_groups.push('students');
+  if ((eligibility.casteCategories || []).some(c => c === 'SC' || c === 'ST')) target_groups.push('sc_st');
+  if ((eligibility.casteCategories || []).includes('Minority')) target_groups.push('minorities');
+
+  const benefit = BENEFIT_TYPE_RULES.find(([, re]) => re.test(text));
+
+  return {
+    ...card,
+    category: card.category || (rule ? rule[0] : 'General'),
+    department: card.department || (rule ? rule[1] : null),
+    benefit_amount: card.benefit_amount ?? benefit_amount,
+    benefit_type: card.benefit_type || (benefit ? benefit[0] : 'service'),
+    target_groups: card.target_groups || target_groups,
+    eligibility,
+    documents: card.documents || documents,
+  };
+}
+
+// -------------------- CLI --------------------
+async function main() {
+  const args = process.argv.slice(2);
+  const htmlIndex = args.indexOf('--from-html');
+  const outIndex = args.indexOf('--out');
+
+  let schemes;
+  if (htmlIndex !== -1) {
+    const html = fs.readFileSync(args[htmlIndex + 1], 'utf8');
+    const cards = parseSchemeCards(html);
+    schemes = dedupeSchemes(cards).map(inferSchemeMetadata);
+    console.log(`📄 Parsed ${cards.length} cards → ${schemes.length} unique schemes`);
+  } else {
+    schemes = JSON.parse(fs.readFileSync(args[0] || DEFAULT_JSON, 'utf8'));
+  }
+
+  if (outIndex !== -1) {
+    fs.writeFileSync(args[outIndex + 1], JSON.stringify(schemes, null, 2) + '\n');
+    console.log(`✅ Wrote ${schemes.length} schemes to ${args[outIndex + 1]}`);
+    return;
+  }
+
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false },
+  });
+  try {
+    await requireCurrentSchema(pool);
+    const count = await seedSchemes(pool, schemes);
+    console.log(`✅ Seeded ${count} schemes`);
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('❌ Seed error:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = { parseSchemeCards, inferSchemeMetadata };
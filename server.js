@@ -1,20 +1,61 @@
 // -------------------- IMPORTS --------------------
 require('dotenv').config();
 const express = require('express');
-const cors = require('cors');
 const { Pool } = require('pg');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const fetch = require('node-fetch');
-const emailjs = require('@emailjs/nodejs');
 const path = require('path');
-const OpenAI = require('openai'); // ✅ OpenAI client (used for BOTH VA + chatbot)
+const multer = require('multer');
+const { ROLES, signToken, setSessionCheck, requireAuth, requireRole, optionalAuth } = require('./auth');
+const security = require('./security');
+const sessions = require('./sessions');
+const migrate = require('./migrate');
+const schemes = require('./schemes');
+const { searchSchemes } = require('./scheme-search');
+const eligibility = require('./eligibility');
+const retrieval = require('./retrieval');
+const conversations = require('./conversations');
+const otpService = require('./otp');
+const notify = require('./notify');
+const audit = require('./audit');
+const feedback = require('./feedback');
+const applications = require('./applications');
+const documents = require('./documents');
+const learning = require('./learning');
+const intents = require('./intents');
+const speech = require('./speech');
+const { getStore } = require('./storage');
+const llm = require('./llm'); // ✅ LLM provider chain (used for BOTH VA + chatbot)
+const prompts = require('./prompts');
+const locales = require('./locales');
+const purity = require('./script-purity');
+const { openEventStream } = require('./sse');
+
+// -------------------- STARTUP CHECKS (see security.js) --------------------
+const secretProblems = security.checkSecrets();
+if (secretProblems.length && security.isProduction()) {
+  secretProblems.forEach(problem => console.error(`❌ ${problem}`));
+  console.error('❌ Refusing to start in production without the secrets above.');
+  process.exit(1);
+}
+secretProblems.forEach(problem => console.warn(`⚠️ ${problem} (allowed outside production only)`));
 
 const app = express();
+app.disable('x-powered-by');
+
+// Behind Render's proxy, req.ip must come from X-Forwarded-For (set TRUST_PROXY=1)
+if (process.env.TRUST_PROXY) {
+  const hops = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(hops) ? Number(hops) : hops);
+}
 
 // -------------------- MIDDLEWARE --------------------
-app.use(cors());
+// Headers and CORS for everything; one shared rate limit over the whole API, and
+// stricter ones on login, OTP, chat and voice at their routes (security.js)
+app.use(security.securityHeaders);
+app.use(security.corsMiddleware());
 app.use(express.json());
+app.use('/api', security.rateLimit('api'));
+console.log(security.describeCors());
 
 // ✅ Serve the frontend folder statically
 const __dirnameFull = path.resolve();
@@ -30,46 +71,89 @@ pool.connect()
   .then(() => console.log('✅ Connected to PostgreSQL'))
   .catch(err => console.error('❌ DB Connection Error:', err));
 
-// -------------------- OTP STORE --------------------
-const otpStore = {}; // Temporary memory OTP storage
-
-// -------------------- OPENAI CLIENTS --------------------
-// ✅ Voice Assistant client (uses OPENAI_KEY)
-if (!process.env.OPENAI_KEY) {
-  console.warn('⚠️ OPENAI_KEY not set in .env — /api/chat (voice assistant) will fail until it is configured.');
+// Login sessions (refresh tokens); revoked sessions also invalidate their access tokens
+setSessionCheck(sid => sessions.isSessionActive(pool, sid));
+
+// -------------------- SCHEMA (migrations/, see migrate.js) --------------------
+// Nothing is served until the database is at the latest migration: run
+// `npm run db:migrate` when deploying, or set DB_MIGRATE_ON_START=1 to apply them here.
+async function prepareDatabase() {
+  if (process.env.DB_MIGRATE_ON_START === '1') await migrate.migrate(pool);
+  await migrate.requireCurrentSchema(pool);
+
+  // Scheme catalogue: load data/schemes.json on a fresh database
+  const { rows } = await pool.query('SELECT COUNT(*)::int AS count FROM schemes');
+  if (rows[0].count === 0) {
+    const count = await schemes.seedSchemes(pool, require('./data/schemes.json'));
+    console.log(`✅ Seeded ${count} schemes`);
+  }
 }
-const openaiVoiceClient = new OpenAI({
-  apiKey: process.env.OPENAI_KEY,
-});
+const dbReady = prepareDatabase();
 
-// ✅ Chatbot client (uses OPENAI_API_KEY)
-if (!process.env.OPENAI_API_KEY) {
-  console.warn('⚠️ OPENAI_API_KEY not set in .env — /api/cb-chat (chatbot) will fail until it is configured.');
-}
-const openaiChatbotClient = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// -------------------- LLM PROVIDERS --------------------
+// Configured through LLM_PROVIDERS / OPENAI_KEY / OPENAI_API_KEY (see llm.js)
+console.log(llm.describe());
+console.log(`📋 Prompt templates: ${Object.entries(prompts.activeVersions()).map(([n, v]) => `${n}@${v}`).join(', ')}`);
+
+// -------------------- SPEECH ENGINE --------------------
+// Server-side listening/speaking for browsers without the Web Speech API (SPEECH_ENGINE, see speech.js)
+console.log(speech.describe());
 
 // -------------------- ROUTES --------------------
+// Each route that reads input declares it with security.validate(); the modules'
+// parse functions (feedback, applications, schemes, ...) still check the details.
+
+const { validate, rateLimit, formFields, isCalendarDate } = security;
+
+// :id of a numbered row; anything else is simply not found
+const idParam = message => ({ id: { type: 'string', pattern: /^\d+$/, status: 404, message } });
+const DATE_QUERY = { type: 'string', test: isCalendarDate, message: 'Dates must be real dates written YYYY-MM-DD' };
+const PAGE_QUERY = { limit: { type: 'integer' }, offset: { type: 'integer' } };
+const LANGUAGE = { type: 'string', maxLength: 10 };
+const DOWNLOAD_QUERY = { download: { type: 'string' } };
+
+// Access + refresh token pair for a freshly authenticated user
+async function startSession(req, user) {
+  const session = await sessions.createSession(pool, user.id, {
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+  });
+  return {
+    token: signToken(user, session.sessionId),
+    refreshToken: session.refreshToken,
+  };
+}
 
-// REGISTER USER ✅ correct hashed_password insert
-app.post('/api/register', async (req, res) => {
+// REGISTER USER ✅ correct hashed_password insert (logs the new user in)
+const REGISTER_REQUIRED = 'Username, email/phone, and password required';
+
+app.post('/api/register', rateLimit('register'), validate({
+  body: {
+    username: { type: 'string', required: true, maxLength: 50, message: REGISTER_REQUIRED },
+    email: { type: 'string', maxLength: 200 },
+    phone: { type: 'string', maxLength: 20 },
+    password: { type: 'string', required: true, maxLength: 200, message: REGISTER_REQUIRED },
+    language: LANGUAGE,
+  },
+}), async (req, res) => {
   const { username, email, phone, password } = req.body;
+  const language = locales.normalize(req.body.language);
 
-  if (!username || (!email && !phone) || !password) {
-    return res.status(400).json({ error: 'Username, email/phone, and password required' });
+  if (!email && !phone) {
+    return res.status(400).json({ error: REGISTER_REQUIRED });
   }
   try {
     const hashed_password = await bcrypt.hash(password, 10);
 
     const result = await pool.query(
-      `INSERT INTO users (username, email, phone, hashed_password)
-       VALUES ($1, $2, $3, $4)
-       RETURNING id, username, email, phone`,
-      [username, email, phone, hashed_password]
+      `INSERT INTO users (username, email, phone, hashed_password, language)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id, username, email, phone, language`,
+      [username, email, phone, hashed_password, language]
     );
 
-    res.status(201).json({ success: true, user: result.rows[0] });
+    const tokens = await startSession(req, result.rows[0]);
+    res.status(201).json({ success: true, ...tokens, user: result.rows[0] });
 
   } catch (err) {
     console.error('Register error:', err);
@@ -81,10 +165,18 @@ app.post('/api/register', async (req, res) => {
 });
 
 // LOGIN USER ✅ checks hashed_password correctly
-app.post('/api/login', async (req, res) => {
+const LOGIN_REQUIRED = 'Username / email / phone and password required';
+
+// Counted per IP and account, so one person's typos do not lock out a shared kiosk
+const loginKey = req => `${req.ip}:${String(req.body && req.body.username).toLowerCase()}`;
+
+app.post('/api/login', rateLimit('login', { key: loginKey }), validate({
+  body: {
+    username: { type: 'string', required: true, maxLength: 200, message: LOGIN_REQUIRED },
+    password: { type: 'string', required: true, maxLength: 200, message: LOGIN_REQUIRED },
+  },
+}), async (req, res) => {
   const { username, password } = req.body;
-  if (!username || !password)
-    return res.status(400).json({ error: 'Username / email / phone and password required' });
 
   try {
     const result = await pool.query(
@@ -101,16 +193,15 @@ app.post('/api/login', async (req, res) => {
     if (!isMatch)
       return res.status(400).json({ error: 'Invalid credentials' });
 
-    const token = jwt.sign(
-      { userId: user.id, username: user.username },
-      process.env.JWT_SECRET || "fallback_secret",
-      { expiresIn: '1h' }
-    );
+    if (user.disabled_at)
+      return res.status(403).json({ error: 'Account disabled. Please contact the Gram Panchayat office.' });
+
+    const tokens = await startSession(req, user);
 
     res.json({
       success: true,
-      token,
-      user: { username: user.username, email: user.email }
+      ...tokens,
+      user: { username: user.username, email: user.email, role: user.role }
     });
 
   } catch (err) {
@@ -119,79 +210,650 @@ app.post('/api/login', async (req, res) => {
   }
 });
 
-// ✅ FEEDBACK endpoint (simple version – basic table: name, email, message)
-app.post('/api/feedback', async (req, res) => {
-  const { name, email, message } = req.body;
-
-  if (!name || !email || !message) {
-    return res.status(400).json({ success: false, error: "All fields required." });
-  }
+// REFRESH ✅ swaps a refresh token for a new access + refresh token pair
+app.post('/api/refresh', validate({
+  body: { refreshToken: { type: 'string', required: true, maxLength: 200, message: 'Refresh token required' } },
+}), async (req, res) => {
+  const { refreshToken } = req.body;
 
   try {
+    const session = await sessions.rotateSession(pool, refreshToken);
+    if (!session) return res.status(401).json({ error: 'Session expired, please login again' });
+
     const result = await pool.query(
-      "INSERT INTO feedback (name, email, message) VALUES ($1, $2, $3) RETURNING *",
-      [name, email, message]
+      'SELECT id, username, role FROM users WHERE id=$1 AND disabled_at IS NULL',
+      [session.userId]
     );
-    res.json({ success: true, data: result.rows[0] });
+    if (result.rows.length === 0) return res.status(401).json({ error: 'Session expired, please login again' });
+
+    res.json({
+      success: true,
+      token: signToken(result.rows[0], session.sessionId),
+      refreshToken: session.refreshToken,
+    });
+  } catch (err) {
+    console.error('Refresh error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// LOGOUT ✅ ends the session of the access token and/or refresh token sent
+app.post('/api/logout', optionalAuth, validate({
+  body: { refreshToken: { type: 'string', maxLength: 200 } },
+}), async (req, res) => {
+  try {
+    if (req.user && req.user.sessionId) await sessions.revokeSession(pool, req.user.sessionId);
+    if (req.body.refreshToken) await sessions.revokeByRefreshToken(pool, req.body.refreshToken);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Logout error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ✅ FEEDBACK endpoint – the full home.html form (see feedback.parseFeedbackInput)
+// Stored against the logged-in user; a user_id in the body is ignored.
+app.post('/api/feedback', requireAuth, validate({
+  body: formFields('name', 'email', 'phone', 'gender', 'age', 'location', 'scheme_applied', 'application_status',
+    'scheme_benefit_amount', 'usage_frequency', 'feedback_rating', 'comments', 'message'),
+}), async (req, res) => {
+  const { feedback: fb, error } = feedback.parseFeedbackInput(req.body);
+  if (error) return res.status(400).json({ success: false, error });
+
+  try {
+    const saved = await feedback.insertFeedback(pool, req.user.userId, fb);
+    res.status(201).json({ success: true, data: saved });
   } catch (err) {
     console.error("❌ Feedback insert error:", err);
     res.status(500).json({ success: false, error: "Database error." });
   }
 });
 
+// FEEDBACK STATS ✅ ?from=YYYY-MM-DD&to=YYYY-MM-DD — average rating per scheme,
+// application status, location and gender breakdowns (admin console)
+app.get('/api/feedback/stats', requireAuth, requireRole('officer', 'admin'), validate({
+  query: { from: DATE_QUERY, to: DATE_QUERY },
+}), async (req, res) => {
+  const { from, to } = req.query;
+
+  try {
+    const stats = await feedback.feedbackStats(pool, { from, to });
+    res.json({ success: true, ...stats });
+  } catch (err) {
+    console.error('Feedback stats error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// -------------------- USER ACCOUNT ENDPOINTS (/api/user/*) --------------------
+// Used by the Manage Account modal in home.html. The user always comes from the
+// JWT (req.user), never from the user_id the client sends in the body.
+
+const PROFILE_FIELDS = 'id, username, name, email, phone, gender, age, language, role';
+
+// GET current profile ✅
+app.get('/api/user/me', requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${PROFILE_FIELDS} FROM users WHERE id=$1`,
+      [req.user.userId]
+    );
+    if (result.rows.length === 0)
+      return res.status(404).json({ error: 'User not found' });
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('User me error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// UPDATE profile ✅ (username, name, email, phone, gender, age, language)
+app.put('/api/user/update', requireAuth, validate({
+  body: {
+    username: { type: 'string', required: true, maxLength: 50, message: 'Username and email/phone required' },
+    name: { type: 'string', maxLength: 100 },
+    email: { type: 'string', maxLength: 200 },
+    phone: { type: 'string', maxLength: 20 },
+    gender: { type: 'string', maxLength: 20 },
+    age: { type: 'integer', min: 0, max: 130, message: 'Age must be a whole number' },
+    language: { type: 'string', oneOf: locales.codes(), message: `Language must be one of ${locales.codes().join(', ')}` },
+  },
+}), async (req, res) => {
+  const { username, name, email, phone, gender, language } = req.body;
+  const age = req.body.age === '' || req.body.age == null ? null : Number(req.body.age);
+
+  if (!email && !phone)
+    return res.status(400).json({ error: 'Username and email/phone required' });
+
+  try {
+    const result = await pool.query(
+      `UPDATE users
+          SET username=$1, name=$2, email=$3, phone=$4, gender=$5, age=$6, language=COALESCE($8, language)
+        WHERE id=$7
+        RETURNING ${PROFILE_FIELDS}`,
+      [username, name || null, email || null, phone || null, gender || null, age, req.user.userId, language || null]
+    );
+    if (result.rows.length === 0)
+      return res.status(404).json({ error: 'User not found' });
+
+    res.json({ success: true, user: result.rows[0] });
+  } catch (err) {
+    console.error('User update error:', err);
+    if (err.code === '23505') {
+      return res.status(400).json({ error: 'Username or email already exists' });
+    }
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// CHANGE PASSWORD ✅ verifies oldPassword against hashed_password
+const PASSWORD_REQUIRED = 'Old and new password required';
+
+app.put('/api/user/password', requireAuth, validate({
+  body: {
+    oldPassword: { type: 'string', required: true, maxLength: 200, message: PASSWORD_REQUIRED },
+    newPassword: { type: 'string', required: true, maxLength: 200, message: PASSWORD_REQUIRED },
+  },
+}), async (req, res) => {
+  const { oldPassword, newPassword } = req.body;
+
+  try {
+    const result = await pool.query(
+      'SELECT hashed_password FROM users WHERE id=$1',
+      [req.user.userId]
+    );
+    if (result.rows.length === 0)
+      return res.status(404).json({ error: 'User not found' });
+
+    const isMatch = await bcrypt.compare(oldPassword, result.rows[0].hashed_password);
+    if (!isMatch)
+      return res.status(400).json({ error: 'Old password is incorrect' });
+
+    const hashed_password = await bcrypt.hash(newPassword, 10);
+    await pool.query(
+      'UPDATE users SET hashed_password=$1 WHERE id=$2',
+      [hashed_password, req.user.userId]
+    );
+    // Log out every other device
+    await sessions.revokeUserSessions(pool, req.user.userId, { keepSessionId: req.user.sessionId });
+    res.json({ success: true, message: 'Password changed successfully' });
+  } catch (err) {
+    console.error('User password error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// -------------------- SCHEME CATALOGUE (/api/schemes) --------------------
+// Public, read-only. home.html renders its scheme cards from this list.
+
+// Shared ?category= &group= &benefit_type= filters
+const UNKNOWN_FILTER = 'Unknown group or benefit_type filter';
+const SCHEME_FILTERS = {
+  category: { type: 'string', maxLength: 100 },
+  group: { type: 'string', oneOf: schemes.TARGET_GROUPS, message: UNKNOWN_FILTER },
+  benefit_type: { type: 'string', oneOf: schemes.BENEFIT_TYPES, message: UNKNOWN_FILTER },
+};
+
+function schemeFilters(query) {
+  const { category, group, benefit_type } = query;
+  return { category, group, benefitType: benefit_type };
+}
+
+// Scheme id or slug in the path
+const SCHEME_PARAM = { id: { type: 'string', pattern: /^[\w-]{1,100}$/, status: 404, message: 'Scheme not found' } };
+
+app.get('/api/schemes', validate({ query: SCHEME_FILTERS }), async (req, res) => {
+  const filters = schemeFilters(req.query);
+
+  try {
+    const rows = await schemes.listSchemes(pool, filters);
+    res.json({ success: true, schemes: rows });
+  } catch (err) {
+    console.error('Schemes list error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// SEARCH ✅ typo-tolerant, Kannada/English cross-script, ranked with <mark> highlights
+// GET /api/schemes/search?q=anna bhagya&lang=kn&category=&group=women&benefit_type=cash&limit=20
+app.get('/api/schemes/search', validate({
+  query: {
+    q: { type: 'string', required: true, maxLength: 200, message: 'Search text (q) required' },
+    lang: LANGUAGE,
+    limit: { type: 'integer' },
+    ...SCHEME_FILTERS,
+  },
+}), async (req, res) => {
+  const q = req.query.q.trim();
+  const filters = schemeFilters(req.query);
+
+  const lang = locales.isSupported(req.query.lang) ? req.query.lang : undefined;
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+  try {
+    const rows = await schemes.listSchemes(pool, filters);
+    const results = searchSchemes(rows, q, { lang, limit });
+    res.json({ success: true, query: q, total: results.length, results });
+  } catch (err) {
+    console.error('Scheme search error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// CATALOGUE ✅ for offline copies (offline.js); ETag = catalogue version, 304 when unchanged
+// GET /api/schemes/catalogue              → every scheme
+// GET /api/schemes/catalogue?since=<ts>   → only schemes edited after `since` (the
+//                                           updated_at of an earlier response) + all ids
+app.get('/api/schemes/catalogue', validate({
+  query: {
+    since: {
+      type: 'string', maxLength: 40, test: since => !Number.isNaN(Date.parse(since)),
+      message: 'since must be the updated_at of an earlier catalogue',
+    },
+  },
+}), async (req, res) => {
+  const since = req.query.since || null;
+
+  try {
+    const { count, updated_at, version } = await schemes.catalogueVersion(pool);
+    const etag = `"${version}"`;
+    res.set({ ETag: etag, 'Cache-Control': 'no-cache' });
+    if (req.get('If-None-Match') === etag) return res.status(304).end();
+
+    const changes = since
+      ? await schemes.listSchemesChangedSince(pool, since)
+      : { schemes: await schemes.listSchemes(pool) };
+    const ids = changes.ids || changes.schemes.map(s => s.id);
+    res.json({ success: true, version, updated_at, count, full: !since, ids, schemes: changes.schemes });
+  } catch (err) {
+    console.error('Catalogue error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/schemes/:id', validate({ params: SCHEME_PARAM }), async (req, res) => {
+  try {
+    const scheme = await schemes.getScheme(pool, req.params.id);
+    if (!scheme) return res.status(404).json({ error: 'Scheme not found' });
+    res.json({ success: true, scheme });
+  } catch (err) {
+    console.error('Scheme fetch error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// -------------------- ELIGIBILITY CHECKER (/api/eligibility) --------------------
+// Body: { age, gender, income, bpl, caste_category, occupation, land_acres, district,
+//         lang?: a locales.js code, include_general?: boolean }
+// Returns schemes the profile matches, with reasons and any criteria still unanswered.
+app.post('/api/eligibility', validate({
+  body: {
+    ...formFields('age', 'gender', 'income', 'bpl', 'caste_category', 'casteCategory', 'occupation',
+      'land_acres', 'landAcres', 'district'),
+    lang: LANGUAGE,
+    include_general: { type: 'boolean' },
+  },
+}), async (req, res) => {
+  const { profile, error } = eligibility.parseProfile(req.body);
+  if (error) return res.status(400).json({ error });
+
+  const lang = locales.normalize(req.body.lang);
+  try {
+    const rows = await schemes.listSchemes(pool);
+    const results = eligibility.matchSchemes(rows, profile, {
+      lang,
+      includeGeneral: req.body.include_general === true,
+    });
+    res.json({
+      success: true,
+      eligible: results.filter(r => r.status === 'eligible').length,
+      total: results.length,
+      results,
+    });
+  } catch (err) {
+    console.error('Eligibility error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// -------------------- SCHEME APPLICATIONS (/api/applications) --------------------
+// A citizen's own record of the schemes they applied for (home.html "My applications").
+// An application counts as stuck after APPLICATION_STUCK_DAYS (default 30) without a
+// status change; the owner then gets a reminder (see the job below).
+
+const APPLICATION_STUCK_DAYS = Number(process.env.APPLICATION_STUCK_DAYS) || 30;
+const APPLICATION_REMINDER_CHECK_HOURS = Number(process.env.APPLICATION_REMINDER_CHECK_HOURS ?? 6);
+
+const APPLICATION_PARAM = idParam('Application not found');
+const APPLICATION_FIELDS = formFields('scheme_id', 'submitted_on', 'reference_number', 'office', 'notes', 'status');
+
+app.get('/api/applications', requireAuth, async (req, res) => {
+  try {
+    const rows = await applications.listApplications(pool, req.user.userId, { stuckDays: APPLICATION_STUCK_DAYS });
+    res.json({ success: true, stuck_after_days: APPLICATION_STUCK_DAYS, applications: rows });
+  } catch (err) {
+    console.error('Applications list error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// CREATE ✅ { scheme_id, submitted_on, reference_number?, office?, notes?, status? }
+app.post('/api/applications', requireAuth, validate({ body: APPLICATION_FIELDS }), async (req, res) => {
+  const { application, error } = applications.parseApplicationInput(req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    if (!(await schemes.getScheme(pool, application.scheme_id)))
+      return res.status(400).json({ error: 'Scheme not found' });
+    const id = await applications.createApplication(pool, req.user.userId, application);
+    const created = await applications.getApplication(pool, req.user.userId, id, { stuckDays: APPLICATION_STUCK_DAYS });
+    res.status(201).json({ success: true, application: created });
+  } catch (err) {
+    console.error('Application create error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// One application with its status timeline
+app.get('/api/applications/:id', requireAuth, validate({ params: APPLICATION_PARAM }), async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    const application = await applications.getApplication(pool, req.user.userId, id, { stuckDays: APPLICATION_STUCK_DAYS });
+    if (!application) return res.status(404).json({ error: 'Application not found' });
+    res.json({ success: true, application });
+  } catch (err) {
+    console.error('Application fetch error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// EDIT details ✅ { reference_number?, office?, submitted_on?, notes? } (status has its own route)
+app.patch('/api/applications/:id', requireAuth, validate({
+  params: APPLICATION_PARAM,
+  body: APPLICATION_FIELDS,
+}), async (req, res) => {
+  const id = Number(req.params.id);
+  const { scheme_id, status, ...body } = req.body;
+  if (scheme_id !== undefined || status !== undefined)
+    return res.status(400).json({ error: 'Scheme and status cannot be edited here' });
+  const { application, error } = applications.parseApplicationInput(body, { partial: true });
+  if (error) return res.status(400).json({ error });
+
+  try {
+    if (!(await applications.updateApplication(pool, req.user.userId, id, application)))
+      return res.status(404).json({ error: 'Application not found' });
+    const updated = await applications.getApplication(pool, req.user.userId, id, { stuckDays: APPLICATION_STUCK_DAYS });
+    res.json({ success: true, application: updated });
+  } catch (err) {
+    console.error('Application update error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// STATUS ✅ { status, note? } — must be one of the application's next_statuses
+app.post('/api/applications/:id/status', requireAuth, validate({
+  params: APPLICATION_PARAM,
+  body: {
+    status: { type: 'string', required: true, oneOf: applications.STATUSES, message: 'Unknown status' },
+    note: { type: 'string' },
+  },
+}), async (req, res) => {
+  const id = Number(req.params.id);
+  const { status } = req.body;
+  const note = req.body.note ? req.body.note.trim().slice(0, 500) : null;
+
+  try {
+    const result = await applications.changeStatus(pool, req.user.userId, id, { status, note });
+    if (result.reason === 'not_found') return res.status(404).json({ error: 'Application not found' });
+    if (result.reason === 'invalid_transition') {
+      return res.status(409).json({
+        error: result.allowed.length
+          ? `Status can only move to ${result.allowed.join(', ')}`
+          : 'This application is closed',
+        allowed: result.allowed,
+      });
+    }
+    const updated = await applications.getApplication(pool, req.user.userId, id, { stuckDays: APPLICATION_STUCK_DAYS });
+    res.json({ success: true, application: updated });
+  } catch (err) {
+    console.error('Application status error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/applications/:id', requireAuth, validate({ params: APPLICATION_PARAM }), async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    if (!(await applications.deleteApplication(pool, req.user.userId, id)))
+      return res.status(404).json({ error: 'Application not found' });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Application delete error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Reminder job: every APPLICATION_REMINDER_CHECK_HOURS (0 = off), remind owners of
+// stuck applications, at most once per APPLICATION_STUCK_DAYS per application.
+async function sendApplicationReminders() {
+  const stuck = await applications.findStuckApplications(pool, { stuckDays: APPLICATION_STUCK_DAYS });
+  let sent = 0;
+  for (const a of stuck) {
+    const to = a.email || a.phone;
+    if (!to) continue;
+    const lang = locales.normalize(a.language);
+    const result = await notify.notify(pool, {
+      to,
+      template: 'application_reminder',
+      language: lang,
+      params: {
+        scheme: locales.pick(a, 'scheme_title', lang),
+        status: locales.t(lang, `status.${a.status}`),
+        days: Math.floor((Date.now() - new Date(a.status_changed_at).getTime()) / 86400000),
+        reference: a.reference_number,
+      },
+    });
+    // Failed deliveries are tried again on the next run
+    if (result.ok) {
+      await applications.markReminded(pool, a.id);
+      sent++;
+    }
+  }
+  if (stuck.length) console.log(`📋 Application reminders: ${sent}/${stuck.length} sent`);
+}
+
+if (APPLICATION_REMINDER_CHECK_HOURS > 0) {
+  const runReminders = () => sendApplicationReminders()
+    .catch(err => console.error('❌ Application reminder error:', err));
+  dbReady.then(() => setTimeout(runReminders, 60 * 1000).unref(), () => {});
+  setInterval(runReminders, APPLICATION_REMINDER_CHECK_HOURS * 60 * 60 * 1000).unref();
+}
+
+// -------------------- DOCUMENT VAULT (/api/documents) --------------------
+// Each user's certificates and cards, stored through storage.js. Files are only
+// served to their owner, through these authenticated routes.
+// Limits: DOCUMENT_MAX_MB per file (default 5), DOCUMENT_MAX_PER_USER (default 50);
+// PDF, JPEG, PNG or WEBP only, checked against the file's first bytes.
+
+const DOCUMENT_MAX_MB = Number(process.env.DOCUMENT_MAX_MB) || 5;
+const DOCUMENT_MAX_PER_USER = Number(process.env.DOCUMENT_MAX_PER_USER) || 50;
+
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: DOCUMENT_MAX_MB * 1024 * 1024, files: 1, fields: 5 },
+  fileFilter: (req, file, cb) => cb(null, !!documents.FILE_TYPES[file.mimetype]),
+}).single('file');
+
+// Runs multer and turns its errors into { status, error }; null when the upload is fine
+function receiveDocument(req, res) {
+  return new Promise(resolve => {
+    documentUpload(req, res, err => {
+      if (!err) return resolve(null);
+      if (err.code === 'LIMIT_FILE_SIZE')
+        return resolve({ status: 413, error: `File is larger than ${DOCUMENT_MAX_MB} MB` });
+      if (err instanceof multer.MulterError) return resolve({ status: 400, error: 'Send one file in the "file" field' });
+      resolve({ status: 400, error: 'Upload failed' });
+    });
+  });
+}
+
+const DOCUMENT_PARAM = idParam('Document not found');
+
+// Types the upload form offers, with bilingual labels
+app.get('/api/documents/types', (req, res) => {
+  const types = Object.entries(documents.DOCUMENT_TYPES).map(([key, { names, ...labels }]) => ({ key, ...labels }));
+  res.json({ success: true, max_mb: DOCUMENT_MAX_MB, accepted: Object.keys(documents.FILE_TYPES), types });
+});
+
+app.get('/api/documents', requireAuth, async (req, res) => {
+  try {
+    res.json({ success: true, documents: await documents.listDocuments(pool, req.user.userId) });
+  } catch (err) {
+    console.error('Documents list error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// UPLOAD ✅ multipart/form-data: file, doc_type
+app.post('/api/documents', requireAuth, async (req, res) => {
+  const problem = await receiveDocument(req, res);
+  if (problem) return res.status(problem.status).json({ error: problem.error });
+
+  // Form fields only exist once multer has read the upload
+  const file = req.file;
+  if (!file) return res.status(400).json({ error: 'Choose a PDF, JPEG, PNG or WEBP file' });
+  const invalid = security.checkFields({
+    doc_type: { type: 'string', required: true, oneOf: Object.keys(documents.DOCUMENT_TYPES), message: 'Unknown document type' },
+  }, req.body);
+  if (invalid) return res.status(invalid.status).json({ error: invalid.error });
+  const docType = req.body.doc_type;
+  if (!documents.matchesMagic(file.mimetype, file.buffer))
+    return res.status(400).json({ error: 'The file content does not match its type' });
+
+  try {
+    const count = await pool.query('SELECT COUNT(*)::int AS count FROM user_documents WHERE user_id=$1', [req.user.userId]);
+    if (count.rows[0].count >= DOCUMENT_MAX_PER_USER)
+      return res.status(400).json({ error: `You can keep at most ${DOCUMENT_MAX_PER_USER} documents` });
+
+    const document = await documents.addDocument(pool, getStore(), req.user.userId, {
+      docType,
+      originalName: file.originalname,
+      mimeType: file.mimetype,
+      buffer: file.buffer,
+    });
+    res.status(201).json({ success: true, document });
+  } catch (err) {
+    console.error('Document upload error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DOWNLOAD ✅ owner only; ?download=1 saves instead of opening
+app.get('/api/documents/:id/file', requireAuth, validate({
+  params: DOCUMENT_PARAM,
+  query: DOWNLOAD_QUERY,
+}), async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    const document = await documents.getDocument(pool, req.user.userId, id);
+    if (!document) return res.status(404).json({ error: 'Document not found' });
+
+    const name = (document.original_name || `${document.doc_type}.${documents.FILE_TYPES[document.mime_type].ext}`)
+      .replace(/[^\w.\- ]+/g, '_');
+    res.set({
+      'Content-Type': document.mime_type,
+      'Content-Length': document.size_bytes,
+      'Content-Disposition': `${req.query.download ? 'attachment' : 'inline'}; filename="${name}"`,
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, no-store',
+    });
+    const stream = getStore().open(document.storage_key);
+    stream.on('error', err => {
+      console.error('Document read error:', err);
+      if (!res.headersSent) res.status(500).json({ error: 'File is not available' });
+      else res.destroy();
+    });
+    stream.pipe(res);
+  } catch (err) {
+    console.error('Document download error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/documents/:id', requireAuth, validate({ params: DOCUMENT_PARAM }), async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    if (!(await documents.deleteDocument(pool, getStore(), req.user.userId, id)))
+      return res.status(404).json({ error: 'Document not found' });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Document delete error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// CHECKLIST ✅ which of a scheme's required documents the user has in the vault
+// GET /api/schemes/:id/checklist?lang=kn
+app.get('/api/schemes/:id/checklist', requireAuth, validate({
+  params: SCHEME_PARAM,
+  query: { lang: LANGUAGE },
+}), async (req, res) => {
+  try {
+    const scheme = await schemes.getScheme(pool, req.params.id);
+    if (!scheme) return res.status(404).json({ error: 'Scheme not found' });
+    const lang = locales.normalize(req.query.lang);
+    const userDocuments = await documents.listDocuments(pool, req.user.userId);
+    res.json({
+      success: true,
+      scheme: { id: scheme.id, title: locales.pick(scheme, 'title', lang) },
+      ...documents.buildChecklist(scheme, userDocuments, lang),
+    });
+  } catch (err) {
+    console.error('Checklist error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // SEND OTP (Forgot Password) ✅
-app.post('/api/forgot-password', async (req, res) => {
+app.post('/api/forgot-password', rateLimit('otp'), validate({
+  body: {
+    identifier: { type: 'string', required: true, maxLength: 200, message: 'Identifier required' },
+    language: LANGUAGE,
+  },
+}), async (req, res) => {
   const { identifier } = req.body;
-  if (!identifier) return res.status(400).json({ error: 'Identifier required' });
 
   try {
     const result = await pool.query(
-      'SELECT * FROM users WHERE email=$1 OR phone=$1',
+      'SELECT * FROM users WHERE LOWER(email)=LOWER($1) OR phone=$1',
       [identifier]
     );
     if (result.rows.length === 0)
       return res.status(400).json({ error: 'User not found' });
 
-    // Generate OTP
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    const expiresAt = Date.now() + 10 * 60 * 1000;
-    otpStore[identifier] = { otp, expiresAt };
-
-    // If email → send using EmailJS
-    if (identifier.includes('@')) {
-      try {
-        await emailjs.send(
-          process.env.EMAILJS_SERVICE_ID,
-          process.env.EMAILJS_TEMPLATE_ID,
-          {
-            email: identifier,
-            passcode: otp,
-            time: new Date(expiresAt).toLocaleTimeString(),
-            cc_email: process.env.EMAILJS_CC_EMAIL,
-          },
-          { publicKey: process.env.EMAILJS_PUBLIC_KEY }
-        );
-        console.log(`✅ OTP Email sent to ${identifier}`);
-      } catch (err) {
-        console.error('❌ EmailJS error:', err);
-        return res.status(500).json({ error: 'Failed to send OTP email' });
-      }
-    } else {
-      // SMS fallback
-      const smsResp = await fetch('https://textbelt.com/text', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          phone: identifier,
-          message: `Your Gramasetu OTP is ${otp}`,
-          key: 'textbelt',
-        }),
-      });
-      const smsJson = await smsResp.json();
-      if (!smsJson.success) {
-        console.error('Textbelt failed:', smsJson);
-        return res.status(500).json({ error: 'Could not send OTP' });
-      }
+    // Generate OTP (refused while in cooldown / locked / too many from this IP)
+    const issued = await otpService.issueOtp(pool, identifier, { ip: req.ip });
+    if (!issued.ok) {
+      res.set('Retry-After', String(issued.retryAfter));
+      const error = issued.reason === 'locked'
+        ? 'Too many wrong OTPs. Try again later.'
+        : 'Please wait before requesting another OTP.';
+      return res.status(429).json({ error, retryAfter: issued.retryAfter });
+    }
+
+    // Email or SMS, in the user's language (channels are configured in notify.js)
+    const sent = await notify.notify(pool, {
+      to: identifier,
+      template: 'otp',
+      language: result.rows[0].language || req.body.language,
+      params: {
+        code: issued.code,
+        time: issued.expiresAt.toLocaleTimeString('en-IN', { timeZone: 'Asia/Kolkata', hour: '2-digit', minute: '2-digit' }),
+      },
+    });
+    if (!sent.ok) {
+      return res.status(500).json({ error: identifier.includes('@') ? 'Failed to send OTP email' : 'Could not send OTP' });
     }
 
     res.json({ success: true, message: 'OTP sent successfully' });
@@ -203,25 +865,35 @@ app.post('/api/forgot-password', async (req, res) => {
 });
 
 // VERIFY OTP + RESET PASSWORD ✅ uses hashed_password
-app.post('/api/verify-otp', async (req, res) => {
+const OTP_REQUIRED = 'All fields required';
+
+app.post('/api/verify-otp', rateLimit('otp'), validate({
+  body: {
+    identifier: { type: 'string', required: true, maxLength: 200, message: OTP_REQUIRED },
+    otp: { type: 'scalar', required: true, maxLength: 10, message: OTP_REQUIRED },
+    newPassword: { type: 'string', required: true, maxLength: 200, message: OTP_REQUIRED },
+  },
+}), async (req, res) => {
   const { identifier, otp, newPassword } = req.body;
-  if (!identifier || !otp || !newPassword)
-    return res.status(400).json({ error: 'All fields required' });
-
-  const record = otpStore[identifier];
-  if (!record || record.otp !== otp)
-    return res.status(400).json({ error: 'Invalid OTP' });
-
-  if (record.expiresAt < Date.now())
-    return res.status(400).json({ error: 'OTP expired' });
 
   try {
+    const check = await otpService.verifyOtp(pool, identifier, otp);
+    if (!check.ok) {
+      if (check.reason === 'locked') {
+        res.set('Retry-After', String(check.retryAfter));
+        return res.status(429).json({ error: 'Too many wrong OTPs. Try again later.', retryAfter: check.retryAfter });
+      }
+      if (check.reason === 'expired') return res.status(400).json({ error: 'OTP expired' });
+      return res.status(400).json({ error: 'Invalid OTP', attemptsLeft: check.attemptsLeft });
+    }
+
     const hashed_password = await bcrypt.hash(newPassword, 10);
-    await pool.query(
-      'UPDATE users SET hashed_password=$1 WHERE email=$2 OR phone=$2',
+    const updated = await pool.query(
+      'UPDATE users SET hashed_password=$1 WHERE LOWER(email)=LOWER($2) OR phone=$2 RETURNING id',
       [hashed_password, identifier]
     );
-    delete otpStore[identifier];
+    // Whoever had the old password is logged out everywhere
+    for (const user of updated.rows) await sessions.revokeUserSessions(pool, user.id);
     res.json({ success: true, message: 'Password reset successful' });
   } catch (err) {
     console.error('Verify-OTP error:', err);
@@ -229,148 +901,856 @@ app.post('/api/verify-otp', async (req, res) => {
   }
 });
 
+// -------------------- LEARNING SPACE (/api/learning, see learning.js) --------------------
+// Courses are public; progress, quizzes and certificates belong to the logged-in user.
+
+// COURSES ✅ with the user's progress and where to continue, when logged in
+app.get('/api/learning/courses', optionalAuth, async (req, res) => {
+  const courses = learning.COURSES.map(learning.publicCourse);
+  if (!req.user) return res.json({ success: true, pass_percent: learning.PASS_PERCENT, courses, progress: null, resume: null });
+  try {
+    const { courses: progress, resume } = await learning.getProgress(pool, req.user.userId);
+    res.json({ success: true, pass_percent: learning.PASS_PERCENT, courses, progress, resume });
+  } catch (err) {
+    console.error('Learning courses error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PROGRESS ✅ { completed?: boolean } — opening a video records it, "Mark as done" completes it
+const COURSE_ID = { type: 'string', pattern: /^[\w-]{1,100}$/, status: 404 };
+const CERTIFICATE_CODE = { type: 'string', pattern: /^GS-[0-9A-F]{10}$/i, status: 404 };
+
+app.post('/api/learning/courses/:id/modules/:moduleId', requireAuth, validate({
+  params: {
+    id: { ...COURSE_ID, message: 'Course module not found' },
+    moduleId: { ...COURSE_ID, message: 'Course module not found' },
+  },
+  body: { completed: { type: 'boolean' } },
+}), async (req, res) => {
+  const course = learning.getCourse(req.params.id);
+  if (!course || !course.modules.some(m => m.id === req.params.moduleId))
+    return res.status(404).json({ error: 'Course module not found' });
+
+  try {
+    await learning.recordModule(pool, req.user.userId, course.id, req.params.moduleId, { completed: req.body.completed === true });
+    const completion = req.body.completed === true ? await learning.completeIfDone(pool, req.user.userId, course) : null;
+    const { courses: progress, resume } = await learning.getProgress(pool, req.user.userId);
+    res.json({ success: true, progress: progress[course.id], resume, completion });
+  } catch (err) {
+    console.error('Learning progress error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// QUIZ ✅ { answers: [option index per question], language? } → score, which were right (the answers once passed), certificate when complete
+app.post('/api/learning/courses/:id/quiz', requireAuth, validate({
+  params: { id: { ...COURSE_ID, message: 'Course not found' } },
+  body: { answers: { type: 'array', maxLength: 100 }, language: LANGUAGE },
+}), async (req, res) => {
+  const course = learning.getCourse(req.params.id);
+  if (!course) return res.status(404).json({ error: 'Course not found' });
+  const { answers, error } = learning.parseAnswers(course, req.body.answers);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const result = learning.gradeQuiz(course, answers);
+    await learning.saveQuizAttempt(pool, req.user.userId, course.id, answers, result, locales.normalize(req.body.language));
+    const completion = result.passed ? await learning.completeIfDone(pool, req.user.userId, course) : null;
+    res.json({ success: true, ...result, pass_percent: learning.PASS_PERCENT, completion });
+  } catch (err) {
+    console.error('Quiz submit error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// CERTIFICATE ✅ SVG for its holder (?download=1 to save it)
+app.get('/api/learning/certificates/:code', requireAuth, validate({
+  params: { code: { ...CERTIFICATE_CODE, message: 'Certificate not found' } },
+  query: DOWNLOAD_QUERY,
+}), async (req, res) => {
+  try {
+    const cert = await learning.getCertificate(pool, req.params.code);
+    if (!cert || cert.user_id !== req.user.userId) return res.status(404).json({ error: 'Certificate not found' });
+    res.set({
+      'Content-Type': 'image/svg+xml; charset=utf-8',
+      'Content-Disposition': `${req.query.download ? 'attachment' : 'inline'}; filename="gramasetu-${cert.course_id}.svg"`,
+      'Cache-Control': 'private, no-store',
+    });
+    res.send(learning.certificateSvg(cert));
+  } catch (err) {
+    console.error('Certificate error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// VERIFY ✅ public: who completed which course, for the code printed on a certificate
+app.get('/api/learning/certificates/:code/verify', validate({
+  params: { code: { ...CERTIFICATE_CODE, message: 'No certificate with this code' } },
+}), async (req, res) => {
+  try {
+    const cert = await learning.getCertificate(pool, req.params.code);
+    if (!cert) return res.status(404).json({ error: 'No certificate with this code' });
+    const { user_id, ...visible } = cert;
+    res.json({ success: true, certificate: visible });
+  } catch (err) {
+    console.error('Certificate verify error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// -------------------- MODEL REPLIES (JSON or streamed) --------------------
+// With { "stream": true } in the body, /api/chat and /api/cb-chat answer with
+// Server-Sent Events (see sse.js) so slow connections see the first words early.
+
+// Whole reply at once, or token by token when an event stream is open, in `language`.
+// With checkScript, the reply is held back a sentence at a time and checked
+// against that language's script first (script-purity.js).
+async function generateReply(purpose, messages, sse, { language, checkScript = false }) {
+  const request = { messages, temperature: 0.7, language };
+  const checker = checkScript && purity.createReplyChecker(language, {
+    translate: fixScriptSegments,
+    onText: text => sse && sse.send('token', { text }),
+  });
+
+  if (!sse) {
+    const completion = await llm.complete(purpose, request);
+    if (!checker || !completion.text) return completion;
+    checker.push(completion.text);
+    return { ...completion, text: (await checker.finish()).trim() };
+  }
+  const completion = await llm.stream(purpose, request, {
+    signal: sse.signal,
+    onToken: text => (checker ? checker.push(text) : sse.send('token', { text })),
+  });
+  return checker ? { ...completion, text: (await checker.finish()).trim() } : completion;
+}
+
+// Helper: translate the wrong-script pieces of a reply; one result (or null) per piece
+async function fixScriptSegments(segments, language) {
+  if (!llm.isAvailable('translate')) return [];
+  const completion = await llm.complete('translate', {
+    messages: prompts.scriptFixMessages(segments, language),
+    temperature: 0,
+    language,
+  });
+  const lines = {};
+  for (const line of completion.text.split('\n')) {
+    const m = line.match(/^\s*(\d+)[.)]\s*(.+)$/);
+    if (m) lines[m[1]] = m[2].trim();
+  }
+  return segments.map((_, i) => lines[i + 1] || null);
+}
+
+// Longest message the assistants accept, in characters
+const MAX_CHAT_MESSAGE = Number(process.env.MAX_CHAT_MESSAGE) || 2000;
+
+// The user's own words from the request body, or an error for the reply field.
+// Instructions are never taken from the client (see prompts.js).
+function chatMessageFrom(body) {
+  if (typeof body.message !== 'string') return { error: 'Message required' };
+  const text = prompts.userText(body.message);
+  if (!text) return { error: 'Message required' };
+  if (text.length > MAX_CHAT_MESSAGE) return { error: `Message can be at most ${MAX_CHAT_MESSAGE} characters` };
+  return { text };
+}
+
+// Body of /api/chat and /api/cb-chat; errors go in `reply`, which the pages show
+const CONVERSATION_ID = { type: 'string', maxLength: 64 };
+const CHAT_BODY = {
+  message: { type: 'string', required: true, message: 'Message required' },
+  language: LANGUAGE,
+  conversation_id: CONVERSATION_ID,
+  stream: { type: 'boolean' },
+};
+const chatLimit = rateLimit('chat', { key: security.byUserOrIp, errorKey: 'reply' });
+
+// Error reply for either mode; a cancelled stream just ends quietly
+function sendReplyError(res, sse, err, reply, label) {
+  if (sse && sse.signal.aborted) return sse.close();
+  console.error(label, err);
+  if (!sse) return res.status(500).json({ reply });
+  sse.send('error', { reply });
+  sse.close();
+}
+
 // -------------------- VOICE ASSISTANT CHAT ENDPOINT (/api/chat) --------------------
-// Uses OPENAI_KEY + gpt-4.1-mini (same style as your original serverva.js)
-app.post('/api/chat', async (req, res) => {
+// Uses the 'voice' LLM purpose (OPENAI_KEY on OpenAI, same style as your original serverva.js)
+// Body: { message, language, conversation_id?, stream? } — message is only what the user said
+// Turns are kept in a 'voice' conversation (conversations.js) owned by the JWT user or the
+// X-Session-Id header, so follow-ups ("how do I apply for it?") keep their topic.
+// Without either, the reply is stateless as before.
+
+// Spoken replies are short, so a smaller history than the chatbot's is enough
+const VA_HISTORY_TOKEN_BUDGET = Number(process.env.VA_HISTORY_TOKEN_BUDGET) || 800;
+
+app.post('/api/chat', optionalAuth, chatLimit, validate({
+  body: { ...CHAT_BODY, language: { ...LANGUAGE, required: true, message: 'Invalid request' } },
+}, { errorKey: 'reply' }), async (req, res) => {
+  let sse = null;
+  const language = locales.normalize(req.body.language);
   try {
-    const { message, language } = req.body;
-    if (!message || !language) {
-      return res.status(400).json({ reply: 'Invalid request' });
+    const { text: message, error } = chatMessageFrom(req.body);
+    if (error) {
+      return res.status(400).json({ reply: error });
     }
 
-    const systemPrompt = language === 'kn'
-      ? `ನೀವು ಒಬ್ಬ ಸ್ನೇಹಭರಿತ ಸಹಾಯಗಾರ. ಉತ್ತರಗಳು 100% ಕನ್ನಡದಲ್ಲಿ ಇರಬೇಕು, ಸರಳ, ದೈನಂದಿನ ಮಾತು ಶೈಲಿಯಲ್ಲಿ, 1-2 ವಾಕ್ಯಗಳಲ್ಲಿ ಕೊಡಿ. ಇಂಗ್ಲಿಷ್ ಪದಗಳ ಬಳಕೆ ಬೇಡ. ಉದಾಹರಣೆ:
-- "ನಮಸ್ಕಾರ, ಹೇಗಿದ್ದೀರಾ? ಹೇಳಿ, ಏನು ಸಹಾಯ ಬೇಕು?"
-- "ಸರಿ, ಹೀಗೆ ಮಾಡಿ. ಇದರಿಂದ ಸಮಸ್ಯೆ ಸರಿಯಾಗಬಹುದು."
-- "ಈ ವಿಷಯದ ಬಗ್ಗೆ ಸದ್ಯ ನನಗೆ ಮಾಹಿತಿ ಇಲ್ಲ, ದಯವಿಟ್ಟು ಕಚೇರಿಯಲ್ಲಿ ಕೇಳಿ."`
-      : `Reply in short, friendly English. Keep responses natural and helpful.`;
-
-    if (!openaiVoiceClient.apiKey) {
-      console.error('❌ OPENAI_KEY missing — cannot call OpenAI for voice assistant.');
+    if (!llm.isAvailable('voice')) {
+      console.error('❌ No LLM provider for voice assistant (OPENAI_KEY / LLM_PROVIDERS).');
       return res.status(500).json({ reply: '⚠️ Server configuration error. Contact admin.' });
     }
 
-    const completion = await openaiVoiceClient.chat.completions.create({
-      model: 'gpt-4.1-mini',
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: message },
-      ],
-      temperature: 0.7,
+    // Resume the caller's voice conversation; an unknown id (cleared storage,
+    // another device) simply starts a new one, the assistant has no error screen
+    const owner = conversations.ownerFromRequest(req);
+    let conversation = null;
+    if (owner && req.body.conversation_id) {
+      conversation = await conversations.getConversation(pool, owner, req.body.conversation_id, { kind: 'voice' });
+    }
+    if (owner && !conversation) {
+      conversation = await conversations.createConversation(pool, owner, {
+        title: conversations.titleFrom(message),
+        language,
+        kind: 'voice',
+      });
+      conversation.summarized_until = 0;
+    }
+
+    let history = null;
+    if (conversation) {
+      await conversations.addMessage(pool, conversation.id, { role: 'user', content: message, language });
+      history = await conversations.buildHistory(pool, conversation, {
+        budget: VA_HISTORY_TOKEN_BUDGET,
+        summarize: summarizeTurns,
+      });
+    }
+    const messagesToSend = prompts.voiceMessages({ language, message, history });
+
+    const conversationId = conversation ? conversation.id : null;
+    if (req.body.stream) {
+      sse = openEventStream(res);
+      sse.send('start', { conversation_id: conversationId });
+    }
+
+    const completion = await generateReply('voice', messagesToSend, sse, { language, checkScript: true });
+
+    const reply = completion.text || locales.t(language, 'va.noReply');
+    if (conversation && completion.text) {
+      await conversations.addMessage(pool, conversation.id, { role: 'assistant', content: reply, language });
+    }
+
+    if (!sse) return res.json({ reply, conversation_id: conversationId });
+    sse.send('done', { reply, conversation_id: conversationId });
+    sse.close();
+  } catch (err) {
+    sendReplyError(res, sse, err, locales.t(language, 'va.connectionError'), 'API Error (voice assistant):');
+  }
+});
+
+// Forget the voice conversation's turns (va.js 🧹 button); the id stays usable
+app.post('/api/chat/clear', optionalAuth, validate({
+  body: { conversation_id: CONVERSATION_ID },
+}), async (req, res) => {
+  const owner = requireChatOwner(req, res);
+  if (!owner) return;
+  if (!req.body.conversation_id) return res.json({ ok: true }); // nothing started yet
+
+  try {
+    const cleared = await conversations.clearConversation(pool, owner, req.body.conversation_id, { kind: 'voice' });
+    if (!cleared) return res.status(404).json({ error: 'Conversation not found' });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('Voice assistant clear error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// -------------------- VOICE COMMANDS (/api/voice/intent, see intents.js) --------------------
+// va.js sends every transcript here before /api/chat. A command ("open Gruha Jyothi",
+// "ನನ್ನ ಖಾತೆ ತೆರೆಯಿರಿ") comes back as an intent for the page to carry out; anything
+// else as { intent: null } and is answered by the assistant as before.
+// Body: { text } → { success, intent, slots, source: 'rules' | 'model' }
+
+const MAX_COMMAND_TEXT = 200;
+
+// Helper: ask the 'intent' prompt; null when no model is set up or it has no command
+async function intentFromModel(text) {
+  if (!llm.isAvailable('intent')) return null;
+  try {
+    const completion = await llm.complete('intent', {
+      messages: prompts.intentMessages(text, intents.EXAMPLES),
+      temperature: 0,
     });
+    return intents.parseModelReply(completion.text);
+  } catch (err) {
+    console.warn('⚠️ Voice command model failed:', err.message);
+    return null;
+  }
+}
 
-    const reply =
-      completion?.choices?.[0]?.message?.content?.trim() ||
-      'ಕ್ಷಮಿಸಿ — ಉತ್ತರ ಸಿಗಲಿಲ್ಲ.';
+app.post('/api/voice/intent', rateLimit('voice'), validate({
+  body: { text: { type: 'string', required: true, label: 'Text' } },
+}), async (req, res) => {
+  const text = req.body.text.trim();
+  if (text.length > MAX_COMMAND_TEXT) return res.json({ success: true, intent: null, slots: {}, source: 'rules' });
 
-    res.json({ reply });
+  try {
+    let source = 'rules';
+    let match = intents.matchRules(text);
+    if (!match && intents.looksLikeCommand(text)) {
+      match = await intentFromModel(text);
+      source = 'model';
+    }
+    const command = match && intents.resolve(match, await schemes.listSchemes(pool));
+    if (!command) return res.json({ success: true, intent: null, slots: {}, source });
+    res.json({ success: true, intent: command.intent, slots: command.slots, source });
   } catch (err) {
-    console.error('API Error (voice assistant):', err);
-    res.status(500).json({ reply: '⚠️ ಸಂಪರ್ಕದಲ್ಲಿ ದೋಷ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.' });
+    console.error('Voice command error:', err);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// -------------------- CHATBOT ENDPOINTS (/api/cb-chat, /api/cb-clear) --------------------
+// -------------------- SERVER SPEECH (/api/voice/transcribe, /api/voice/speak, see speech.js) --------------------
+// va.js falls back to these when the browser cannot listen (no SpeechRecognition)
+// or has no voice for the language. Both answer 503 when SPEECH_ENGINE does not
+// offer it, and va.js then behaves as before.
+// Limits: SPEECH_MAX_UPLOAD_MB per recording (default 5), SPEECH_MAX_TEXT characters to speak (1000)
+
+const SPEECH_MAX_UPLOAD_MB = Number(process.env.SPEECH_MAX_UPLOAD_MB) || 5;
+const SPEECH_MAX_TEXT = Number(process.env.SPEECH_MAX_TEXT) || 1000;
+
+const audioUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: SPEECH_MAX_UPLOAD_MB * 1024 * 1024, files: 1, fields: 2 },
+  fileFilter: (req, file, cb) => cb(null, speech.isAudioType(file.mimetype)),
+}).single('audio');
+
+// Like receiveDocument(): multer errors as { status, error }, null when fine
+function receiveAudio(req, res) {
+  return new Promise(resolve => {
+    audioUpload(req, res, err => {
+      if (!err) return resolve(null);
+      if (err.code === 'LIMIT_FILE_SIZE')
+        return resolve({ status: 413, error: `Recording is larger than ${SPEECH_MAX_UPLOAD_MB} MB` });
+      if (err instanceof multer.MulterError) return resolve({ status: 400, error: 'Send one recording in the "audio" field' });
+      resolve({ status: 400, error: 'Upload failed' });
+    });
+  });
+}
+
+// multipart/form-data: audio (webm, ogg, mp4, mp3 or wav), language → { success, text, language }
+// `language` is what the user was speaking; the reply says which script came back
+app.post('/api/voice/transcribe', rateLimit('voice'), async (req, res) => {
+  const engine = speech.getEngine();
+  if (!engine.canTranscribe) return res.status(503).json({ error: 'Speech recognition is not available on this server' });
 
-// In-memory context for chatbot (like old servercb.js)
-let cbChatContext = [];
+  const problem = await receiveAudio(req, res);
+  if (problem) return res.status(problem.status).json({ error: problem.error });
+  if (!req.file || !req.file.size) return res.status(400).json({ error: 'Recording required (webm, ogg, mp4, mp3 or wav)' });
 
-// Helper: translate Kannada → English when language toggle is "en"
+  const invalid = security.checkFields({ language: LANGUAGE }, req.body);
+  if (invalid) return res.status(invalid.status).json({ error: invalid.error });
+
+  const language = locales.normalize(req.body.language);
+  try {
+    const text = await engine.transcribe({ audio: req.file.buffer, mimeType: req.file.mimetype, language });
+    res.json({ success: true, text, language: locales.detect(text, language) });
+  } catch (err) {
+    console.error(`Transcription error (${engine.name}):`, err.message);
+    res.status(502).json({ error: 'Could not transcribe the recording' });
+  }
+});
+
+// { text, language } → audio (WAV or MP3, see Content-Type)
+app.post('/api/voice/speak', rateLimit('voice'), validate({
+  body: { text: { type: 'string', required: true, maxLength: SPEECH_MAX_TEXT, label: 'Text' }, language: LANGUAGE },
+}), async (req, res) => {
+  const engine = speech.getEngine();
+  if (!engine.canSpeak) return res.status(503).json({ error: 'Speech is not available on this server' });
+
+  const text = req.body.text.trim();
+
+  try {
+    const { audio, mimeType } = await engine.speak({ text, language: locales.normalize(req.body.language) });
+    res.set({ 'Content-Type': mimeType, 'Cache-Control': 'no-store' });
+    res.send(audio);
+  } catch (err) {
+    console.error(`Speech synthesis error (${engine.name}):`, err.message);
+    res.status(502).json({ error: 'Could not synthesise speech' });
+  }
+});
+
+// -------------------- CHATBOT ENDPOINTS (/api/cb-chat, /api/cb-clear, /api/cb-conversations) --------------------
+// Conversations are stored per JWT user, or per anonymous X-Session-Id header.
+
+// Token budget for the history sent with each message (older turns get summarised)
+const CB_HISTORY_TOKEN_BUDGET = Number(process.env.CB_HISTORY_TOKEN_BUDGET) || 1500;
+
+// Local BM25 index over the scheme catalogue, built in memory from the schemes table
+// before the server listens and again after every admin edit
+let schemeIndex = null;
+
+// Also hands the scheme names to purity (they may stay in Latin letters inside Kannada
+// voice replies). Keeps the previous index when the table cannot be read.
+async function refreshSchemeIndex() {
+  try {
+    const list = await schemes.listSchemes(pool);
+    schemeIndex = retrieval.buildIndex(list);
+    purity.setSchemeNames(list);
+    return true;
+  } catch (err) {
+    console.error('❌ Scheme index rebuild error:', err);
+    return false;
+  }
+}
+
+// data/schemes.json stands in only when the table cannot be read at startup
+async function loadSchemeIndex() {
+  if (await refreshSchemeIndex()) {
+    console.log(`✅ Scheme index built (${schemeIndex.count} schemes)`);
+    return;
+  }
+  const list = require('./data/schemes.json');
+  schemeIndex = retrieval.buildIndex(list);
+  purity.setSchemeNames(list);
+  console.warn(`⚠️ Scheme index built from data/schemes.json (${schemeIndex.count} schemes); admin edits are missing`);
+}
+
+// Helper: translate the message to English when language toggle is "en"
 async function translateToEnglish(text) {
-  if (!openaiChatbotClient.apiKey) return text;
+  if (!llm.isAvailable('translate')) return text;
 
   try {
-    const prompt = `Translate the following text to English only. Do not explain anything:\n\n${text}`;
-    const completion = await openaiChatbotClient.chat.completions.create({
-      model: 'gpt-4.1-mini',
-      messages: [
-        { role: 'system', content: 'You are a translator.' },
-        { role: 'user', content: prompt },
-      ],
+    const completion = await llm.complete('translate', {
+      messages: prompts.translateMessages(text, 'en'),
       temperature: 0,
+      language: 'en',
     });
-    const out = completion?.choices?.[0]?.message?.content?.trim();
-    return out || text;
+    return completion.text || text;
   } catch (err) {
     console.error('translateToEnglish error:', err);
     return text;
   }
 }
 
+// Helper: fold older turns into the running conversation summary
+async function summarizeTurns(previousSummary, messages) {
+  const completion = await llm.complete('summary', {
+    messages: prompts.summaryMessages(previousSummary, messages),
+    temperature: 0,
+  });
+  return completion.text || previousSummary || '';
+}
+
+// Resolves the caller (JWT user or X-Session-Id); sends 400 and returns null if neither
+function requireChatOwner(req, res) {
+  const owner = conversations.ownerFromRequest(req);
+  if (!owner) res.status(400).json({ error: 'Login or X-Session-Id header required' });
+  return owner;
+}
+
 // Main chatbot endpoint (text chat)
-app.post('/api/cb-chat', async (req, res) => {
-  let userMessage = req.body.message || '';
-  const language = req.body.language || 'en';
+// Body: { message, language, conversation_id? } — a new conversation is started when
+// conversation_id is missing; the id is returned with every reply.
+app.post('/api/cb-chat', optionalAuth, chatLimit, validate({ body: CHAT_BODY }, { errorKey: 'reply' }), async (req, res) => {
+  const { text: originalMessage, error } = chatMessageFrom(req.body);
+  const language = locales.normalize(req.body.language);
+
+  if (error) {
+    return res.status(400).json({ reply: error });
+  }
+  let userMessage = originalMessage;
 
-  if (!userMessage) {
-    return res.status(400).json({ reply: 'Message required' });
+  const owner = conversations.ownerFromRequest(req);
+  if (!owner) {
+    return res.status(400).json({ reply: 'Login or X-Session-Id header required' });
   }
 
-  if (!openaiChatbotClient.apiKey) {
-    console.error('❌ OPENAI_API_KEY missing — cannot call OpenAI for chatbot.');
+  if (!llm.isAvailable('chatbot')) {
+    console.error('❌ No LLM provider for chatbot (OPENAI_API_KEY / LLM_PROVIDERS).');
     return res.status(500).json({ reply: '⚠️ Server configuration error. Contact admin.' });
   }
 
+  let sse = null;
   try {
     // 🪄 Force-translate user message to English if language= "en"
     if (language === 'en') {
       userMessage = await translateToEnglish(userMessage);
     }
 
-    // 🪄 Language-specific system prompt (from original servercb.js)
-    const systemPrompt =
-      language === 'kn'
-        ? `You are a helpful assistant that always replies in natural and fluent Kannada language. 
-If something cannot be translated, keep it in English.`
-        : `You are a helpful assistant that always replies in natural and fluent English language. 
-Translate any non-English input to English and reply in English.`;
-
     console.log('Incoming /api/cb-chat ->', userMessage);
 
-    // Reset context when user switches language mode
-    if (cbChatContext.length > 0 && cbChatContext[0].lang && cbChatContext[0].lang !== language) {
-      cbChatContext = [];
+    // 📚 Retrieve matching schemes (original text too, in case translation changed names)
+    const retrievalQuery = userMessage === originalMessage ? userMessage : `${originalMessage} ${userMessage}`;
+    const hits = retrieval.retrieve(schemeIndex, retrievalQuery);
+
+    // Resume the caller's conversation, or start one titled after this message
+    let conversation = req.body.conversation_id
+      ? await conversations.getConversation(pool, owner, req.body.conversation_id, { kind: 'chatbot' })
+      : null;
+    if (req.body.conversation_id && !conversation) {
+      return res.status(404).json({ reply: 'Conversation not found' });
+    }
+    if (!conversation) {
+      conversation = await conversations.createConversation(pool, owner, {
+        title: conversations.titleFrom(originalMessage),
+        language,
+      });
+      conversation.summarized_until = 0;
     }
 
-    // Save user message with language tag
-    cbChatContext.push({ role: 'user', content: userMessage, lang: language });
+    // Save user message with language tag (switching language keeps the context)
+    await conversations.addMessage(pool, conversation.id, { role: 'user', content: userMessage, language });
 
-    // Build messages without exposing lang flag
-    const messagesToSend = [
-      { role: 'system', content: systemPrompt },
-      ...cbChatContext.map(({ role, content }) => ({ role, content })),
-    ];
+    const history = await conversations.buildHistory(pool, conversation, {
+      budget: CB_HISTORY_TOKEN_BUDGET,
+      summarize: summarizeTurns,
+    });
 
-    const completion = await openaiChatbotClient.chat.completions.create({
-      model: 'gpt-4.1-mini',
-      messages: messagesToSend,
-      temperature: 0.7,
+    const messagesToSend = prompts.chatbotMessages({
+      language,
+      catalogue: hits.length ? retrieval.formatContext(hits, language) : '',
+      history,
     });
 
-    const botReply = completion?.choices?.[0]?.message?.content?.trim();
+    const sources = hits.map(({ doc }) => ({
+      id: retrieval.citationId(doc),
+      title: locales.pick(doc, 'title', language),
+      link: doc.link,
+    }));
+
+    if (req.body.stream) {
+      sse = openEventStream(res);
+      sse.send('start', { conversation_id: conversation.id, sources });
+    }
+
+    const completion = await generateReply('chatbot', messagesToSend, sse, { language });
+    const botReply = completion.text;
 
     if (!botReply) {
-      console.error('⚠️ No content in chatbot response');
-      return res.status(500).json({ reply: '⚠️ No response from model.' });
+      return sendReplyError(res, sse, new Error('empty completion'), '⚠️ No response from model.',
+        '⚠️ No content in chatbot response:');
     }
 
-    cbChatContext.push({ role: 'assistant', content: botReply, lang: language });
-    if (cbChatContext.length > 10) {
-      cbChatContext = cbChatContext.slice(-10);
+    await conversations.addMessage(pool, conversation.id, { role: 'assistant', content: botReply, language });
+
+    const result = { reply: botReply, sources, conversation_id: conversation.id };
+    if (!sse) return res.json(result);
+    sse.send('done', result);
+    sse.close();
+  } catch (err) {
+    sendReplyError(res, sse, err, 'Failed to connect to chatbot model.', 'Chatbot server error:');
+  }
+});
+
+// Clear one conversation's messages (only the caller's own)
+app.post('/api/cb-clear', optionalAuth, validate({
+  body: { conversation_id: CONVERSATION_ID },
+}), async (req, res) => {
+  const owner = requireChatOwner(req, res);
+  if (!owner) return;
+  if (!req.body.conversation_id) return res.json({ ok: true }); // nothing started yet
+
+  try {
+    const cleared = await conversations.clearConversation(pool, owner, req.body.conversation_id, { kind: 'chatbot' });
+    if (!cleared) return res.status(404).json({ error: 'Conversation not found' });
+    console.log('✅ Chatbot conversation cleared:', req.body.conversation_id);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('Chatbot clear error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List the caller's conversations (newest first)
+app.get('/api/cb-conversations', optionalAuth, async (req, res) => {
+  const owner = requireChatOwner(req, res);
+  if (!owner) return;
+  try {
+    res.json({ success: true, conversations: await conversations.listConversations(pool, owner) });
+  } catch (err) {
+    console.error('Conversation list error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const CONVERSATION_PARAM = {
+  id: { type: 'string', pattern: /^[\w-]{1,64}$/, status: 404, message: 'Conversation not found' },
+};
+
+// Resume: conversation + all its messages
+app.get('/api/cb-conversations/:id', optionalAuth, validate({ params: CONVERSATION_PARAM }), async (req, res) => {
+  const owner = requireChatOwner(req, res);
+  if (!owner) return;
+  try {
+    const conversation = await conversations.getConversation(pool, owner, req.params.id, { kind: 'chatbot' });
+    if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+    const messages = await conversations.listMessages(pool, conversation.id);
+    const { summary, summarized_until, ...rest } = conversation;
+    res.json({ success: true, conversation: rest, messages });
+  } catch (err) {
+    console.error('Conversation fetch error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Rename
+app.patch('/api/cb-conversations/:id', optionalAuth, validate({
+  params: CONVERSATION_PARAM,
+  body: { title: { type: 'string', required: true, maxLength: 100, message: 'Title (1-100 characters) required' } },
+}), async (req, res) => {
+  const owner = requireChatOwner(req, res);
+  if (!owner) return;
+  const title = req.body.title.trim();
+
+  try {
+    const conversation = await conversations.renameConversation(pool, owner, req.params.id, title, { kind: 'chatbot' });
+    if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+    res.json({ success: true, conversation });
+  } catch (err) {
+    console.error('Conversation rename error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete
+app.delete('/api/cb-conversations/:id', optionalAuth, validate({ params: CONVERSATION_PARAM }), async (req, res) => {
+  const owner = requireChatOwner(req, res);
+  if (!owner) return;
+  try {
+    const deleted = await conversations.deleteConversation(pool, owner, req.params.id, { kind: 'chatbot' });
+    if (!deleted) return res.status(404).json({ error: 'Conversation not found' });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Conversation delete error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// -------------------- ADMIN CONSOLE API (/api/admin/*, see admin.html) --------------------
+// Panchayat officers manage schemes and read feedback; admins also manage users
+// and read the audit log. Every change is written to audit_log.
+
+const STAFF = ['officer', 'admin'];
+
+function pageParams(query, defaultLimit = 50) {
+  return {
+    limit: Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), 500),
+    offset: Math.max(parseInt(query.offset, 10) || 0, 0),
+  };
+}
+
+const ADMIN_SCHEME_PARAM = idParam('Scheme not found');
+const SCHEME_BODY = {
+  ...formFields('slug', 'title_en', 'title_kn', 'description_en', 'description_kn', 'category', 'department',
+    'link', 'benefit_amount', 'benefit_type'),
+  target_groups: { type: 'array', maxLength: 20 },
+  eligibility: { type: 'object' },
+  documents: { type: 'array', maxLength: 50 },
+};
+
+// CREATE scheme ✅
+app.post('/api/admin/schemes', requireAuth, requireRole(...STAFF), validate({ body: SCHEME_BODY }), async (req, res) => {
+  const { scheme, error } = schemes.parseSchemeInput(req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const created = await schemes.createScheme(pool, scheme);
+    await audit.recordAudit(pool, req, {
+      action: 'scheme.create', targetType: 'scheme', targetId: created.id, details: { slug: created.slug },
+    });
+    await refreshSchemeIndex();
+    res.status(201).json({ success: true, scheme: created });
+  } catch (err) {
+    if (err.code === '23505') return res.status(400).json({ error: 'A scheme with this slug already exists' });
+    console.error('Admin scheme create error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// UPDATE scheme ✅ only the fields sent are changed
+app.put('/api/admin/schemes/:id', requireAuth, requireRole(...STAFF), validate({
+  params: ADMIN_SCHEME_PARAM,
+  body: SCHEME_BODY,
+}), async (req, res) => {
+  const { scheme, error } = schemes.parseSchemeInput(req.body, { partial: true });
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const updated = await schemes.updateScheme(pool, Number(req.params.id), scheme);
+    if (!updated) return res.status(404).json({ error: 'Scheme not found' });
+    await audit.recordAudit(pool, req, {
+      action: 'scheme.update', targetType: 'scheme', targetId: updated.id, details: { fields: Object.keys(scheme) },
+    });
+    await refreshSchemeIndex();
+    res.json({ success: true, scheme: updated });
+  } catch (err) {
+    if (err.code === '23505') return res.status(400).json({ error: 'A scheme with this slug already exists' });
+    console.error('Admin scheme update error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE scheme ✅
+app.delete('/api/admin/schemes/:id', requireAuth, requireRole(...STAFF), validate({
+  params: ADMIN_SCHEME_PARAM,
+}), async (req, res) => {
+  try {
+    const deleted = await schemes.deleteScheme(pool, Number(req.params.id));
+    if (!deleted) return res.status(404).json({ error: 'Scheme not found' });
+    await audit.recordAudit(pool, req, {
+      action: 'scheme.delete', targetType: 'scheme', targetId: deleted.id,
+      details: { slug: deleted.slug, title_en: deleted.title_en },
+    });
+    await refreshSchemeIndex();
+    res.json({ success: true });
+  } catch (err) {
+    // scheme_applications.scheme_id is ON DELETE RESTRICT (restrict_violation 23001, or foreign_key_violation 23503)
+    if (err.code === '23001' || err.code === '23503') {
+      return res.status(409).json({
+        error: 'Citizens have applied for this scheme, so it cannot be deleted. Edit it instead.',
+      });
     }
+    console.error('Admin scheme delete error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    res.json({ reply: botReply });
+// FEEDBACK list ✅ ?q=&from=YYYY-MM-DD&to=YYYY-MM-DD&limit=&offset= ; &format=csv downloads all matches
+app.get('/api/admin/feedback', requireAuth, requireRole(...STAFF), validate({
+  query: {
+    q: { type: 'string', maxLength: 200 },
+    from: DATE_QUERY,
+    to: DATE_QUERY,
+    format: { type: 'string', oneOf: ['csv'] },
+    ...PAGE_QUERY,
+  },
+}), async (req, res) => {
+  const { q, from, to, format } = req.query;
+  const filters = { q: q ? q.trim() : '', from, to };
+
+  try {
+    if (format === 'csv') {
+      const { feedback: rows } = await feedback.listFeedback(pool, filters, { limit: 100000, offset: 0 });
+      await audit.recordAudit(pool, req, {
+        action: 'feedback.export', targetType: 'feedback', details: { ...filters, rows: rows.length },
+      });
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="feedback-${new Date().toISOString().slice(0, 10)}.csv"`);
+      return res.send('\uFEFF' + feedback.toCsv(rows)); // BOM so Excel reads Kannada correctly
+    }
+
+    const page = pageParams(req.query);
+    const result = await feedback.listFeedback(pool, filters, page);
+    res.json({ success: true, ...page, ...result });
   } catch (err) {
-    console.error('Chatbot server error:', err);
-    res.status(500).json({ reply: 'Failed to connect to chatbot model.' });
+    console.error('Admin feedback list error:', err);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Clear chatbot context
-app.post('/api/cb-clear', (req, res) => {
-  cbChatContext = [];
-  console.log('✅ Chatbot context cleared.');
-  res.json({ ok: true });
+// USERS list ✅ ?q= (username / name / email / phone) &role=
+const ROLE_FIELD = { type: 'string', oneOf: ROLES };
+
+app.get('/api/admin/users', requireAuth, requireRole('admin'), validate({
+  query: { q: { type: 'string', maxLength: 200 }, role: ROLE_FIELD, ...PAGE_QUERY },
+}), async (req, res) => {
+  const { q, role } = req.query;
+
+  const params = [];
+  const conditions = [];
+  if (q) {
+    params.push(`%${q.trim()}%`);
+    conditions.push(`(username ILIKE $1 OR name ILIKE $1 OR email ILIKE $1 OR phone ILIKE $1)`);
+  }
+  if (role) {
+    params.push(role);
+    conditions.push(`role = $${params.length}`);
+  }
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  const page = pageParams(req.query);
+
+  try {
+    const result = await pool.query(
+      `SELECT id, username, name, email, phone, role, disabled_at
+         FROM users ${where}
+        ORDER BY id
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, page.limit, page.offset]
+    );
+    res.json({ success: true, ...page, users: result.rows });
+  } catch (err) {
+    console.error('Admin users list error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// UPDATE user ✅ { role?, disabled? } — ends the user's sessions so the change applies at once
+app.patch('/api/admin/users/:id', requireAuth, requireRole('admin'), validate({
+  params: idParam('User not found'),
+  body: { role: ROLE_FIELD, disabled: { type: 'boolean' } },
+}), async (req, res) => {
+  const { role, disabled } = req.body;
+  const userId = Number(req.params.id);
+
+  if (role == null && disabled == null) return res.status(400).json({ error: 'Nothing to update' });
+  if (userId === req.user.userId && (disabled === true || (role && role !== 'admin')))
+    return res.status(400).json({ error: 'You cannot disable or demote your own account' });
+
+  try {
+    const before = await pool.query('SELECT role, disabled_at FROM users WHERE id=$1', [userId]);
+    if (before.rows.length === 0) return res.status(404).json({ error: 'User not found' });
+
+    const result = await pool.query(
+      `UPDATE users
+          SET role = COALESCE($2, role),
+              disabled_at = CASE WHEN $3::boolean IS NULL THEN disabled_at
+                                 WHEN $3 THEN COALESCE(disabled_at, NOW())
+                                 ELSE NULL END
+        WHERE id = $1
+        RETURNING id, username, name, email, phone, role, disabled_at`,
+      [userId, role ?? null, disabled ?? null]
+    );
+    const user = result.rows[0];
+
+    const changes = {};
+    if (user.role !== before.rows[0].role) changes.role = { from: before.rows[0].role, to: user.role };
+    if (!!user.disabled_at !== !!before.rows[0].disabled_at) changes.disabled = !!user.disabled_at;
+
+    if (Object.keys(changes).length) {
+      await sessions.revokeUserSessions(pool, userId);
+      const action = changes.disabled === true ? 'user.disable' :
+        changes.disabled === false ? 'user.enable' : 'user.role';
+      await audit.recordAudit(pool, req, { action, targetType: 'user', targetId: userId, details: changes });
+    }
+    res.json({ success: true, user });
+  } catch (err) {
+    console.error('Admin user update error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// AUDIT log ✅ ?action=scheme (prefix) &actor_id=&limit=&offset=
+app.get('/api/admin/audit', requireAuth, requireRole('admin'), validate({
+  query: { action: { type: 'string', maxLength: 100 }, actor_id: { type: 'integer', min: 1 }, ...PAGE_QUERY },
+}), async (req, res) => {
+  const page = pageParams(req.query, 100);
+  try {
+    const entries = await audit.listAudit(pool, {
+      action: req.query.action || undefined,
+      actorId: req.query.actor_id ? Number(req.query.actor_id) : undefined,
+      ...page,
+    });
+    res.json({ success: true, ...page, entries });
+  } catch (err) {
+    console.error('Admin audit list error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// LANGUAGE metrics ✅ how often voice replies came back in the wrong script (since start)
+app.get('/api/admin/metrics/language', requireAuth, requireRole(...STAFF), (req, res) => {
+  res.json({ success: true, ...purity.getMetrics() });
 });
 
 // -------------------- DEFAULT FRONTEND ROUTE --------------------
@@ -379,10 +1759,27 @@ app.get('/', (req, res) => {
 });
 
 
+// -------------------- ERRORS --------------------
+// Bodies express.json() could not read, and anything a route let through
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') return res.status(400).json({ error: 'Request body is not valid JSON' });
+  if (err.type === 'entity.too.large') return res.status(413).json({ error: 'Request body is too large' });
+  console.error('Unhandled error:', err);
+  res.status(500).json({ error: 'Internal server error' });
+});
+
 // -------------------- SERVER START --------------------
 const PORT = process.env.PORT || 4000;
-app.listen(PORT, () => {
-  console.log(`🚀 Server running on http://localhost:${PORT}`);
-});
+dbReady
+  .then(loadSchemeIndex)
+  .then(() => {
+    app.listen(PORT, () => {
+      console.log(`🚀 Server running on http://localhost:${PORT}`);
+    });
+  })
+  .catch(err => {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  });
 
 
@@ -0,0 +1,116 @@
+// sessions.js - Login sessions behind the short-lived access tokens
+// /api/login hands out an access token (JWT, ACCESS_TOKEN_TTL, default 15m) and a
+// refresh token (random, REFRESH_TOKEN_DAYS, default 30). Only a SHA-256 of the
+// refresh token is stored. Every refresh rotates it; presenting an already
+// rotated token ends the session, since it means the token was copied.
+
+const crypto = require('crypto');
+
+function intEnv(name, fallback) {
+  const n = parseInt(process.env[name], 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+const REFRESH_TOKEN_DAYS = intEnv('REFRESH_TOKEN_DAYS', 30);
+
+// -------------------- HELPERS --------------------
+function newRefreshToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// -------------------- SESSIONS --------------------
+/**
+ * Start a session for a user who just logged in or registered.
+ * @returns {Promise<{ sessionId: string, refreshToken: string, expiresAt: Date }>}
+ */
+async function createSession(pool, userId, { ip = null, userAgent = null } = {}) {
+  const sessionId = crypto.randomUUID();
+  const refreshToken = newRefreshToken();
+  const expiresAt = refreshExpiry();
+  await pool.query(
+    `INSERT INTO user_sessions (id, user_id, refresh_hash, ip, user_agent, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [sessionId, userId, hashToken(refreshToken), ip, userAgent ? String(userAgent).slice(0, 255) : null, expiresAt]
+  );
+  return { sessionId, refreshToken, expiresAt };
+}
+
+/**
+ * Swap a refresh token for a new one.
+ * @returns {Promise<{ sessionId: string, userId: number, refreshToken: string, expiresAt: Date } | null>}
+ *   null when the token is unknown, expired, revoked or was already used
+ */
+async function rotateSession(pool, refreshToken) {
+  const hash = hashToken(refreshToken);
+  const next = newRefreshToken();
+  const expiresAt = refreshExpiry();
+
+  const result = await pool.query(
+    `UPDATE user_sessions
+        SET previous_hash = refresh_hash, refresh_hash = $2, expires_at = $3, last_used_at = NOW()
+      WHERE refresh_hash = $1 AND revoked_at IS NULL AND expires_at > NOW()
+      RETURNING id, user_id`,
+    [hash, hashToken(next), expiresAt]
+  );
+  if (result.rows[0]) {
+    return { sessionId: result.rows[0].id, userId: result.rows[0].user_id, refreshToken: next, expiresAt };
+  }
+
+  // An old, already rotated token: someone else has the current one
+  const reused = await pool.query(
+    `UPDATE user_sessions SET revoked_at = NOW()
+      WHERE previous_hash = $1 AND revoked_at IS NULL
+      RETURNING id`,
+    [hash]
+  );
+  if (reused.rows[0]) console.warn(`⚠️ Refresh token reuse — session ${reused.rows[0].id} revoked`);
+  return null;
+}
+
+async function isSessionActive(pool, sessionId) {
+  const result = await pool.query(
+    'SELECT 1 FROM user_sessions WHERE id = $1 AND revoked_at IS NULL AND expires_at > NOW()',
+    [sessionId]
+  );
+  return result.rows.length > 0;
+}
+
+async function revokeSession(pool, sessionId) {
+  await pool.query(
+    'UPDATE user_sessions SET revoked_at = NOW() WHERE id = $1 AND revoked_at IS NULL',
+    [sessionId]
+  );
+}
+
+async function revokeByRefreshToken(pool, refreshToken) {
+  await pool.query(
+    'UPDATE user_sessions SET revoked_at = NOW() WHERE refresh_hash = $1 AND revoked_at IS NULL',
+    [hashToken(refreshToken)]
+  );
+}
+
+// After a password change/reset; keepSessionId lets the current device stay logged in
+async function revokeUserSessions(pool, userId, { keepSessionId = null } = {}) {
+  await pool.query(
+    `UPDATE user_sessions SET revoked_at = NOW()
+      WHERE user_id = $1 AND revoked_at IS NULL AND ($2::text IS NULL OR id <> $2)`,
+    [userId, keepSessionId]
+  );
+}
+
+module.exports = {
+  createSession,
+  rotateSession,
+  isSessionActive,
+  revokeSession,
+  revokeByRefreshToken,
+  revokeUserSessions,
+};
@@ -0,0 +1,57 @@
+// set-role.js - Give a user a role from the command line
+//
+//   node set-role.js <username|email|phone> admin    -> first admin of a fresh install
+//   node set-role.js <username|email|phone> officer  -> panchayat officer
+//   node set-role.js <username|email|phone> citizen  -> back to a normal account
+//
+// After that, admins change roles in admin.html. The user's sessions are ended so
+// the new role applies at their next login.
+
+require('dotenv').config();
+const { Pool } = require('pg');
+const { ROLES } = require('./auth');
+const { revokeUserSessions } = require('./sessions');
+const { requireCurrentSchema } = require('./migrate');
+
+async function main() {
+  const [identifier, role] = process.argv.slice(2);
+  if (!identifier || !ROLES.includes(role)) {
+    console.error(`Usage: node set-role.js <username|email|phone> <${ROLES.join('|')}>`);
+    process.exit(1);
+  }
+
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false },
+  });
+  try {
+    await requireCurrentSchema(pool);
+    const result = await pool.query(
+      `UPDATE users SET role = $2
+        WHERE username = $1 OR LOWER(email) = LOWER($1) OR phone = $1
+        RETURNING id, username`,
+      [identifier, role]
+    );
+    if (result.rows.length === 0) {
+      console.error(`❌ No user matches "${identifier}"`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const user = result.rows[0];
+    await revokeUserSessions(pool, user.id);
+    await pool.query(
+      `INSERT INTO audit_log (action, target_type, target_id, details)
+       VALUES ('user.role', 'user', $1, $2)`,
+      [String(user.id), JSON.stringify({ to: role, via: 'cli' })]
+    );
+    console.log(`✅ ${user.username} is now ${role}`);
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch(err => {
+  console.error('❌ Set role error:', err);
+  process.exit(1);
+});
@@ -0,0 +1,198 @@
+// speech.js - Speech to text and text to speech on the server (va.js fallback)
+// Browsers without the Web Speech API (Firefox, many low-end Android browsers)
+// record the mic with MediaRecorder and send it to /api/voice/transcribe; when a
+// browser has no voice for the language, va.js plays /api/voice/speak instead.
+//
+// Picked by SPEECH_ENGINE (default "none": both endpoints answer 503 and va.js
+// keeps to what the browser can do). An engine implements:
+//   { name, canTranscribe, canSpeak,
+//     transcribe({ audio, mimeType, language }) -> text,
+//     speak({ text, language }) -> { audio: Buffer, mimeType } }
+// language is a locales.js code ("kn"), which whisper, Vosk model names and
+// espeak-ng voices also use.
+//
+//   local   programs on this machine, no network (see localEngine below)
+//   openai  OpenAI transcription and speech (OPENAI_API_KEY; SPEECH_OPENAI_STT_MODEL,
+//           SPEECH_OPENAI_TTS_MODEL, SPEECH_OPENAI_VOICE)
+//
+// Tuning: SPEECH_TIMEOUT_MS (30000)
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const OpenAI = require('openai');
+
+// What MediaRecorder produces (Chrome/Android: webm, Firefox: ogg, Safari: mp4), plus plain files
+const AUDIO_TYPES = {
+  'audio/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/mp4': 'm4a',
+  'audio/mpeg': 'mp3',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+};
+
+// "audio/webm;codecs=opus" -> "audio/webm"
+function baseType(mimeType) {
+  return String(mimeType || '').split(';')[0].trim().toLowerCase();
+}
+
+function isAudioType(mimeType) {
+  return !!AUDIO_TYPES[baseType(mimeType)];
+}
+
+function intEnv(name, fallback) {
+  const n = parseInt(process.env[name], 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+// -------------------- LOCAL PROGRAMS --------------------
+// 'whisper-cli -m "/opt/models/ggml small.bin" -f {input}' -> ['whisper-cli', '-m', '/opt/models/ggml small.bin', '-f', '{input}']
+function splitCommand(command) {
+  return (String(command).match(/"[^"]*"|\S+/g) || []).map(arg => arg.replace(/^"(.*)"$/, '$1'));
+}
+
+function fillArgs(args, values) {
+  return args.map(arg => arg.replace(/\{(\w+)\}/g, (whole, name) => (name in values ? values[name] : whole)));
+}
+
+// Runs a program without a shell; resolves with its stdout, rejects on a non-zero exit or timeout
+function run(command, args, { input = null, timeout }) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+    const out = [];
+    let err = '';
+    const timer = setTimeout(() => child.kill('SIGKILL'), timeout);
+    child.stdout.on('data', chunk => out.push(chunk));
+    child.stderr.on('data', chunk => { err = (err + chunk).slice(-500); });
+    child.on('error', error => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      if (code === 0) return resolve(Buffer.concat(out));
+      reject(new Error(`${path.basename(command)} ${signal ? `timed out (${signal})` : `exited with ${code}`}: ${err.trim()}`));
+    });
+    child.stdin.on('error', () => {}); // programs that never read stdin
+    child.stdin.end(input);
+  });
+}
+
+async function withTempDir(work) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'gs-speech-'));
+  try {
+    return await work(dir);
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Programs configured by command lines, run without a shell:
+ *   SPEECH_STT_COMMAND  prints the transcript of {input} (a 16 kHz mono WAV) on stdout, e.g.
+ *                       whisper-cli -m /opt/whisper/ggml-small.bin -l {language} -nt -np -f {input}
+ *   SPEECH_TTS_COMMAND  writes a WAV of the text on stdin to {output}, or to stdout, e.g.
+ *                       espeak-ng -v {language} -w {output} --stdin
+ *                       The text is the user's, so it never goes on the command line, where a
+ *                       leading "-" would make it an option; a command with {text} is refused.
+ *   SPEECH_FFMPEG       converts recordings to WAV first (default "ffmpeg"; "off" passes them as recorded)
+ */
+function localEngine({ sttCommand, ttsCommand, ffmpeg, timeout }) {
+  const stt = sttCommand ? splitCommand(sttCommand) : null;
+  const tts = ttsCommand ? splitCommand(ttsCommand) : null;
+  if (tts && tts.some(arg => arg.includes('{text}'))) {
+    throw new Error('SPEECH_TTS_COMMAND must read the text from stdin, not take {text} as an argument');
+  }
+
+  return {
+    name: 'local',
+    canTranscribe: !!stt,
+    canSpeak: !!tts,
+    async transcribe({ audio, mimeType, language }) {
+      return withTempDir(async dir => {
+        const recorded = path.join(dir, `speech.${AUDIO_TYPES[baseType(mimeType)] || 'webm'}`);
+        await fs.promises.writeFile(recorded, audio);
+        let input = recorded;
+        if (ffmpeg) {
+          input = path.join(dir, 'speech-16k.wav');
+          await run(ffmpeg, ['-nostdin', '-loglevel', 'error', '-i', recorded, '-ar', '16000', '-ac', '1', input], { timeout });
+        }
+        const stdout = await run(stt[0], fillArgs(stt.slice(1), { input, language }), { timeout });
+        return stdout.toString('utf8').replace(/\s+/g, ' ').trim();
+      });
+    },
+    async speak({ text, language }) {
+      return withTempDir(async dir => {
+        const output = path.join(dir, 'reply.wav');
+        const stdout = await run(tts[0], fillArgs(tts.slice(1), { language, output }), { input: text, timeout });
+        const toFile = tts.some(arg => arg.includes('{output}'));
+        return { audio: toFile ? await fs.promises.readFile(output) : stdout, mimeType: 'audio/wav' };
+      });
+    },
+  };
+}
+
+// -------------------- OPENAI --------------------
+function openaiEngine({ apiKey, sttModel, ttsModel, voice, timeout }) {
+  const client = apiKey ? new OpenAI({ apiKey, maxRetries: 1 }) : null;
+  return {
+    name: 'openai',
+    canTranscribe: !!client,
+    canSpeak: !!client,
+    async transcribe({ audio, mimeType, language }) {
+      const type = baseType(mimeType);
+      const file = await OpenAI.toFile(audio, `speech.${AUDIO_TYPES[type] || 'webm'}`, { type });
+      const result = await client.audio.transcriptions.create({ file, model: sttModel, language }, { timeout });
+      return String(result.text || '').trim();
+    },
+    async speak({ text }) {
+      const response = await client.audio.speech.create(
+        { model: ttsModel, voice, input: text, response_format: 'mp3' },
+        { timeout }
+      );
+      return { audio: Buffer.from(await response.arrayBuffer()), mimeType: 'audio/mpeg' };
+    },
+  };
+}
+
+// -------------------- SELECTION --------------------
+const noEngine = { name: 'none', canTranscribe: false, canSpeak: false };
+
+let engine = null;
+
+function getEngine() {
+  if (engine) return engine;
+  const name = process.env.SPEECH_ENGINE || 'none';
+  const timeout = intEnv('SPEECH_TIMEOUT_MS', 30000);
+  if (name === 'none') engine = noEngine;
+  else if (name === 'local') {
+    const ffmpeg = process.env.SPEECH_FFMPEG || 'ffmpeg';
+    engine = localEngine({
+      sttCommand: process.env.SPEECH_STT_COMMAND,
+      ttsCommand: process.env.SPEECH_TTS_COMMAND,
+      ffmpeg: ffmpeg === 'off' ? null : ffmpeg,
+      timeout,
+    });
+  } else if (name === 'openai') {
+    engine = openaiEngine({
+      apiKey: process.env.OPENAI_API_KEY,
+      sttModel: process.env.SPEECH_OPENAI_STT_MODEL || 'whisper-1',
+      ttsModel: process.env.SPEECH_OPENAI_TTS_MODEL || 'gpt-4o-mini-tts',
+      voice: process.env.SPEECH_OPENAI_VOICE || 'nova',
+      timeout,
+    });
+  } else throw new Error(`Unknown speech engine "${name}"`);
+  return engine;
+}
+
+// Startup line, like llm.describe()
+function describe() {
+  const e = getEngine();
+  if (e === noEngine) return '🔇 Server speech off (SPEECH_ENGINE) — va.js uses the browser only';
+  const parts = [e.canTranscribe && 'listening', e.canSpeak && 'speaking'].filter(Boolean);
+  return `🔊 Server speech: ${e.name} (${parts.join(' + ') || 'nothing configured'})`;
+}
+
+module.exports = { AUDIO_TYPES, isAudioType, baseType, getEngine, describe, localEngine, openaiEngine };
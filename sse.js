@@ -0,0 +1,48 @@
+// sse.js - Server-Sent Events over a normal POST response
+// The chat endpoints switch to this when the body has "stream": true:
+//   event: start  data: { ...ids the client needs even if it cancels }   (optional)
+//   event: token  data: {"text":"..."}      (repeated)
+//   event: done   data: { ...same JSON as the non-streaming reply }
+//   event: error  data: {"reply":"..."}
+// The browser reads it with fetch() + a stream reader (EventSource cannot POST).
+
+const HEARTBEAT_MS = 15000;
+
+/**
+ * Start an event stream on `res`.
+ * `signal` aborts when the client goes away (mic tapped again, box closed, tab closed).
+ */
+function openEventStream(res) {
+  const controller = new AbortController();
+
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // don't let proxies (Render/nginx) buffer the tokens
+  });
+  res.flushHeaders();
+
+  // Keeps mobile networks and proxies from closing a quiet connection
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    if (!res.writableEnded) controller.abort();
+  });
+
+  return {
+    signal: controller.signal,
+    send(event, data) {
+      if (res.writableEnded || controller.signal.aborted) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      clearInterval(heartbeat);
+      if (!res.writableEnded) res.end();
+    },
+  };
+}
+
+module.exports = { openEventStream };
@@ -0,0 +1,53 @@
+// storage.js - Where uploaded files are kept (document vault, see documents.js)
+//
+// Picked by DOCUMENT_STORAGE (default "local"). A store implements:
+//   { name, save(key, buffer), open(key) -> readable stream, remove(key) }
+// Keys are generated by the server ("<userId>/<uuid>"), never taken from the
+// uploaded file name. Another backend (S3, GCS, ...) only has to provide these
+// three methods.
+//
+//   local  files on disk under DOCUMENT_STORAGE_DIR (default ./uploads)
+
+const fs = require('fs');
+const path = require('path');
+
+// -------------------- LOCAL DISK --------------------
+function localDiskStore(rootDir) {
+  const root = path.resolve(rootDir);
+
+  // Refuse anything that would leave the storage folder
+  function filePath(key) {
+    const full = path.resolve(root, key);
+    if (!full.startsWith(root + path.sep)) throw new Error(`Invalid storage key "${key}"`);
+    return full;
+  }
+
+  return {
+    name: 'local',
+    async save(key, buffer) {
+      const full = filePath(key);
+      await fs.promises.mkdir(path.dirname(full), { recursive: true, mode: 0o700 });
+      // wx: never overwrite an existing file
+      await fs.promises.writeFile(full, buffer, { flag: 'wx', mode: 0o600 });
+    },
+    open(key) {
+      return fs.createReadStream(filePath(key));
+    },
+    async remove(key) {
+      await fs.promises.rm(filePath(key), { force: true });
+    },
+  };
+}
+
+// -------------------- SELECTION --------------------
+let store = null;
+
+function getStore() {
+  if (store) return store;
+  const name = process.env.DOCUMENT_STORAGE || 'local';
+  if (name !== 'local') throw new Error(`Unknown document storage "${name}"`);
+  store = localDiskStore(process.env.DOCUMENT_STORAGE_DIR || path.join(__dirname, 'uploads'));
+  return store;
+}
+
+module.exports = { getStore, localDiskStore };
@@ -0,0 +1,99 @@
+// sw.js - Service worker: home.html and learning.html from cache when offline
+// Registered by offline.js. Pages and scripts are served from the cache and
+// refreshed in the background (a new version shows on the next visit); the
+// public scheme endpoints are fetched from the network first and fall back to
+// the last copy. Anything sent with a login (Authorization header) and every
+// non-GET request goes straight to the network; offline edits are queued by
+// offline.js instead. Bump CACHE_VERSION when SHELL changes.
+
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `gramasetu-shell-${CACHE_VERSION}`;
+const DATA_CACHE = `gramasetu-data-${CACHE_VERSION}`;
+
+const SHELL = [
+  'home.html',
+  'learning.html',
+  'locales.js',
+  'va.js',
+  'auth-client.js',
+  'offline.js',
+  'manifest.webmanifest',
+  'Gramasetu.png',
+];
+
+// Public reads kept for offline use: the scheme list and details, document names,
+// the courses on learning.html
+// (the catalogue itself is kept in IndexedDB by offline.js)
+const DATA_PATHS = [
+  /^\/api\/schemes$/,
+  /^\/api\/schemes\/(?!search$|catalogue$)[\w-]+$/,
+  /^\/api\/documents\/types$/,
+  /^\/api\/learning\/courses$/,
+];
+
+// Video thumbnails on learning.html (opaque responses, cached once seen)
+const THUMBNAIL_HOSTS = ['img.youtube.com', 'i.ytimg.com'];
+
+// -------------------- LIFECYCLE --------------------
+self.addEventListener('install', event => {
+  event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+  const keep = [SHELL_CACHE, DATA_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names.filter(n => n.startsWith('gramasetu-') && !keep.includes(n)).map(n => caches.delete(n))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// -------------------- STRATEGIES --------------------
+// Cached copy at once, fresh copy stored for next time
+async function staleWhileRevalidate(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request, { ignoreSearch: true });
+  const network = fetch(request)
+    .then(res => {
+      if (res.ok || res.type === 'opaque') cache.put(request, res.clone());
+      return res;
+    })
+    .catch(() => null);
+  return cached || (await network) || offlineResponse(request);
+}
+
+async function networkFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  try {
+    const res = await fetch(request);
+    if (res.ok) cache.put(request, res.clone());
+    return res;
+  } catch (err) {
+    return (await cache.match(request)) || offlineResponse(request);
+  }
+}
+
+function offlineResponse(request) {
+  if (request.mode === 'navigate') return caches.match('home.html');
+  return new Response(JSON.stringify({ error: 'Offline' }), {
+    status: 503,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+// -------------------- ROUTING --------------------
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET' || request.headers.has('Authorization')) return;
+  const url = new URL(request.url);
+
+  if (url.origin !== self.location.origin) {
+    if (THUMBNAIL_HOSTS.includes(url.hostname)) event.respondWith(staleWhileRevalidate(request, DATA_CACHE));
+    return;
+  }
+  if (url.pathname.startsWith('/api/')) {
+    if (DATA_PATHS.some(re => re.test(url.pathname))) event.respondWith(networkFirst(request, DATA_CACHE));
+    return;
+  }
+  event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+});
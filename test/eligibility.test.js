@@ -0,0 +1,117 @@
+// eligibility.test.js - Boundary cases of the rules engine (eligibility.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseProfile, checkRules, evaluateRules, matchSchemes } = require('../eligibility');
+
+const profile = body => {
+  const { profile: p, error } = parseProfile(body);
+  assert.equal(error, undefined);
+  return p;
+};
+
+const statusOf = (rules, body) => evaluateRules(rules, profile(body)).status;
+
+// -------------------- LIMITS --------------------
+test('age limits are inclusive', () => {
+  const rules = { minAge: 18, maxAge: 40 };
+  assert.equal(statusOf(rules, { age: 18 }), 'eligible');
+  assert.equal(statusOf(rules, { age: 40 }), 'eligible');
+  assert.equal(statusOf(rules, { age: 17 }), 'ineligible');
+  assert.equal(statusOf(rules, { age: 41 }), 'ineligible');
+});
+
+test('income exactly at the cap is accepted, one rupee over is not', () => {
+  const rules = { maxIncome: 250000 };
+  assert.equal(statusOf(rules, { income: 250000 }), 'eligible');
+  assert.equal(statusOf(rules, { income: '250000' }), 'eligible');
+  assert.equal(statusOf(rules, { income: 250001 }), 'ineligible');
+  assert.equal(statusOf(rules, { income: 0 }), 'eligible');
+});
+
+test('land holding limits are inclusive', () => {
+  const rules = { minLandAcres: 0, maxLandAcres: 5 };
+  assert.equal(statusOf(rules, { land_acres: 0 }), 'eligible');
+  assert.equal(statusOf(rules, { land_acres: 5 }), 'eligible');
+  assert.equal(statusOf(rules, { land_acres: 5.5 }), 'ineligible');
+});
+
+// -------------------- MISSING FIELDS --------------------
+test('missing profile fields make a scheme "maybe" and are listed', () => {
+  const result = evaluateRules({ minAge: 18, maxIncome: 250000, bpl: true }, profile({ age: 30 }));
+  assert.equal(result.status, 'maybe');
+  assert.deepEqual(result.reasons.map(r => r.criterion), ['minAge']);
+  assert.deepEqual(result.missing.map(m => m.field).sort(), ['bpl', 'income']);
+});
+
+test('a failed criterion outweighs missing ones', () => {
+  assert.equal(statusOf({ maxAge: 40, maxIncome: 250000 }, { age: 41 }), 'ineligible');
+});
+
+test('an empty profile matches nothing for sure', () => {
+  assert.equal(statusOf({ gender: ['female'] }, {}), 'maybe');
+  assert.equal(statusOf({}, {}), 'eligible');
+});
+
+// -------------------- MATCHING --------------------
+test('categories and districts are matched case-insensitively', () => {
+  const rules = { casteCategories: ['SC', 'ST'], districts: ['Mandya'] };
+  assert.equal(statusOf(rules, { caste_category: 'sc', district: 'mandya' }), 'eligible');
+  assert.equal(statusOf(rules, { caste_category: 'OBC', district: 'Mandya' }), 'ineligible');
+});
+
+test('anyOf needs one option to hold', () => {
+  const rules = { anyOf: [{ bpl: true }, { maxIncome: 100000 }] };
+  assert.equal(statusOf(rules, { bpl: 'no', income: 100000 }), 'eligible');
+  assert.equal(statusOf(rules, { bpl: 'no', income: 100001 }), 'ineligible');
+  assert.equal(statusOf(rules, { bpl: 'no' }), 'maybe');
+});
+
+test('matchSchemes drops ineligible schemes and lists confirmed matches first', () => {
+  const schemes = [
+    { id: 1, title_en: 'Maybe', eligibility: { minAge: 18, bpl: true } },
+    { id: 2, title_en: 'No', eligibility: { maxAge: 30 } },
+    { id: 3, title_en: 'Yes', eligibility: { minAge: 18 } },
+    { id: 4, title_en: 'General', eligibility: {} },
+  ];
+  const results = matchSchemes(schemes, profile({ age: 35 }));
+  assert.deepEqual(results.map(r => [r.scheme.id, r.status]), [[3, 'eligible'], [1, 'maybe']]);
+  assert.equal(matchSchemes(schemes, profile({ age: 35 }), { includeGeneral: true }).length, 3);
+});
+
+// -------------------- RULES --------------------
+test('checkRules accepts the rules the engine understands', () => {
+  assert.equal(checkRules({}), null);
+  assert.equal(checkRules({
+    gender: ['Female'], minAge: 18, maxAge: 40, bpl: true, maxIncome: 250000,
+    casteCategories: ['sc', 'ST'], occupations: ['farmer'], minLandAcres: 0, maxLandAcres: 5,
+    districts: ['Mandya'], anyOf: [{ bpl: true }, { maxIncome: 100000 }],
+  }), null);
+});
+
+test('checkRules rejects rules that would break the engine', () => {
+  assert.match(checkRules({ gender: 'female' }), /eligibility\.gender must be a list/);
+  assert.match(checkRules({ gender: ['woman'] }), /gender/);
+  assert.match(checkRules({ casteCategories: 'SC' }), /casteCategories/);
+  assert.match(checkRules({ occupations: [] }), /occupations/);
+  assert.match(checkRules({ districts: [3] }), /districts/);
+  assert.match(checkRules({ maxIncome: '250000' }), /maxIncome/);
+  assert.match(checkRules({ minAge: -1 }), /minAge/);
+  assert.match(checkRules({ bpl: 'yes' }), /bpl/);
+  assert.match(checkRules({ minAge: 41, maxAge: 40 }), /minAge cannot be above maxAge/);
+  assert.match(checkRules({ minLandAcres: 6, maxLandAcres: 5 }), /minLandAcres cannot be above/);
+  assert.match(checkRules({ income: 5 }), /eligibility\.income is not a known rule/);
+  assert.match(checkRules({ anyOf: [] }), /anyOf/);
+  assert.match(checkRules({ anyOf: [{ bpl: true }, { gender: 'male' }] }), /eligibility\.anyOf\[1\]\.gender/);
+  assert.match(checkRules([]), /object of rules/);
+});
+
+// -------------------- PROFILE --------------------
+test('parseProfile rejects values out of range', () => {
+  assert.match(parseProfile({ age: -1 }).error, /Age/);
+  assert.match(parseProfile({ age: 131 }).error, /Age/);
+  assert.match(parseProfile({ income: 'lots' }).error, /Income/);
+  assert.match(parseProfile({ bpl: 'maybe' }).error, /BPL/);
+  assert.match(parseProfile({ gender: 'x' }).error, /Gender/);
+  assert.equal(parseProfile({ age: 0, income: 0 }).error, undefined);
+});
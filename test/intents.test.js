@@ -0,0 +1,122 @@
+// intents.test.js - What the voice command rules (intents.js) make of spoken sentences
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const intents = require('../intents');
+const catalogue = require('../data/schemes.json');
+
+// [sentence, intent, slots]
+const ENGLISH = [
+  ['Open Gruha Jyothi', 'open_scheme', { scheme: 'gruha jyothi' }],
+  ['Please show me the Anna Bhagya scheme page', 'open_scheme', { scheme: 'anna bhagya scheme' }],
+  ['Search for schemes for farmers', 'search_schemes', { query: 'farmers' }],
+  ['Show me pension schemes', 'search_schemes', { query: 'pension' }],
+  ['Read out Yuva Nidhi', 'read_scheme', { scheme: 'yuva nidhi' }],
+  ['Read the description of Gruha Lakshmi aloud', 'read_scheme', { scheme: 'gruha lakshmi' }],
+  ['I want to give feedback', 'open_feedback', {}],
+  ['Open the feedback form', 'open_feedback', {}],
+  ['Manage my account', 'open_account', {}],
+  ['Open my profile', 'open_account', {}],
+  ['Show my learning space', 'open_learning', {}],
+  ['Go to my courses', 'open_learning', {}],
+  ['Switch to Kannada', 'switch_language', { language: 'kn' }],
+  ['Speak in Hindi', 'switch_language', { language: 'hi' }],
+  ['Change the language to Tamil', 'switch_language', { language: 'ta' }],
+];
+
+const KANNADA = [
+  ['ಗೃಹ ಜ್ಯೋತಿ ಯೋಜನೆ ತೆರೆಯಿರಿ', 'open_scheme', { scheme: 'ಗೃಹ ಜ್ಯೋತಿ ಯೋಜನೆ' }],
+  ['ಅನ್ನ ಭಾಗ್ಯ ಯೋಜನೆಯನ್ನು ತೋರಿಸಿ', 'open_scheme', { scheme: 'ಅನ್ನ ಭಾಗ್ಯ ಯೋಜನೆ' }],
+  ['ರೈತರ ಯೋಜನೆಗಳನ್ನು ತೋರಿಸಿ', 'search_schemes', { query: 'ರೈತರ' }],
+  ['ವಿದ್ಯಾರ್ಥಿವೇತನ ಹುಡುಕಿ', 'search_schemes', { query: 'ವಿದ್ಯಾರ್ಥಿವೇತನ' }],
+  ['ಯುವ ನಿಧಿ ಬಗ್ಗೆ ಓದಿ', 'read_scheme', { scheme: 'ಯುವ ನಿಧಿ' }],
+  ['ಶಕ್ತಿ ಯೋಜನೆಯನ್ನು ಓದಿ ಹೇಳಿ', 'read_scheme', { scheme: 'ಶಕ್ತಿ ಯೋಜನೆ' }],
+  ['ನಾನು ಅಭಿಪ್ರಾಯ ನೀಡಬೇಕು', 'open_feedback', {}],
+  ['ಫೀಡ್‌ಬ್ಯಾಕ್ ಫಾರ್ಮ್ ತೆರೆಯಿರಿ', 'open_feedback', {}],
+  ['ನನ್ನ ಖಾತೆ ತೆರೆಯಿರಿ', 'open_account', {}],
+  ['ಪ್ರೊಫೈಲ್ ತೋರಿಸಿ', 'open_account', {}],
+  ['ನನ್ನ ಕಲಿಕಾ ಸ್ಥಳ ತೋರಿಸಿ', 'open_learning', {}],
+  ['ಲರ್ನಿಂಗ್ ಸ್ಪೇಸ್ ತೆರೆಯಿರಿ', 'open_learning', {}],
+  ['ಇಂಗ್ಲಿಷ್‌ಗೆ ಬದಲಿಸಿ', 'switch_language', { language: 'en' }],
+  ['ಭಾಷೆಯನ್ನು ತೆಲುಗಿಗೆ ಬದಲಾಯಿಸಿ', 'switch_language', { language: 'te' }],
+  ['ಕನ್ನಡದಲ್ಲಿ ಮಾತನಾಡಿ', 'switch_language', { language: 'kn' }],
+];
+
+// Questions, talk and sentences too long for a command
+const NOT_COMMANDS = [
+  'How do I apply for Gruha Jyothi?',
+  'What documents do I need for Anna Bhagya',
+  'Which schemes should I show my father',
+  'Hello, good morning',
+  'I opened my account at the bank yesterday and now I want to know about loans for farmers',
+  'ಜನಧನ್ ಖಾತೆ ತೆರೆಯುವುದು ಹೇಗೆ?',
+  'ಗೃಹ ಲಕ್ಷ್ಮಿ ಯೋಜನೆಗೆ ಯಾರು ಅರ್ಜಿ ಹಾಕಬಹುದು',
+  'ನಮಸ್ಕಾರ, ಹೇಗಿದ್ದೀರಾ',
+  'ಯಾವ ಯೋಜನೆ ತೋರಿಸಿ',
+  '',
+];
+
+function assertReads(text, intent, slots) {
+  assert.deepEqual(intents.matchRules(text), { intent, slots }, text);
+}
+
+// -------------------- RULES --------------------
+test('English commands', () => {
+  for (const [text, intent, slots] of ENGLISH) assertReads(text, intent, slots);
+});
+
+test('Kannada commands', () => {
+  for (const [text, intent, slots] of KANNADA) assertReads(text, intent, slots);
+});
+
+test('questions and talk are not commands', () => {
+  for (const text of NOT_COMMANDS) assert.equal(intents.matchRules(text), null, text);
+});
+
+test('an unknown language is not a language switch', () => {
+  assert.equal(intents.matchRules('Switch to Klingon'), null);
+});
+
+test('the examples shown to the model are what the rules make of them', () => {
+  for (const example of intents.EXAMPLES) {
+    const expected = example.intent ? { intent: example.intent, slots: example.slots } : null;
+    assert.deepEqual(intents.matchRules(example.text), expected, example.text);
+  }
+});
+
+// -------------------- MODEL --------------------
+test('looksLikeCommand lets only short sentences with a command verb reach the model', () => {
+  assert.equal(intents.looksLikeCommand('take me to the homepage'), true);
+  assert.equal(intents.looksLikeCommand('ಮುಖಪುಟಕ್ಕೆ ಹೋಗಿ'), true);
+  assert.equal(intents.looksLikeCommand('how do I open an account'), false);
+  assert.equal(intents.looksLikeCommand('rice for poor families'), false);
+});
+
+test('parseModelReply keeps only known intents with all their slots', () => {
+  assert.deepEqual(intents.parseModelReply('Sure: {"intent": "open_scheme", "scheme": "the Gruha Jyothi page"}'),
+    { intent: 'open_scheme', slots: { scheme: 'gruha jyothi' } });
+  assert.deepEqual(intents.parseModelReply('{"intent": "switch_language", "language": "Telugu"}'),
+    { intent: 'switch_language', slots: { language: 'te' } });
+  assert.deepEqual(intents.parseModelReply('{"intent": "open_learning"}'), { intent: 'open_learning', slots: {} });
+  assert.equal(intents.parseModelReply('{"intent": "none"}'), null);
+  assert.equal(intents.parseModelReply('{"intent": "open_scheme"}'), null);
+  assert.equal(intents.parseModelReply('{"intent": "delete_account"}'), null);
+  assert.equal(intents.parseModelReply('not json {'), null);
+});
+
+// -------------------- SCHEMES --------------------
+test('resolve looks the scheme up in the catalogue, in either language', () => {
+  const english = intents.resolve(intents.matchRules('Open Gruha Jyothi'), catalogue);
+  assert.equal(english.intent, 'open_scheme');
+  assert.match(english.slots.scheme.title_en, /Gruha Jyothi/);
+
+  const kannada = intents.resolve(intents.matchRules('ಗೃಹ ಜ್ಯೋತಿ ಯೋಜನೆ ತೆರೆಯಿರಿ'), catalogue);
+  assert.equal(kannada.slots.scheme.id, english.slots.scheme.id);
+});
+
+test('resolve leaves searches and pages alone and drops names that fit nothing', () => {
+  const search = intents.matchRules('Show me pension schemes');
+  assert.deepEqual(intents.resolve(search, catalogue), search);
+  assert.equal(intents.resolve(intents.matchRules('Open Zorblax Quux'), catalogue), null);
+  assert.equal(intents.resolve(null, catalogue), null);
+});
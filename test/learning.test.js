@@ -0,0 +1,30 @@
+// learning.test.js - What a quiz attempt tells the user (learning.gradeQuiz)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const learning = require('../learning');
+
+const course = learning.COURSES[0];
+const key = course.quiz.map(q => q.answer);
+const wrong = course.quiz.map(q => (q.answer + 1) % q.options_en.length);
+
+test('a failed attempt says which answers were wrong, not what the right ones are', () => {
+  const result = learning.gradeQuiz(course, wrong);
+  assert.equal(result.passed, false);
+  assert.equal(result.score, 0);
+  assert.deepEqual(result.right, key.map(() => false));
+  assert.equal('correct' in result, false);
+  assert.doesNotMatch(JSON.stringify(result), /correct|answer/);
+});
+
+test('an attempt just under PASS_PERCENT still hides the answer key', () => {
+  const needed = Math.ceil(key.length * learning.PASS_PERCENT / 100);
+  const answers = key.map((answer, i) => (i < needed - 1 ? answer : wrong[i]));
+  const result = learning.gradeQuiz(course, answers);
+  assert.deepEqual([result.score, result.passed, result.correct], [needed - 1, false, undefined]);
+});
+
+test('a passed attempt comes with the answer key', () => {
+  assert.deepEqual(learning.gradeQuiz(course, key),
+    { score: key.length, total: key.length, passed: true, right: key.map(() => true), correct: key });
+});
@@ -0,0 +1,47 @@
+// llm.test.js - The offline stub (LLM_PROVIDERS=local) on the message arrays prompts.js builds
+
+process.env.LLM_PROVIDERS = 'local';
+delete process.env.LLM_LOCAL_REPLIES;
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const llm = require('../llm');
+const prompts = require('../prompts');
+
+test('translate echoes the whole user message', async () => {
+  const text = 'First line\n\nSecond para';
+  const { text: reply, provider } = await llm.complete('translate', {
+    messages: prompts.translateMessages(text, 'en'), temperature: 0, language: 'en',
+  });
+  assert.equal(provider, 'local');
+  assert.equal(reply, text);
+});
+
+test('chatbot replies in the language of the request', async () => {
+  const catalogue = '[scheme-4] Anna Bhagya Scheme\nFree rice for BPL families.';
+  const ask = language => llm.complete('chatbot', {
+    messages: prompts.chatbotMessages({ language, catalogue, message: 'rice' }), language,
+  });
+  assert.equal((await ask('kn')).text, 'ಈ ಯೋಜನೆಗಳು ಸಂಬಂಧಿಸಿವೆ:\n[scheme-4] Anna Bhagya Scheme');
+  assert.equal((await ask('en')).text, 'These schemes look relevant:\n[scheme-4] Anna Bhagya Scheme');
+});
+
+test('without catalogue entries the fixed answer is in the request language too', async () => {
+  const ask = language => llm.complete('voice', {
+    messages: prompts.voiceMessages({ language, message: 'hello' }), language,
+  });
+  assert.match((await ask('kn')).text, /ಗ್ರಾಮ ಪಂಚಾಯತ್/);
+  assert.match((await ask('en')).text, /Gram Panchayat/);
+  assert.match((await ask('hi')).text, /ग्राम पंचायत/);
+  assert.match((await ask('te')).text, /గ్రామ పంచాయతీ/);
+  assert.match((await ask('ta')).text, /கிராம பஞ்சாயத்து/);
+});
+
+test('stream sends the same reply word by word', async () => {
+  const tokens = [];
+  const { text } = await llm.stream('translate', {
+    messages: prompts.translateMessages('one two three', 'kn'), language: 'kn',
+  }, { onToken: token => tokens.push(token) });
+  assert.equal(text, 'one two three');
+  assert.equal(tokens.join(''), text);
+});
@@ -0,0 +1,100 @@
+// migrate.test.js - Status, the startup check, and 001 up -> down -> up with schema_migrations
+// Everything runs on pg-mem. With TEST_DATABASE_URL set, the round trip runs on a
+// real PostgreSQL too, in a schema of its own that it drops afterwards, e.g.
+//   TEST_DATABASE_URL=postgres://localhost/gramasetu_test?sslmode=disable npm test
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Pool } = require('pg');
+const migrate = require('../migrate');
+const { memoryPool } = require('./pg-mem');
+
+const quiet = { log: () => {} };
+const [BASELINE] = migrate.loadMigrations();
+
+// -------------------- STATUS (pg-mem) --------------------
+test('a new database has 001 pending and the server refuses it', async () => {
+  const pool = await memoryPool({ migrated: false });
+  assert.deepEqual(await migrate.migrationStatus(pool),
+    { applied: [], pending: [{ version: '001', name: 'initial_schema' }], unknown: [] });
+  await assert.rejects(migrate.requireCurrentSchema(pool), /out of date: 001_initial_schema not applied/);
+});
+
+test('migrate applies 001 once and records it with its checksum', async () => {
+  const pool = await memoryPool({ migrated: false });
+  assert.deepEqual(await migrate.migrate(pool, { lock: false, ...quiet }), ['001_initial_schema']);
+  assert.deepEqual(await migrate.migrate(pool, { lock: false, ...quiet }), []);
+
+  const { rows } = await pool.query('SELECT version, name, checksum FROM schema_migrations');
+  assert.deepEqual(rows, [{ version: '001', name: 'initial_schema', checksum: BASELINE.checksum }]);
+  await migrate.requireCurrentSchema(pool);
+});
+
+test('an edited migration warns; one missing from disk stops the server and rollback', async () => {
+  const pool = await memoryPool();
+  await pool.query("UPDATE schema_migrations SET checksum = 'edited'");
+  const warnings = [];
+  await migrate.requireCurrentSchema(pool, { log: message => warnings.push(message) });
+  assert.deepEqual(warnings, ['⚠️ Migration 001_initial_schema was edited after it was applied']);
+
+  await pool.query("INSERT INTO schema_migrations (version, name, checksum) VALUES ('002', 'later', 'x')");
+  assert.deepEqual((await migrate.migrationStatus(pool)).unknown, [{ version: '002', name: 'later' }]);
+  await assert.rejects(migrate.requireCurrentSchema(pool), /does not know \(002_later\)/);
+  await assert.rejects(migrate.rollback(pool, { lock: false, ...quiet }), /Cannot roll back: 002_later/);
+});
+
+// -------------------- ROUND TRIP --------------------
+// users and feedback as they were made by hand before there were migrations; 001
+// up, down and up again must keep them, their rows and the columns 001 added
+async function roundTrip(pool, options) {
+  await pool.query(`CREATE TABLE users (id SERIAL PRIMARY KEY, username TEXT UNIQUE NOT NULL,
+    email TEXT UNIQUE NOT NULL, phone TEXT UNIQUE, hashed_password TEXT NOT NULL)`);
+  await pool.query('CREATE TABLE feedback (id SERIAL PRIMARY KEY, name TEXT, email TEXT NOT NULL, message TEXT NOT NULL)');
+  await pool.query("INSERT INTO users (username, email, hashed_password) VALUES ('asha', 'asha@example.com', 'x')");
+  await pool.query("INSERT INTO feedback (name, email, message) VALUES ('Asha', 'asha@example.com', 'Good')");
+  const migrations = () => pool.query('SELECT version, name, checksum FROM schema_migrations').then(r => r.rows);
+  const applied = [{ version: '001', name: 'initial_schema', checksum: BASELINE.checksum }];
+
+  assert.deepEqual(await migrate.migrate(pool, options), ['001_initial_schema']);
+  assert.deepEqual(await migrations(), applied);
+  await pool.query("INSERT INTO schemes (slug, title_en) VALUES ('anna-bhagya', 'Anna Bhagya')");
+  await pool.query("UPDATE feedback SET scheme_id = (SELECT id FROM schemes), comments = 'Rice came on time'");
+
+  assert.deepEqual(await migrate.rollback(pool, options), ['001_initial_schema']);
+  assert.deepEqual(await migrations(), []);
+  await assert.rejects(pool.query('SELECT id FROM schemes'), /"schemes" does not exist/);
+  await assert.rejects(pool.query('SELECT id FROM user_sessions'), /"user_sessions" does not exist/);
+  await assert.rejects(pool.query('SELECT scheme_id FROM feedback'), /"scheme_id" does not exist/);
+  assert.deepEqual((await pool.query('SELECT username, role FROM users')).rows, [{ username: 'asha', role: 'citizen' }]);
+  assert.deepEqual((await pool.query('SELECT message, comments FROM feedback')).rows,
+    [{ message: 'Good', comments: 'Rice came on time' }]);
+
+  assert.deepEqual(await migrate.migrate(pool, options), ['001_initial_schema']);
+  assert.deepEqual(await migrations(), applied);
+  await migrate.requireCurrentSchema(pool);
+  // feedback.scheme_id is back, with its foreign key
+  await assert.rejects(pool.query('UPDATE feedback SET scheme_id = 999'), /foreign key/);
+}
+
+test('001 up, down and up again keeps users and feedback', async () => {
+  await roundTrip(await memoryPool({ migrated: false }), { lock: false, ...quiet });
+});
+
+// The same on a real PostgreSQL, advisory lock included, in a schema of its own
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+
+test('001 up, down and up again on PostgreSQL', {
+  skip: !TEST_DATABASE_URL && 'TEST_DATABASE_URL is not set',
+}, async () => {
+  const schema = `migrate_test_${process.pid}`;
+  const admin = new Pool({ connectionString: TEST_DATABASE_URL });
+  await admin.query(`CREATE SCHEMA ${schema}`);
+  const pool = new Pool({ connectionString: TEST_DATABASE_URL, options: `-c search_path=${schema}` });
+  try {
+    await roundTrip(pool, quiet);
+  } finally {
+    await pool.end();
+    await admin.query(`DROP SCHEMA ${schema} CASCADE`);
+    await admin.end();
+  }
+});
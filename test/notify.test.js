@@ -0,0 +1,94 @@
+// notify.test.js - What the channels are handed for each template (EmailJS mocked)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const emailjs = require('@emailjs/nodejs');
+const notify = require('../notify');
+const { memoryPool } = require('./pg-mem');
+
+const ENV = {
+  NOTIFY_EMAIL_CHANNEL: 'emailjs',
+  EMAILJS_SERVICE_ID: 'service_gs',
+  EMAILJS_PUBLIC_KEY: 'public',
+  EMAILJS_TEMPLATE_ID: 'template_otp',
+  EMAILJS_TEMPLATE_APPLICATION_REMINDER: 'template_reminder',
+};
+for (const name of Object.keys(ENV)) delete process.env[name];
+
+const REMINDER = { scheme: 'Anna Bhagya', status: 'submitted', days: 30, reference: 'AB-17' };
+
+function withEnv(t, env) {
+  for (const [name, value] of Object.entries(env)) process.env[name] = value;
+  t.after(() => { for (const name of Object.keys(env)) delete process.env[name]; });
+}
+
+// Each emailjs.send call as [serviceId, templateId, params]
+function captureEmailjs(t) {
+  const calls = [];
+  t.mock.getter(emailjs, 'send', () => async (service, template, params) => { calls.push([service, template, params]); });
+  t.mock.method(console, 'log', () => {});
+  return calls;
+}
+
+// -------------------- TEMPLATES --------------------
+test('every language the site offers gets its own text', () => {
+  const texts = notify.LANGUAGES.map(language => notify.render('application_reminder', language, REMINDER).text);
+  assert.equal(new Set(texts).size, notify.LANGUAGES.length);
+  assert.equal(notify.render('application_reminder', 'te', REMINDER).text,
+    'Anna Bhagya కోసం మీ దరఖాస్తు (సూచన AB-17) 30 రోజులుగా "submitted" స్థితిలో ఉంది. ' +
+    'మీరు దరఖాస్తు చేసిన కార్యాలయంలో తెలుసుకుని, ఆ తర్వాత గ్రామసేతులో "నా దరఖాస్తులు" విభాగంలో దాన్ని నవీకరించండి.');
+  assert.equal(notify.render('otp', 'ta', { code: '123456', time: '10:15' }).sms, 'உங்கள் கிராமசேது OTP 123456. 10:15 வரை செல்லுபடியாகும்.');
+});
+
+test('the reference is left out when the application has none', () => {
+  const { text } = notify.render('application_reminder', 'en', { ...REMINDER, reference: null });
+  assert.match(text, /^Your application for Anna Bhagya has been "submitted" for 30 days\. /);
+});
+
+// -------------------- EMAILJS --------------------
+test('an application reminder goes to its own EmailJS template with its subject and text', async t => {
+  withEnv(t, ENV);
+  const calls = captureEmailjs(t);
+  const pool = await memoryPool();
+
+  const result = await notify.notify(pool, {
+    to: 'asha@example.com', template: 'application_reminder', params: REMINDER, language: 'en',
+  });
+  assert.deepEqual(result, { ok: true, channel: 'emailjs' });
+
+  const message = notify.render('application_reminder', 'en', REMINDER);
+  assert.equal(calls.length, 1);
+  const [service, template, params] = calls[0];
+  assert.equal(service, 'service_gs');
+  assert.equal(template, 'template_reminder');
+  assert.equal(params.email, 'asha@example.com');
+  assert.equal(params.subject, 'Gramasetu: Anna Bhagya application still submitted');
+  assert.equal(params.message, message.text);
+  assert.match(params.message, /\(ref\. AB-17\) has been "submitted" for 30 days/);
+  assert.equal('passcode' in params, false);
+});
+
+test('the OTP keeps EMAILJS_TEMPLATE_ID and its passcode / time fields', async t => {
+  withEnv(t, ENV);
+  const calls = captureEmailjs(t);
+  const pool = await memoryPool();
+
+  await notify.notify(pool, { to: 'asha@example.com', template: 'otp', params: { code: '123456', time: '10:15' } });
+  const [, template, params] = calls[0];
+  assert.equal(template, 'template_otp');
+  assert.equal(params.passcode, '123456');
+  assert.equal(params.time, '10:15');
+});
+
+test('a template without an EmailJS template is not sent through the OTP one', async t => {
+  withEnv(t, { ...ENV, EMAILJS_TEMPLATE_APPLICATION_REMINDER: '' });
+  const calls = captureEmailjs(t);
+  t.mock.method(console, 'error', () => {});
+  const pool = await memoryPool();
+
+  const result = await notify.notify(pool, { to: 'asha@example.com', template: 'application_reminder', params: REMINDER });
+  assert.deepEqual(result, { ok: false, channel: 'emailjs', error: 'emailjs channel is not configured for application_reminder' });
+  assert.equal(calls.length, 0);
+  const { rows } = await pool.query('SELECT template, status FROM notification_log');
+  assert.deepEqual(rows, [{ template: 'application_reminder', status: 'failed' }]);
+});
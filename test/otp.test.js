@@ -0,0 +1,105 @@
+// otp.test.js - Cooldown, per-IP limit, lockout and expiry of otp.js, on a moved clock
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const otp = require('../otp');
+const { memoryPool } = require('./pg-mem');
+
+const START = new Date('2026-01-01T10:00:00Z');
+const later = seconds => new Date(START.getTime() + seconds * 1000);
+
+const USER = 'Asha@Example.com';
+
+// Any six digits other than the code that was sent
+const wrongFor = code => (code === '111111' ? '222222' : '111111');
+
+// -------------------- ISSUE --------------------
+test('a new code waits for the resend cooldown', async () => {
+  const pool = await memoryPool();
+  const first = await otp.issueOtp(pool, USER, { now: START });
+  assert.equal(first.ok, true);
+  assert.match(first.code, /^\d{6}$/);
+
+  const early = await otp.issueOtp(pool, USER, { now: later(otp.RESEND_COOLDOWN_SEC - 10) });
+  assert.deepEqual(early, { ok: false, reason: 'cooldown', retryAfter: 10 });
+
+  const again = await otp.issueOtp(pool, USER, { now: later(otp.RESEND_COOLDOWN_SEC) });
+  assert.equal(again.ok, true);
+});
+
+test('a resend replaces the older code', async () => {
+  const pool = await memoryPool();
+  const first = await otp.issueOtp(pool, USER, { now: START });
+  const second = await otp.issueOtp(pool, USER, { now: later(otp.RESEND_COOLDOWN_SEC) });
+  const now = later(otp.RESEND_COOLDOWN_SEC + 1);
+
+  if (first.code !== second.code) assert.equal((await otp.verifyOtp(pool, USER, first.code, { now })).reason, 'invalid');
+  assert.deepEqual(await otp.verifyOtp(pool, USER, second.code, { now }), { ok: true });
+});
+
+test('one IP gets at most IP_MAX_PER_HOUR codes an hour', async () => {
+  const pool = await memoryPool();
+  const ip = '203.0.113.7';
+  for (let i = 0; i < otp.IP_MAX_PER_HOUR; i++) {
+    assert.equal((await otp.issueOtp(pool, `user${i}@example.com`, { ip, now: later(i) })).ok, true);
+  }
+
+  const blocked = await otp.issueOtp(pool, 'next@example.com', { ip, now: later(60) });
+  assert.equal(blocked.reason, 'ip_limit');
+  assert.equal(blocked.retryAfter, 60 * 60 - 60);
+
+  assert.equal((await otp.issueOtp(pool, 'other@example.com', { ip: '203.0.113.8', now: later(60) })).ok, true);
+  assert.equal((await otp.issueOtp(pool, 'next@example.com', { ip, now: later(60 * 60 + 1) })).ok, true);
+});
+
+// -------------------- VERIFY --------------------
+test('a code works once, whatever the case of the email', async () => {
+  const pool = await memoryPool();
+  const { code } = await otp.issueOtp(pool, USER, { now: START });
+  assert.deepEqual(await otp.verifyOtp(pool, 'asha@example.com', code, { now: later(5) }), { ok: true });
+  assert.equal((await otp.verifyOtp(pool, USER, code, { now: later(6) })).reason, 'invalid');
+});
+
+test('a code expires after TTL_MINUTES', async () => {
+  const pool = await memoryPool();
+  const { code, expiresAt } = await otp.issueOtp(pool, USER, { now: START });
+  assert.deepEqual(expiresAt, later(otp.TTL_MINUTES * 60));
+
+  const result = await otp.verifyOtp(pool, USER, code, { now: later(otp.TTL_MINUTES * 60 + 1) });
+  assert.deepEqual(result, { ok: false, reason: 'expired' });
+});
+
+test('MAX_FAILURES wrong codes lock the identifier and burn the code', async () => {
+  const pool = await memoryPool();
+  const { code } = await otp.issueOtp(pool, USER, { now: START });
+  const wrong = wrongFor(code);
+
+  for (let i = 1; i < otp.MAX_FAILURES; i++) {
+    const result = await otp.verifyOtp(pool, USER, wrong, { now: later(i) });
+    assert.deepEqual(result, { ok: false, reason: 'invalid', attemptsLeft: otp.MAX_FAILURES - i });
+  }
+  const locked = await otp.verifyOtp(pool, USER, wrong, { now: later(otp.MAX_FAILURES) });
+  assert.deepEqual(locked, { ok: false, reason: 'locked', retryAfter: otp.LOCK_MINUTES * 60 });
+
+  // The right code no longer helps, and no new one is sent while locked
+  assert.equal((await otp.verifyOtp(pool, USER, code, { now: later(otp.MAX_FAILURES + 1) })).reason, 'locked');
+  assert.equal((await otp.issueOtp(pool, USER, { now: later(otp.RESEND_COOLDOWN_SEC + 10) })).reason, 'locked');
+
+  const afterLock = later(otp.MAX_FAILURES + otp.LOCK_MINUTES * 60 + 1);
+  const fresh = await otp.issueOtp(pool, USER, { now: afterLock });
+  assert.equal(fresh.ok, true);
+  if (fresh.code !== code) assert.equal((await otp.verifyOtp(pool, USER, code, { now: afterLock })).reason, 'invalid');
+  assert.deepEqual(await otp.verifyOtp(pool, USER, fresh.code, { now: afterLock }), { ok: true });
+});
+
+test('a right code resets the failure count', async () => {
+  const pool = await memoryPool();
+  const { code } = await otp.issueOtp(pool, USER, { now: START });
+  const wrong = wrongFor(code);
+  for (let i = 1; i < otp.MAX_FAILURES; i++) await otp.verifyOtp(pool, USER, wrong, { now: later(i) });
+  assert.deepEqual(await otp.verifyOtp(pool, USER, code, { now: later(otp.MAX_FAILURES) }), { ok: true });
+
+  const next = await otp.issueOtp(pool, USER, { now: later(otp.RESEND_COOLDOWN_SEC * 2) });
+  const result = await otp.verifyOtp(pool, USER, wrongFor(next.code), { now: later(otp.RESEND_COOLDOWN_SEC * 2) });
+  assert.equal(result.attemptsLeft, otp.MAX_FAILURES - 1);
+});
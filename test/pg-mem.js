@@ -0,0 +1,36 @@
+// pg-mem.js - In-memory PostgreSQL with migrations/ applied, for tests of the data modules
+
+const { newDb } = require('pg-mem');
+const { migrate } = require('../migrate');
+
+// pg-mem 3 keeps a dropped table's indexes and constraints registered, so creating
+// the table again fails ("relation "schemes_pkey" already exists"); let them go
+// with the table, as PostgreSQL does (001's down, then up again)
+function unregisterIndexesOnDrop() {
+  const probe = newDb().public;
+  probe.none('CREATE TABLE probe (id INT)');
+  const table = Object.getPrototypeOf(probe.getTable('probe'));
+  const drop = table.drop;
+  table.drop = function (t, cascade) {
+    for (const byName of this.indexByHashAndName.values()) {
+      for (const { index } of byName.values()) this.ownerSchema._reg_unregister(index);
+    }
+    return drop.call(this, t, cascade);
+  };
+}
+unregisterIndexesOnDrop();
+
+/**
+ * A pg-compatible Pool over a fresh in-memory database.
+ * @param {object} [options]
+ * @param {boolean} [options.migrated]  apply migrations/ first (default true)
+ */
+async function memoryPool({ migrated = true } = {}) {
+  // pg-mem rejects CREATE TABLE IF NOT EXISTS on an existing table unless this check is off
+  const { Pool } = newDb({ noAstCoverageCheck: true }).adapters.createPg();
+  const pool = new Pool();
+  if (migrated) await migrate(pool, { lock: false, log: () => {} });
+  return pool;
+}
+
+module.exports = { memoryPool };
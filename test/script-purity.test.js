@@ -0,0 +1,31 @@
+// script-purity.test.js - Which Latin pieces of a Kannada reply count as the wrong script
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const purity = require('../script-purity');
+
+purity.setSchemeNames([
+  { title_en: 'Shakti Free Bus Scheme (for Women)', title_kn: 'ಶಕ್ತಿ ಉಚಿತ ಬಸ್ ಯೋಜನೆ' },
+  { title_en: 'Pashu Bhagya (Livestock Subsidy)', title_kn: 'ಪಶು ಭಾಗ್ಯ (Pashu Bhagya Scheme)' },
+  { title_en: 'Rural Road Connectivity Scheme (PMGSY Karnataka)', title_kn: 'ಗ್ರಾಮೀಣ ರಸ್ತೆ ಸಂಪರ್ಕ ಯೋಜನೆ (PMGSY ಕರ್ನಾಟಕ)' },
+  { title_en: 'Arogya Sahayavani (Dial 104)', title_kn: 'ಆರೋಗ್ಯ ಸಹಾಯವಾಣಿ 104' },
+]);
+
+const offending = text => purity.offendingSegments(text, 'kn').map(s => s.text);
+
+test('scheme names and bracketed acronyms may stay in Latin letters', () => {
+  assert.deepEqual(offending('Shakti Free Bus ಯೋಜನೆಯಲ್ಲಿ ಉಚಿತ ಪ್ರಯಾಣ.'), []);
+  assert.deepEqual(offending('Pashu Bhagya ಮೂಲಕ ಸಹಾಯಧನ ಸಿಗುತ್ತದೆ.'), []);
+  assert.deepEqual(offending('PMGSY ಅಡಿಯಲ್ಲಿ ರಸ್ತೆ ನಿರ್ಮಾಣ; PM-KISAN ಹಣ ಬರುತ್ತದೆ.'), []);
+});
+
+test('English phrases in brackets of a title are not scheme names', () => {
+  assert.deepEqual(offending('ಈ ಯೋಜನೆ for Women ಮಾತ್ರ.'), ['for Women']);
+  assert.deepEqual(offending('ಇದು Livestock Subsidy ಆಗಿದೆ.'), ['Livestock Subsidy']);
+  assert.deepEqual(offending('Karnataka ರಾಜ್ಯದಲ್ಲಿ Dial ಮಾಡಿ.'), ['Karnataka', 'Dial']);
+});
+
+test('in an English reply only other scripts are wrong', () => {
+  assert.deepEqual(purity.offendingSegments('Call 104 for help.', 'en'), []);
+  assert.deepEqual(purity.offendingSegments('Visit the ಕಚೇರಿ today.', 'en').map(s => s.text), ['ಕಚೇರಿ']);
+});
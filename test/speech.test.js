@@ -0,0 +1,21 @@
+// speech.test.js - How the local engine hands text and recordings to its programs
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const speech = require('../speech');
+
+// A stand-in for espeak-ng: prints its arguments (those after node's own "--"), then stdin
+const ECHO = `"${process.execPath}" -e "process.stdout.write(JSON.stringify(process.argv.slice(1)) + '|'); process.stdin.pipe(process.stdout)"`;
+
+test('the text to speak goes over stdin, never into the arguments', async () => {
+  const engine = speech.localEngine({ ttsCommand: `${ECHO} -- -v {language}`, timeout: 10000 });
+  const text = '--output=/etc/passwd ನಮಸ್ಕಾರ';
+  const { audio, mimeType } = await engine.speak({ text, language: 'kn' });
+  assert.equal(mimeType, 'audio/wav');
+  assert.equal(audio.toString('utf8'), `${JSON.stringify(['-v', 'kn'])}|${text}`);
+});
+
+test('a speech command that takes {text} as an argument is refused', () => {
+  assert.throws(() => speech.localEngine({ ttsCommand: 'espeak-ng -v {language} -w {output} {text}' }), /stdin/);
+  assert.throws(() => speech.localEngine({ ttsCommand: 'say --text={text}' }), /stdin/);
+});
@@ -0,0 +1,82 @@
+// transliterate.js - Kannada ⇄ Latin helpers used for cross-script matching
+// kannadaToLatin("ಅನ್ನ ಭಾಗ್ಯ") -> "anna bhaagya"; phoneticKey() then folds both
+// that and the typed "anna bhagya" down to the same comparable form.
+
+const KANNADA_REGEX = /[\u0C80-\u0CFF]/; // same range as va.js
+
+const VOWELS = {
+  'ಅ': 'a', 'ಆ': 'aa', 'ಇ': 'i', 'ಈ': 'ii', 'ಉ': 'u', 'ಊ': 'uu', 'ಋ': 'ru',
+  'ಎ': 'e', 'ಏ': 'e', 'ಐ': 'ai', 'ಒ': 'o', 'ಓ': 'o', 'ಔ': 'au',
+};
+
+const MATRAS = {
+  'ಾ': 'aa', 'ಿ': 'i', 'ೀ': 'ii', 'ು': 'u', 'ೂ': 'uu', 'ೃ': 'ru',
+  'ೆ': 'e', 'ೇ': 'e', 'ೈ': 'ai', 'ೊ': 'o', 'ೋ': 'o', 'ೌ': 'au',
+};
+
+const CONSONANTS = {
+  'ಕ': 'k', 'ಖ': 'kh', 'ಗ': 'g', 'ಘ': 'gh', 'ಙ': 'n',
+  'ಚ': 'ch', 'ಛ': 'chh', 'ಜ': 'j', 'ಝ': 'jh', 'ಞ': 'n',
+  'ಟ': 't', 'ಠ': 'th', 'ಡ': 'd', 'ಢ': 'dh', 'ಣ': 'n',
+  'ತ': 't', 'ಥ': 'th', 'ದ': 'd', 'ಧ': 'dh', 'ನ': 'n',
+  'ಪ': 'p', 'ಫ': 'ph', 'ಬ': 'b', 'ಭ': 'bh', 'ಮ': 'm',
+  'ಯ': 'y', 'ರ': 'r', 'ಱ': 'r', 'ಲ': 'l', 'ವ': 'v',
+  'ಶ': 'sh', 'ಷ': 'sh', 'ಸ': 's', 'ಹ': 'h', 'ಳ': 'l', 'ೞ': 'l',
+};
+
+const VIRAMA = '್';
+const ANUSVARA = 'ಂ';
+const VISARGA = 'ಃ';
+const LABIALS = new Set(['ಪ', 'ಫ', 'ಬ', 'ಭ', 'ಮ']);
+
+// Simple, lossy romanisation: good enough for matching, not for display.
+// Long e/o are written short because that is how people type them ("yojane").
+function kannadaToLatin(text) {
+  const chars = [...String(text || '')];
+  let out = '';
+  for (let i = 0; i < chars.length; i++) {
+    const ch = chars[i];
+    const next = chars[i + 1];
+
+    if (CONSONANTS[ch]) {
+      out += CONSONANTS[ch];
+      if (next === VIRAMA) i++;
+      else if (MATRAS[next]) { out += MATRAS[next]; i++; }
+      else out += 'a';
+    } else if (VOWELS[ch]) {
+      out += VOWELS[ch];
+    } else if (ch === ANUSVARA) {
+      out += LABIALS.has(next) || !next || /\s/.test(next) ? 'm' : 'n';
+    } else if (ch === VISARGA) {
+      out += 'h';
+    } else if (ch >= '೦' && ch <= '೯') {
+      out += String(ch.charCodeAt(0) - 0x0CE6);
+    } else if (ch === '\u200C' || ch === '\u200D') {
+      // zero-width (non-)joiners carry no sound
+    } else {
+      out += ch;
+    }
+  }
+  return out;
+}
+
+// Fold spelling variants so "Gruha Jyothi", "gruha jyoti" and "ಗೃಹ ಜ್ಯೋತಿ"
+// all compare equal: long vowels, aspirates, doubled letters, w/v, etc.
+function phoneticKey(word) {
+  let w = KANNADA_REGEX.test(word) ? kannadaToLatin(word) : String(word || '');
+  w = w.toLowerCase().replace(/[^a-z0-9]/g, '');
+  return w
+    .replace(/aa/g, 'a')
+    .replace(/ee|ii/g, 'i')
+    .replace(/oo|uu/g, 'u')
+    .replace(/w/g, 'v')
+    .replace(/z/g, 'j')
+    .replace(/q/g, 'k')
+    .replace(/x/g, 'ks')
+    .replace(/f/g, 'p')
+    .replace(/c(?!h)/g, 'k')
+    .replace(/([bcdgjkpst])h/g, '$1')
+    .replace(/(.)\1+/g, '$1');
+}
+
+module.exports = { KANNADA_REGEX, kannadaToLatin, phoneticKey };
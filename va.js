@@ -1,23 +1,34 @@
 // va.js - Voice Assistant (Tone A: Polite & Home-friendly, Kannada pure)
 // Frontend: speech recognition + TTS + POST to /api/chat (no API key here)
+// Languages, speech codes and messages come from locales.js (load it first).
+// Browsers that cannot listen, or have no voice for the language, use the
+// server instead: /api/voice/transcribe and /api/voice/speak (speech.js).
 
 const API_URL = "/api/chat"; // unified backend endpoint after merge
+const CLEAR_URL = "/api/chat/clear";
+const INTENT_URL = "/api/voice/intent";
+const TRANSCRIBE_URL = "/api/voice/transcribe";
+const SPEAK_URL = "/api/voice/speak";
+const MAX_RECORDING_MS = 15000; // server recognition stops recording by itself after this
 
 // -------------------------------
 // Language detection & settings
 // -------------------------------
-const KANNADA_REGEX = /[\u0C80-\u0CFF]/;
 function getCurrentLang() {
-  return window.currentLang || localStorage.getItem("lang") || "en";
+  return gsLocales.normalize(window.currentLang || localStorage.getItem("lang"));
 }
 function saveLang(lang) {
-  if (!lang) return;
+  if (!gsLocales.isSupported(lang)) return;
   window.currentLang = lang;
   try { localStorage.setItem("lang", lang); } catch (e) {}
 }
+// By script; text without letters (numbers only) keeps the current language
 function detectLangFromText(text) {
-  if (!text) return "en";
-  return KANNADA_REGEX.test(text) ? "kn" : "en";
+  return gsLocales.detect(text, getCurrentLang());
+}
+// Message in the current language (English if it has no translation)
+function vaText(key) {
+  return gsLocales.t(getCurrentLang(), key);
 }
 
 // -------------------------------
@@ -27,7 +38,43 @@ let recognition = null;
 let isListening = false;
 let isBotSpeaking = false;
 let wasListeningBeforeSpeak = false;
-let chatHistory = [];
+let replyController = null; // AbortController of the reply being streamed
+
+// -------------------------------
+// Conversation memory (kept on the server)
+// -------------------------------
+// The server stores the turns; the browser only remembers which conversation
+// it is in. Anonymous visitors are told apart by the same session id the
+// chatbot uses; logged-in users by their token.
+function getSessionId() {
+  let id = localStorage.getItem("cbSessionId");
+  if (!id) {
+    id = crypto.randomUUID ? crypto.randomUUID() : `s-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    try { localStorage.setItem("cbSessionId", id); } catch (e) {}
+  }
+  return id;
+}
+
+function getConversationId() {
+  return localStorage.getItem("vaConversationId");
+}
+
+function setConversationId(id) {
+  try {
+    if (id) localStorage.setItem("vaConversationId", id);
+    else localStorage.removeItem("vaConversationId");
+  } catch (e) {}
+}
+
+function chatHeaders() {
+  return { "Content-Type": "application/json", "X-Session-Id": getSessionId() };
+}
+
+// gsAuth.fetch adds the access token and refreshes it first when it has lapsed (a
+// laptop waking from sleep); sent expired, the server would answer as the anonymous session
+function chatFetch(url, options) {
+  return window.gsAuth ? window.gsAuth.fetch(url, options) : fetch(url, options);
+}
 
 // -------------------------------
 // UI creation
@@ -64,7 +111,7 @@ function createVoiceChatBox() {
     fontWeight: "700",
   });
   const title = document.createElement("div");
-  title.innerText = "Voice Assistant";
+  title.id = "va-title";
 
   const controls = document.createElement("div");
   controls.style.display = "flex";
@@ -83,7 +130,7 @@ function createVoiceChatBox() {
     color: "#4b2e2e",
   });
   langBadge.onclick = () => {
-    const newLang = getCurrentLang() === "kn" ? "en" : "kn";
+    const newLang = gsLocales.next(getCurrentLang());
     saveLang(newLang);
     updateLangBadge();
     recreateRecognition();
@@ -99,7 +146,7 @@ function createVoiceChatBox() {
   styleControlButton(closeBtn);
   closeBtn.onclick = () => {
     stopListening(true);
-    stopSpeaking();
+    cancelReply();
     box.style.display = "none";
   };
 
@@ -149,7 +196,7 @@ function createVoiceChatBox() {
     fontSize: "13px",
     color: "#4b2e2e",
   });
-  footer.innerText = "Mic ಒತ್ತಿ ಮಾತನಾಡಿ — ಮತ್ತೆ ಒತ್ತಿದರೆ ನಿಲ್ಲಿಸುತ್ತದೆ.";
+  footer.id = "va-hint";
 
   box.appendChild(header);
   box.appendChild(messages);
@@ -168,9 +215,18 @@ function styleControlButton(btn) {
   btn.style.fontSize = "16px";
 }
 
+// Badge, title and hint follow the chosen language
 function updateLangBadge() {
+  const lang = getCurrentLang();
   const badge = document.getElementById("va-lang-badge");
-  if (badge) badge.innerText = getCurrentLang() === "kn" ? "KN" : "EN";
+  if (badge) {
+    badge.innerText = lang.toUpperCase();
+    badge.title = gsLocales.get(lang).nativeName;
+  }
+  const title = document.getElementById("va-title");
+  if (title) title.innerText = vaText("va.title");
+  const hint = document.getElementById("va-hint");
+  if (hint) hint.innerText = vaText("va.hint");
 }
 
 // -------------------------------
@@ -204,12 +260,24 @@ function addMessage(role, text) {
   msgContainer.appendChild(bubble);
   area.appendChild(msgContainer);
   area.scrollTop = area.scrollHeight;
+  return bubble;
 }
 
+// Empties the window and the server-side context (a new topic starts fresh)
 function clearChat() {
-  chatHistory = [];
+  cancelReply();
   const area = document.getElementById("voice-chat-messages");
   if (area) area.innerHTML = "";
+
+  const conversationId = getConversationId();
+  if (!conversationId) return;
+  chatFetch(CLEAR_URL, {
+    method: "POST",
+    headers: chatHeaders(),
+    body: JSON.stringify({ conversation_id: conversationId }),
+  })
+    .then((res) => { if (res.status === 404) setConversationId(null); })
+    .catch((err) => console.warn("Clear chat error", err));
 }
 
 // -------------------------------
@@ -217,17 +285,18 @@ function clearChat() {
 // -------------------------------
 function recreateRecognition() {
   if (recognition) {
-    try { recognition.onend = null; recognition.onerror = null; recognition.stop(); } catch (e) {}
+    try { recognition.onend = null; recognition.onerror = null; recognition.onresult = null; recognition.stop(); } catch (e) {}
     recognition = null;
   }
 }
 
 function initRecognition() {
   const SR = window.SpeechRecognition || window.webkitSpeechRecognition;
-  if (!SR) return alert("ನಿಮ್ಮ ಬ್ರೌಸರ್‌ಗೆ Speech Recognition ಬೆಂಬಲ ಇಲ್ಲ.");
+  if (SR) recognition = new SR();
+  else if (canRecordForServer()) recognition = createServerRecognition();
+  else return alert(vaText("va.noSpeech"));
 
-  recognition = new SR();
-  recognition.lang = getCurrentLang() === "kn" ? "kn-IN" : "en-IN";
+  recognition.lang = gsLocales.get(getCurrentLang()).speech;
   recognition.interimResults = false;
   recognition.continuous = false;
 
@@ -244,12 +313,12 @@ function initRecognition() {
     saveLang(detected);
     updateLangBadge();
     addMessage("user", transcript);
-    sendMessageToAPI(transcript, detected);
+    handleTranscript(transcript, detected);
   };
 
   recognition.onerror = (e) => {
     console.warn("Recognition error", e);
-    addMessage("bot", "ಕ್ಷಮಿಸಿ, ವಾಚನವನ್ನು ಹಿಡಿಯಲಾಗಲಿಲ್ಲ.");
+    addMessage("bot", vaText(e && e.error === "unavailable" ? "va.noSpeech" : "va.notHeard"));
   };
 
   recognition.onend = () => {
@@ -260,6 +329,8 @@ function initRecognition() {
 }
 
 function toggleListening() {
+  // Tapping the mic while the assistant is answering interrupts it
+  if (replyController || isBotSpeaking) cancelReply();
   if (!recognition) initRecognition();
   if (isListening) stopListening();
   else startListening();
@@ -278,66 +349,322 @@ function stopListening() {
 }
 
 // -------------------------------
-// Send message to backend
+// Server recognition (speech.js)
 // -------------------------------
-async function sendMessageToAPI(text, lang, triedRetry = false) {
-  try {
-    const systemInstructionKn = `
-ನೀವು ಒಬ್ಬ ಸ್ನೇಹಭರಿತ, ಸರಳ, ಮತ್ತು ಸದಾ ಶಿಷ್ಟ Kannada ಸಹಾಯಗಾರ.
-ನೀವು ಸರಳ ಮಾತಿನ ಶೈಲಿಯಲ್ಲಿ 100% ಕನ್ನಡದ ಉತ್ತರ ನೀಡಿ.
-`;
+// For browsers without SpeechRecognition (Firefox, many low-end Android ones):
+// the mic is recorded with MediaRecorder and the server transcribes it. It has
+// the same handlers as SpeechRecognition (onstart, onresult, onerror, onend), so
+// the rest of this file does not care which one it got. Tapping the mic again
+// stops the recording; it also stops by itself after MAX_RECORDING_MS.
+let serverListening = null; // false once the server said it cannot (503)
+
+function canRecordForServer() {
+  return serverListening !== false && !!window.MediaRecorder &&
+    !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+}
+
+function createServerRecognition() {
+  const rec = { onstart: null, onresult: null, onerror: null, onend: null };
+  let recorder = null;
+  let timer = null;
+
+  async function transcribe(blob, lang) {
+    const form = new FormData();
+    form.append("language", lang);
+    form.append("audio", blob, "speech");
+    try {
+      const response = await fetch(TRANSCRIBE_URL, { method: "POST", body: form });
+      if (response.status === 503) serverListening = false;
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || `transcribe ${response.status}`);
+      if (!data.text) throw new Error("Nothing was heard");
+      if (rec.onresult) rec.onresult({ results: [[{ transcript: data.text }]] });
+    } catch (err) {
+      if (rec.onerror) rec.onerror({ error: serverListening === false ? "unavailable" : "network", message: err.message });
+    }
+  }
+
+  rec.start = async () => {
+    if (recorder) return;
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (err) {
+      if (rec.onerror) rec.onerror({ error: "not-allowed", message: err.message });
+      if (rec.onend) rec.onend();
+      return;
+    }
+    const lang = getCurrentLang();
+    const chunks = [];
+    recorder = new MediaRecorder(stream);
+    recorder.ondataavailable = (e) => { if (e.data && e.data.size) chunks.push(e.data); };
+    recorder.onstop = () => {
+      clearTimeout(timer);
+      stream.getTracks().forEach((track) => track.stop());
+      const type = recorder.mimeType || (chunks[0] && chunks[0].type) || "audio/webm";
+      recorder = null;
+      if (rec.onend) rec.onend();
+      if (rec.onresult && chunks.length) transcribe(new Blob(chunks, { type }), lang);
+    };
+    recorder.start();
+    timer = setTimeout(rec.stop, MAX_RECORDING_MS);
+    if (rec.onstart) rec.onstart();
+  };
+
+  rec.stop = () => {
+    if (recorder && recorder.state !== "inactive") recorder.stop();
+  };
 
-    const systemInstructionEn = `Reply in short, friendly English.`;
+  return rec;
+}
 
-    const systemInstruction = lang === "kn" ? systemInstructionKn : systemInstructionEn;
-    const fullPrompt = `${systemInstruction}\n\nUser: ${text}`;
+// -------------------------------
+// Voice commands
+// -------------------------------
+// "open Gruha Jyothi", "ನನ್ನ ಖಾತೆ ತೆರೆಯಿರಿ": the server names the intent
+// (/api/voice/intent) and a handler registered here carries it out. Pages add
+// their own with va.registerCommand(intent, handler); a handler gets the slots
+// and returns what to say, or false when it cannot do it on this page (the
+// sentence then goes to the assistant like any other).
+const commands = new Map();
+
+function registerCommand(intent, handler) {
+  commands.set(intent, handler);
+}
+
+// true if a handler took the command
+async function runCommand(intent, slots) {
+  const handler = commands.get(intent);
+  if (!handler) return false;
+  try {
+    const said = await handler(slots || {}, getCurrentLang());
+    if (said === false) return false;
+    if (said) {
+      addMessage("bot", said);
+      speakOut(said, getCurrentLang()); // a language switch speaks the new language
+    }
+    return true;
+  } catch (err) {
+    console.warn("Voice command failed", intent, err);
+    return false;
+  }
+}
 
-    const response = await fetch(API_URL, {
+// The intent in what was said, or null (offline, not a command)
+async function recogniseIntent(text, lang) {
+  try {
+    const response = await fetch(INTENT_URL, {
       method: "POST",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ message: fullPrompt, language: lang }),
+      body: JSON.stringify({ text, language: lang }),
     });
+    if (!response.ok) return null;
+    const data = await response.json();
+    return data.intent ? data : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+async function handleTranscript(text, lang) {
+  cancelReply();
+  const command = await recogniseIntent(text, lang);
+  if (command && (await runCommand(command.intent, command.slots))) return;
+  sendMessageToAPI(text, lang);
+}
+
+// Commands that work on every page; pages may replace them
+registerCommand("switch_language", ({ language }) => {
+  saveLang(language);
+  updateLangBadge();
+  recreateRecognition();
+  const toggle = document.getElementById("langToggle");
+  if (toggle && toggle.value !== language) {
+    toggle.value = language;
+    toggle.dispatchEvent(new Event("change")); // the page re-renders in it
+  }
+  return vaText("va.cmd.language");
+});
 
-    if (!response.ok) {
-      addMessage("bot", "⚠️ ಸಂಪರ್ಕ ದೋಷ.");
+registerCommand("open_learning", () => {
+  setTimeout(() => { window.location.href = "learning.html"; }, 1200);
+  return vaText("va.cmd.learning");
+});
+
+registerCommand("open_scheme", ({ scheme }) => {
+  if (!scheme.link) return false;
+  setTimeout(() => { window.location.href = scheme.link; }, 1200);
+  return vaText("va.cmd.openScheme").replace("{title}", gsLocales.pick(scheme, "title", getCurrentLang()));
+});
+
+registerCommand("read_scheme", ({ scheme }) => {
+  const lang = getCurrentLang();
+  return `${gsLocales.pick(scheme, "title", lang)}. ${gsLocales.pick(scheme, "description", lang)}`;
+});
+
+// -------------------------------
+// Send message to backend (streamed)
+// -------------------------------
+// The reply arrives as Server-Sent Events; words are shown as they come and
+// every finished sentence is spoken right away.
+async function sendMessageToAPI(text, lang) {
+  cancelReply();
+  const controller = new AbortController();
+  replyController = controller;
+  const bubble = addMessage("bot", "…");
+  let shown = "";
+  let unspoken = "";
+
+  try {
+    // Switching language keeps the conversation: the server answers in `lang`
+    // with the earlier turns still in context
+    const response = await chatFetch(API_URL, {
+      method: "POST",
+      headers: chatHeaders(),
+      body: JSON.stringify({
+        message: text, // only what was said; the server adds the instructions
+        language: lang,
+        conversation_id: getConversationId(),
+        stream: true,
+      }),
+      signal: controller.signal,
+    });
+
+    // Validation/config errors still come back as plain JSON
+    const type = response.headers.get("Content-Type") || "";
+    if (!response.ok || !type.includes("text/event-stream") || !response.body) {
+      const data = await response.json().catch(() => ({}));
+      showBubbleText(bubble, data.reply || gsLocales.t(lang, "va.connectionError"));
       return;
     }
 
-    const data = await response.json();
-    let reply = data.reply || "ಕ್ಷಮಿಸಿ — ಉತ್ತರ ಸಿಗಲಿಲ್ಲ.";
-
-    if (lang === "kn" && /[A-Za-z]/.test(reply) && !triedRetry)
-      return sendMessageToAPI(text, lang, true);
+    await readEventStream(response.body, (event, data) => {
+      if (event === "start") {
+        if (data.conversation_id) setConversationId(data.conversation_id);
+      } else if (event === "token") {
+        shown += data.text;
+        unspoken += data.text;
+        showBubbleText(bubble, shown);
+        const [sentences, rest] = splitFinishedSentences(unspoken);
+        unspoken = rest;
+        if (sentences.trim()) speakSentence(sentences, lang);
+      } else if (event === "done") {
+        // Normally identical to what was streamed; trust the final text
+        if (!shown) {
+          shown = data.reply;
+          unspoken = data.reply;
+          showBubbleText(bubble, shown);
+        }
+      } else if (event === "error") {
+        showBubbleText(bubble, shown ? `${shown}\n⚠️ ${data.reply}` : data.reply);
+      }
+    });
 
-    addMessage("bot", reply);
-    speakOut(reply, lang);
+    if (unspoken.trim()) speakSentence(unspoken, lang);
+    if (!shown) showBubbleText(bubble, gsLocales.t(lang, "va.noReply"));
   } catch (err) {
+    if (controller.signal.aborted) {
+      // cancelled by mic tap / close / clear: keep what was shown
+      if (!shown) showBubbleText(bubble, "⏹");
+      return;
+    }
     console.error("API Error:", err);
-    addMessage("bot", "⚠️ ದೋಷ. ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.");
+    showBubbleText(bubble, shown || gsLocales.t(lang, "va.error"));
+  } finally {
+    if (replyController === controller) {
+      replyController = null;
+      finishSpeaking(); // in case speech already ran out before the stream ended
+    }
+  }
+}
+
+function showBubbleText(bubble, text) {
+  bubble.innerText = text;
+  const area = document.getElementById("voice-chat-messages");
+  if (area) area.scrollTop = area.scrollHeight;
+}
+
+// Reads "event: x / data: {...}" frames from a fetch body until it ends
+async function readEventStream(body, onEvent) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    let end;
+    while ((end = buffer.indexOf("\n\n")) >= 0) {
+      const frame = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      let event = "message";
+      let data = "";
+      frame.split("\n").forEach(line => {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        else if (line.startsWith("data:")) data += line.slice(5).trim();
+      });
+      if (data) onEvent(event, JSON.parse(data));
+    }
+  }
+}
+
+// "Hello there. How are y" -> ["Hello there. ", "How are y"]
+// A sentence ends at . ! ? । followed by a space, or at a newline.
+function splitFinishedSentences(text) {
+  const endRegex = /[.!?।]+["')\]]*\s+|\n+/g;
+  let cut = 0;
+  let m;
+  while ((m = endRegex.exec(text))) cut = m.index + m[0].length;
+  return [text.slice(0, cut), text.slice(cut)];
+}
+
+// Stop the reply in flight (streaming and speaking)
+function cancelReply() {
+  if (replyController) {
+    replyController.abort();
+    replyController = null;
   }
+  stopSpeaking();
 }
 
 // -------------------------------
 // TTS
 // -------------------------------
+// Voice names differ per browser / OS; locales.js lists likely ones per language
 function selectFemaleVoiceForLang(voices, lang) {
-  const femaleHints = ['female','zira','anya','meera','sangeet','sangeetha','google','amy','samantha','alloy'];
-  let found = voices.find(v => v.lang && v.lang.toLowerCase().includes(lang === 'kn' ? 'kn' : 'en') && femaleHints.some(h => v.name.toLowerCase().includes(h)));
+  const femaleHints = gsLocales.get(lang).voiceHints;
+  const speaks = v => v.lang && v.lang.toLowerCase().startsWith(gsLocales.normalize(lang));
+  let found = voices.find(v => speaks(v) && femaleHints.some(h => v.name.toLowerCase().includes(h)));
   if(found) return found;
-  found = voices.find(v => v.lang && v.lang.toLowerCase().includes(lang === 'kn' ? 'kn' : 'en'));
+  found = voices.find(speaks);
   if(found) return found;
   found = voices.find(v => femaleHints.some(h => v.name.toLowerCase().includes(h)));
   if(found) return found;
   return voices.length ? voices[0] : null;
 }
 
+// Sentences queued in speechSynthesis; bumping the generation forgets them on cancel
+let pendingUtterances = 0;
+let speechGeneration = 0;
+
 function speakOut(text, lang) {
   stopSpeaking();
+  speakSentence(text, lang);
+}
+
+// Queue one piece of text after whatever is already being spoken. Without a
+// browser voice for the language the server reads it (speech.js), if it can.
+function speakSentence(text, lang) {
+  if(serverSpeaking !== false && !browserHasVoice(lang)) speakOnServer(text, lang);
+  else speakInBrowser(text, lang);
+}
+
+function speakInBrowser(text, lang) {
   const synth = window.speechSynthesis;
   if(!synth) return;
 
   const utter = new SpeechSynthesisUtterance(text);
-  utter.lang = lang === 'kn' ? 'kn-IN' : 'en-IN';
+  utter.lang = gsLocales.get(lang).speech;
   utter.rate = 1;
   utter.pitch = 1.05;
 
@@ -345,23 +672,102 @@ function speakOut(text, lang) {
   const selected = selectFemaleVoiceForLang(voices, lang);
   if(selected) utter.voice = selected;
 
-  utter.onstart = () => {
-    isBotSpeaking = true;
-    wasListeningBeforeSpeak = isListening;
-    stopListening();
-  };
-  utter.onend = () => {
-    isBotSpeaking = false;
-    if(wasListeningBeforeSpeak) setTimeout(()=>startListening(),200);
-    wasListeningBeforeSpeak = false;
-  };
+  const generation = speechGeneration;
+  pendingUtterances++;
+
+  utter.onstart = () => sentenceStarted(generation);
+  utter.onend = utter.onerror = () => sentenceEnded(generation);
 
   synth.speak(utter);
 }
 
+function sentenceStarted(generation) {
+  if(generation !== speechGeneration || isBotSpeaking) return;
+  isBotSpeaking = true;
+  wasListeningBeforeSpeak = isListening;
+  stopListening();
+}
+
+function sentenceEnded(generation) {
+  if(generation !== speechGeneration) return;
+  pendingUtterances = Math.max(0, pendingUtterances - 1);
+  if(!replyController) finishSpeaking(); // else more sentences may still be coming
+}
+
+function browserHasVoice(lang) {
+  const synth = window.speechSynthesis;
+  const code = gsLocales.normalize(lang);
+  return !!synth && (synth.getVoices() || []).some(v => v.lang && v.lang.toLowerCase().startsWith(code));
+}
+
+// -------------------------------
+// Server speech (speech.js)
+// -------------------------------
+// Every sentence is fetched at once and played in order. If the server cannot
+// speak (503, offline), the sentence goes to the browser voice after all.
+let serverSpeaking = null; // false once the server said it cannot (503)
+let playbackQueue = Promise.resolve();
+let currentAudio = null;
+
+function speakOnServer(text, lang) {
+  const generation = speechGeneration;
+  pendingUtterances++;
+  const audioUrl = fetch(SPEAK_URL, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ text, language: lang }),
+  })
+    .then(res => {
+      if(res.status === 503) serverSpeaking = false;
+      return res.ok ? res.blob() : null;
+    })
+    .then(blob => (blob ? URL.createObjectURL(blob) : null))
+    .catch(() => null);
+
+  playbackQueue = playbackQueue.then(async () => {
+    const url = await audioUrl;
+    if(generation !== speechGeneration) {
+      if(url) URL.revokeObjectURL(url);
+      return;
+    }
+    if(!url) {
+      speakInBrowser(text, lang);
+      return sentenceEnded(generation);
+    }
+    sentenceStarted(generation);
+    await playAudio(url);
+    URL.revokeObjectURL(url);
+    sentenceEnded(generation);
+  });
+}
+
+function playAudio(url) {
+  return new Promise(resolve => {
+    const audio = new Audio(url);
+    currentAudio = audio;
+    const done = () => {
+      if(currentAudio === audio) currentAudio = null;
+      resolve();
+    };
+    audio.onended = audio.onerror = audio.onpause = done;
+    audio.play().catch(done);
+  });
+}
+
+// Called when the last queued sentence is done and no reply is streaming
+function finishSpeaking() {
+  if(pendingUtterances > 0 || !isBotSpeaking) return;
+  isBotSpeaking = false;
+  if(wasListeningBeforeSpeak) setTimeout(()=>startListening(),200);
+  wasListeningBeforeSpeak = false;
+}
+
 function stopSpeaking() {
   const synth = window.speechSynthesis;
+  speechGeneration++;
+  pendingUtterances = 0;
   if(synth && (synth.speaking || synth.pending)) synth.cancel();
+  if(currentAudio) currentAudio.pause();
   isBotSpeaking = false;
 }
 
@@ -390,4 +796,4 @@ document.addEventListener("DOMContentLoaded", () => {
 });
 
 // expose helpers
-window.va = { startListening, stopListening, speakOut, clearChat, getCurrentLang, saveLang };
+window.va = { startListening, stopListening, speakOut, cancelReply, clearChat, getCurrentLang, saveLang, registerCommand, runCommand };